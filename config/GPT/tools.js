@@ -39,18 +39,18 @@ export const TOOLS = [
         type: "function",
         function: {
             name: "perform_beckn_action",
-            description: "If the user has indicated to search/find a product, select an item or add to cart, initialize an order or confirm on order.", 
+            description: "If the user has indicated to search/find a product, select an item or add to cart, initialize an order or confirm on order. This should also be used if the user wants to check the status of an order, track an order, cancel an order, update an order (e.g. change the quantity), rate an order/item/provider or needs help with an order.", 
             parameters: {
                 type: "object",
                 properties: {
                     action : {
                         type: "string",
                         description: "Action for which payload is to be fetched",
-                        enum: ["search", "select", "init", "confirm"]
+                        enum: ["search", "select", "init", "confirm", "status", "track", "cancel", "update", "rating", "support"]
                     },
                     instruction: {
                         type: "string",
-                        description: "Complete instructions about the action to be performed."
+                        description: "Complete instructions about the action to be performed, in English."
                     }
                 }
             }
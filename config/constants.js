@@ -44,8 +44,16 @@ export const BECKN_STATUS_CALL =  {
     }
 }
 
+// Actions that are performed on an order that has already been confirmed
+export const POST_ORDER_ACTIONS = ['status', 'track', 'cancel', 'update', 'rating', 'support']
+
+// Asynchronous responses sent by the BAP for each beckn action
+export const BECKN_CALLBACK_ACTIONS = ['search', 'select', 'init', 'confirm', ...POST_ORDER_ACTIONS].map(action => `on_${action}`)
+
 export const EMPTY_BECKN_TRANSACTION = { 
     id: false,
+    network: null,
+    catalog: null,
     responses: {
         search: {},
         select: {},
@@ -54,7 +62,19 @@ export const EMPTY_BECKN_TRANSACTION = {
         on_search: {},
         on_select: {},
         on_init: {},
-        on_confirm: {}
+        on_confirm: {},
+        status: {},
+        track: {},
+        cancel: {},
+        update: {},
+        rating: {},
+        support: {},
+        on_status: {},
+        on_track: {},
+        on_cancel: {},
+        on_update: {},
+        on_rating: {},
+        on_support: {}
     }
 }
 
@@ -63,6 +83,9 @@ export const EMPTY_SESSION = {
         selected_route:null
     },
     text : [],
+    summary: null,
+    language: null, // language code of the replies e.g. 'hi'
+    language_locked: false, // true if the language was chosen by the user
     actions : {
         raw: [],
         formatted: []
@@ -75,4 +98,13 @@ export const EMPTY_SESSION = {
     avoid_point: []
 }
 
-
+// Persistent user profile that survives session resets
+export const EMPTY_PROFILE = {
+    name: null,
+    phone: null,
+    email: null,
+    addresses: [],
+    city: null, // city and country code used as location of beckn requests
+    country: null,
+    preferences: {}
+}
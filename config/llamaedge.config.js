@@ -9,11 +9,12 @@ export const LLAMAEDGE_DEFAULTS = {
     // Model Parameters
     CONTEXT_SIZE: parseInt(process.env.LLAMAEDGE_CONTEXT_SIZE) || 4096,
     BATCH_SIZE: parseInt(process.env.LLAMAEDGE_BATCH_SIZE) || 512,
-    TEMPERATURE: parseFloat(process.env.LLAMAEDGE_TEMPERATURE) || 0.7,
+    TEMPERATURE: parseFloat(process.env.LLAMAEDGE_TEMPERATURE || 0.7),
 
     // API Endpoints
     ENDPOINTS: {
         CHAT_COMPLETIONS: '/v1/chat/completions',
+        COMPLETIONS: '/v1/completions',
         MODELS: '/v1/models',
         EMBEDDINGS: '/v1/embeddings'
     },
@@ -39,6 +40,7 @@ export const PROMPT_TEMPLATES = {
         system: '<s>[INST] <<SYS>>\n{system_message}\n<</SYS>>\n\n',
         user: '{user_message} [/INST]',
         assistant: ' {assistant_message} </s><s>[INST] ',
+        stop: ['</s>', '[INST]'],
         format: 'llama2'
     },
 
@@ -46,6 +48,7 @@ export const PROMPT_TEMPLATES = {
         system: '<s>[INST] {system_message}\n',
         user: '{user_message} [/INST]',
         assistant: ' {assistant_message}</s> [INST] ',
+        stop: ['</s>', '[INST]'],
         format: 'mistral'
     },
 
@@ -53,6 +56,7 @@ export const PROMPT_TEMPLATES = {
         system: '[INST] <<SYS>>\n{system_message}\n<</SYS>>\n\n',
         user: '{user_message} [/INST]',
         assistant: ' {assistant_message} [INST] ',
+        stop: ['[INST]'],
         format: 'codellama'
     },
 
@@ -60,11 +64,15 @@ export const PROMPT_TEMPLATES = {
         system: 'System: {system_message}\n',
         user: 'User: {user_message}\n',
         assistant: 'Assistant: {assistant_message}\n',
+        response: 'Assistant:',
+        stop: ['\nUser:'],
         format: 'chat'
     }
 };
 
 // Model-specific configurations
+// Models without native function calling get the tools in their prompt, see LlamaEdgeClient
+// jsonSchema (json_schema response format) and grammar (GBNF) constrain JSON replies on servers that support them
 export const MODEL_CONFIGS = {
     'llama-2-7b-chat': {
         maxTokens: 4096,
@@ -72,8 +80,10 @@ export const MODEL_CONFIGS = {
         topP: 0.9,
         template: 'llama-2-chat',
         supports: {
-            functionCalling: true,
+            functionCalling: false,
             jsonMode: true,
+            jsonSchema: false,
+            grammar: false,
             streaming: true
         }
     },
@@ -84,8 +94,10 @@ export const MODEL_CONFIGS = {
         topP: 0.9,
         template: 'llama-2-chat',
         supports: {
-            functionCalling: true,
+            functionCalling: false,
             jsonMode: true,
+            jsonSchema: false,
+            grammar: false,
             streaming: true
         }
     },
@@ -98,6 +110,8 @@ export const MODEL_CONFIGS = {
         supports: {
             functionCalling: true,
             jsonMode: true,
+            jsonSchema: false,
+            grammar: false,
             streaming: true
         }
     },
@@ -108,8 +122,10 @@ export const MODEL_CONFIGS = {
         topP: 0.9,
         template: 'codellama-instruct',
         supports: {
-            functionCalling: true,
+            functionCalling: false,
             jsonMode: true,
+            jsonSchema: false,
+            grammar: false,
             streaming: false
         }
     }
@@ -152,6 +168,7 @@ export function getPromptTemplate(modelName = null) {
 }
 
 // Helper function to format messages for LlamaEdge
+// The content is inserted with a function so that $ patterns in it are kept as they are
 export function formatMessagesForModel(messages, modelName = null) {
     const template = getPromptTemplate(modelName);
     let formattedMessages = [];
@@ -161,19 +178,19 @@ export function formatMessagesForModel(messages, modelName = null) {
             case 'system':
                 formattedMessages.push({
                     role: 'system',
-                    content: template.system.replace('{system_message}', message.content)
+                    content: template.system.replace('{system_message}', () => message.content)
                 });
                 break;
             case 'user':
                 formattedMessages.push({
                     role: 'user',
-                    content: template.user.replace('{user_message}', message.content)
+                    content: template.user.replace('{user_message}', () => message.content)
                 });
                 break;
             case 'assistant':
                 formattedMessages.push({
                     role: 'assistant',
-                    content: template.assistant.replace('{assistant_message}', message.content)
+                    content: template.assistant.replace('{assistant_message}', () => message.content)
                 });
                 break;
             default:
@@ -184,6 +201,32 @@ export function formatMessagesForModel(messages, modelName = null) {
     return formattedMessages;
 }
 
+// Helper function to render a conversation as a single prompt with the template of the model
+// System messages and instructions before the first user message form the system prompt
+export function buildPrompt(messages, modelName = null) {
+    const template = getPromptTemplate(modelName);
+    const system = [];
+    const turns = [];
+
+    for (const message of messages) {
+        if (message.role === 'system' || (message.role === 'assistant' && !turns.length)) {
+            system.push(message.content);
+            continue;
+        }
+
+        // the templates expect alternating turns
+        const last = turns[turns.length - 1];
+        if (last?.role === message.role) {
+            last.content += `\n${message.content}`;
+        } else {
+            turns.push({ role: message.role, content: message.content });
+        }
+    }
+
+    const formattedMessages = formatMessagesForModel([{ role: 'system', content: system.join('\n') }, ...turns], modelName);
+    return formattedMessages.map(message => message.content).join('') + (template.response || '');
+}
+
 // Helper function to validate LlamaEdge configuration
 export function validateConfig() {
     const errors = [];
@@ -216,5 +259,6 @@ export default {
     getModelConfig,
     getPromptTemplate,
     formatMessagesForModel,
+    buildPrompt,
     validateConfig
 };
\ No newline at end of file
@@ -0,0 +1,83 @@
+export default {
+    type: "object",
+    properties: {
+        domain: {
+            type: "string",
+            minLength: 1,
+            description: "Domain of the network as per the registry"
+        },
+        action: {
+            type: "string",
+            minLength: 1
+        },
+        version: {
+            type: "string",
+            minLength: 1
+        },
+        base_url: {
+            type: "string",
+            format: "uri"
+        },
+        bap_id: {
+            type: "string",
+            minLength: 1
+        },
+        bap_uri: {
+            type: "string",
+            format: "uri"
+        },
+        bpp_id: {
+            type: "string",
+            minLength: 1,
+            description: "bpp_id as per user selection and last response"
+        },
+        bpp_uri: {
+            type: "string",
+            format: "uri",
+            description: "bpp_uri as per user selection and last response"
+        },
+        transaction_id: {
+            type: "string",
+            minLength: 1
+        },
+        message_id: {
+            type: "string",
+            minLength: 1
+        },
+        timestamp: {
+            type: "string",
+            format: "date-time"
+        },
+        ttl: {
+            type: "string",
+            pattern: "^P(?:\\d+D)?(?:T(?:\\d+H)?(?:\\d+M)?(?:\\d+(?:\\.\\d+)?S)?)?$",
+            description: "ISO 8601 duration"
+        },
+        location: {
+            type: "object",
+            properties: {
+                city: {
+                    type: "object",
+                    properties: {
+                        name: { type: "string" },
+                        code: { type: "string" }
+                    }
+                },
+                country: {
+                    type: "object",
+                    properties: {
+                        name: { type: "string" },
+                        code: { type: "string" }
+                    }
+                }
+            }
+        }
+    },
+    required: ["domain", "action", "version", "base_url", "bap_id", "bap_uri", "transaction_id", "message_id", "timestamp", "ttl"],
+    if: {
+        properties: { action: { const: "search" } }
+    },
+    else: {
+        required: ["bpp_id", "bpp_uri"]
+    }
+}
@@ -0,0 +1,87 @@
+import { modelController } from '../services/AI.js'
+import logger from '../utils/logger.js'
+
+/**
+ * Lists the AI providers with their health, circuit state and the metrics of the requests they served
+ */
+export const getProviders = async (req, res) => {
+    try {
+        const info = await modelController.getProvidersInfo()
+        return res.status(200).json({
+            status: true,
+            ...info,
+            metrics: modelController.getMetrics(),
+        })
+    } catch (e) {
+        logger.error(e)
+        return res.status(500).json({ status: false, message: 'Internal server error' })
+    }
+}
+
+/**
+ * Sends a short test request to every provider
+ */
+export const testProviders = async (req, res) => {
+    try {
+        const results = await modelController.testAllProviders()
+        return res.status(200).json({
+            status: Object.values(results).every((result) => result.success),
+            results,
+        })
+    } catch (e) {
+        logger.error(e)
+        return res.status(500).json({ status: false, message: 'Internal server error' })
+    }
+}
+
+/**
+ * Switches the active provider at runtime. The provider must be healthy.
+ */
+export const switchProvider = async (req, res) => {
+    const { provider } = req.body || {}
+    if (!provider || !modelController.isProviderAvailable(provider)) {
+        return res.status(400).json({
+            status: false,
+            message: `Provider must be one of ${modelController.getAvailableProviders().join(', ')}`,
+        })
+    }
+
+    try {
+        await modelController.switchProvider(provider, req.auth?.key)
+        return res.status(200).json({
+            status: true,
+            activeProvider: modelController.getProviderType(),
+        })
+    } catch (e) {
+        // the error may have details of the provider, such as its url, that are only logged
+        logger.error(`Could not switch the AI provider to '${provider}' : ${e.message}`)
+        return res.status(503).json({
+            status: false,
+            message: `Could not switch to '${provider}', it is not healthy`,
+        })
+    }
+}
+
+/**
+ * Lists the models of a provider, the active one unless a provider is given in the query
+ */
+export const getModels = async (req, res) => {
+    const provider = req.query.provider || modelController.getProviderType()
+    if (!modelController.isProviderAvailable(provider)) {
+        return res.status(400).json({
+            status: false,
+            message: `Provider must be one of ${modelController.getAvailableProviders().join(', ')}`,
+        })
+    }
+
+    try {
+        const models = await modelController.getModels(provider)
+        return res.status(200).json({ status: true, provider, models })
+    } catch (e) {
+        logger.error(`Could not get the models of '${provider}' : ${e.message}`)
+        return res.status(502).json({
+            status: false,
+            message: `Could not get the models of '${provider}'`,
+        })
+    }
+}
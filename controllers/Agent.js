@@ -1,71 +1,191 @@
 import AI from '../services/AI.js';
-import DBService from '../services/DBService.js'
+import { db } from '../services/DBService.js'
 import MapService from '../services/MapService.js'
-import Actions from '../services/Actions.js';
 import {
+    EMPTY_PROFILE,
     EMPTY_SESSION
 } from '../config/constants.js';
-const db = new DBService();
-const actionsService = new Actions();
+import { sessionLock } from '../services/SessionLock.js'
+import CommandService from '../services/CommandService.js'
+import MediaService from '../services/MediaService.js'
+import { richReplyService } from '../services/RichReplyService.js'
+import { SessionLockTimeoutError } from '../utils/errors.js'
+import get_text_by_key, { detect_language } from '../utils/language.js'
+import logger from '../utils/logger.js'
+import {
+    DEFAULT_CHANNEL,
+    get_channel,
+    get_session_key
+} from '../services/channels/index.js';
+const commandService = new CommandService(db);
+const mediaService = new MediaService();
 
-async function getResponse(req, res) {
-    const { From, Body, raw_yn } = req.body
-    const format = (req?.headers && req.headers['content-type']) || 'text/xml';
+/**
+ * Processes an inbound message from any channel and replies on the same channel
+ * @param {*} channel | channel adapter
+ * @param {*} req
+ * @param {*} res
+ */
+async function processMessage(channel, req, res) {
+    const inbound = await channel.parse_request(req);
 
-    
-    if(!From || !Body){
+    if(!inbound){
         res.status(400).send("Bad Request")
     }
     else{
-        // get session
-        const  session_response = await db.get_session(From);
-        let session = session_response.data;
-        if(!session_response.status){
-            session = EMPTY_SESSION
+        const session_key = get_session_key(channel.name, inbound.user_id);
+
+        // voice notes, images and documents are converted to text
+        if(inbound.media?.length){
+            inbound.text = await mediaService.get_message_text(inbound.text, inbound.media);
         }
 
-        // initialize services
-        const ai = new AI();
-        const map = new MapService();
-        ai.session = map.session = session;
-
-        // setup tools
-        const available_tools = {
-            get_routes: map.getRoutes.bind(map),
-            select_route: map.selectRoute.bind(map),
-            perform_beckn_action: ai.perform_beckn_transaction.bind(ai),
-        };
-        ai.tools = available_tools;
-
-        // make request
-        let messages = [
-            ...session.text,
-            { role: 'user', content: Body}
-        ];
-        const response = await ai.get_response_or_perform_action(messages, raw_yn)
-        
-        // prepare raw body if required
-        const responseBody = raw_yn ? response.raw : response.content;
-        delete response.raw;
-        
-        messages.push(response);
-        session.text = messages; // Update session text (chat history)
-
-        // save session
-        await db.update_session(From, session)
-
-        // Send response
-        if(format!='application/json'){
-            await actionsService.send_message(From, responseBody, []);
-            res.send("Message sent!")
+        // let the user know that the message is queued behind an earlier one
+        if(sessionLock.is_locked(session_key) && !inbound.sync){
+            const language = (await db.get_session(session_key)).data?.language;
+            await channel.send_message(inbound.user_id, get_text_by_key('request_in_progress', {}, 'ALL_MESSAGES', language));
+        }
+
+        let release;
+        try{
+            release = await sessionLock.acquire(session_key);
+        }
+        catch(e){
+            if(!(e instanceof SessionLockTimeoutError)) throw e;
+            logger.warn(e.message);
+            const language = (await db.get_session(session_key)).data?.language;
+            return channel.reply(res, inbound, get_text_by_key('request_failed', {}, 'ALL_MESSAGES', language), []);
         }
-        else{
-            res.send(responseBody)
-        }        
-    }    
+
+        try{
+            await processSessionMessage(channel, inbound, session_key, res);
+        }
+        finally{
+            release();
+        }
+    }
+}
+
+/**
+ * Processes a message while holding the lock of its session
+ * @param {*} channel | channel adapter
+ * @param {*} inbound | normalised inbound request
+ * @param {*} session_key
+ * @param {*} res
+ */
+async function processSessionMessage(channel, inbound, session_key, res) {
+    const { text, raw_yn } = inbound;
+
+    // get session
+    const  session_response = await db.get_session(session_key);
+    let session = session_response.data;
+    if(!session_response.status){
+        session = JSON.parse(JSON.stringify(EMPTY_SESSION))
+    }
+
+    // get persistent profile
+    const profile_response = await db.get_profile(session_key);
+    let profile = profile_response.data;
+    if(!profile_response.status){
+        profile = JSON.parse(JSON.stringify(EMPTY_PROFILE));
+        if(['whatsapp', 'sms'].includes(channel.name)) profile.phone = inbound.user_id;
+    }
+    const saved_profile = JSON.stringify(profile);
+
+    // language chosen by the user with /lang, otherwise the language of the latest message
+    if(profile.preferences?.language && !session.language_locked){
+        session.language = profile.preferences.language;
+        session.language_locked = true;
+    }
+    if(!session.language_locked && !commandService.parse(text)){
+        session.language = detect_language(text) || session.language || null;
+    }
+
+    // commands are handled without calling the model
+    const command_reply = await commandService.execute(text, { session_key, session, profile });
+    if(command_reply !== null){
+        return channel.reply(res, inbound, command_reply, []);
+    }
+
+    // initialize services
+    const ai = new AI();
+    const map = new MapService();
+    ai.session = map.session = session;
+    ai.user_profile = profile;
+    ai.rich = map.rich = richReplyService.get_empty_reply(); // maps, images, lists and cards added by the tools
+    ai.on_event = channel.get_event_handler(res, inbound); // status messages of slow tool calls and streamed tokens
+    ai.stream = !!channel.capabilities.streaming && !raw_yn;
+
+    // setup tools
+    const available_tools = {
+        get_routes: map.getRoutes.bind(map),
+        select_route: map.selectRoute.bind(map),
+        perform_beckn_action: ai.perform_beckn_transaction.bind(ai),
+    };
+    ai.tools = available_tools;
+
+    // make request
+    let messages = [
+        ...session.text,
+        { role: 'user', content: text}
+    ];
+    const response = await ai.get_response_or_perform_action(messages, raw_yn)
+
+    // prepare raw body if required
+    const responseBody = raw_yn ? response.raw : response.content;
+    delete response.raw;
+
+    messages.push(response);
+    session.text = messages; // Update session text (chat history)
+
+    // save session
+    await db.update_session(session_key, session)
+    if(JSON.stringify(profile) != saved_profile){
+        await db.update_profile(session_key, profile)
+    }
+
+    // Send response
+    if(raw_yn){
+        await channel.reply(res, inbound, responseBody, []);
+    }
+    else{
+        await channel.send_reply(res, inbound, responseBody, ai.rich);
+    }
+}
+
+/**
+ * Handler for the twilio whatsapp webhook
+ */
+async function getResponse(req, res) {
+    return processMessage(get_channel(DEFAULT_CHANNEL), req, res);
+}
+
+/**
+ * Returns a webhook handler for a channel
+ * @param {*} name | name of the channel e.g. telegram
+ * @returns
+ */
+function getChannelResponse(name) {
+    const channel = get_channel(name);
+    return (req, res) => processMessage(channel, req, res);
+}
+
+/**
+ * Returns the messages queued for a web chat session
+ */
+async function getWebMessages(req, res) {
+    const { session_id } = req.query;
+    const web = get_channel('web');
+    // only the session ids issued by the server can be polled
+    if(!web.is_valid_session_id(session_id)){
+        return res.status(400).send("Bad Request")
+    }
+    return res.json({ messages: web.get_messages(session_id) })
 }
 
 
 export default {
-    getResponse
-}
\ No newline at end of file
+    getResponse,
+    getChannelResponse,
+    getWebMessages
+}
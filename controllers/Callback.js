@@ -0,0 +1,23 @@
+import logger from '../utils/logger.js'
+import { callbackService } from '../services/CallbackService.js'
+
+/**
+ * Receives asynchronous on_* responses from the BAP and hands them over to the waiting beckn transaction
+ */
+export const becknCallback = async (req, res) => {
+    const { context, message } = req.body || {}
+    if (!context?.transaction_id || !context?.message_id || !message) {
+        return res.status(400).json({
+            message: { ack: { status: 'NACK' } },
+            error: {
+                code: '400',
+                message: 'context.transaction_id, context.message_id and message are required',
+            },
+        })
+    }
+
+    logger.info(`Received ${context.action} for transaction ${context.transaction_id}`)
+    callbackService.receive(req.body)
+
+    return res.status(200).json({ message: { ack: { status: 'ACK' } } })
+}
@@ -14,12 +14,14 @@ import {
     DOMAINS,
     UPDATE_STATUS_MESSAGE
 } from '../config/constants.js'
-import DBService from '../services/DBService.js'
+import { db } from '../services/DBService.js'
 import MapsService from '../services/MapService.js'
 import get_text_by_key from '../utils/language.js'
+import { send_message_to_session } from '../services/channels/index.js'
+import { get_internal_headers } from '../middlewares/auth.js'
+import { sessionLock } from '../services/SessionLock.js'
 
 const action = new Actions()
-const db = new DBService();
 
 const TWILIO_RECEPIENT_NUMBER = process.env.TEST_RECEPIENT_NUMBER
 export const cancelBooking = async (req, res) => {
@@ -107,7 +109,6 @@ export const notify = async (req, res) => {
     
     export const triggerExceptionOnLocation = async (req, res) => {
         const {point, message} = req.body; // needs to be an array with 2 numbers [lat, long]
-        const db = new DBService();
         const mapService = new MapsService();
         
         if(point && message){
@@ -125,15 +126,20 @@ export const notify = async (req, res) => {
                     // send whatsapp and add to context
                     if(status){
                         try{
-                            const reply_message = get_text_by_key('incident_on_road', {message: message})
-                            await action.send_message(session.key, reply_message);
-                            
-                            // update session
-                            session.data.avoid_point = point;
-                            if(!session.data.text) session.data.text=[]
-                            session.data.text.push({role: 'assistant', content: reply_message});
-                            
-                            await db.update_session(session.key, session.data);
+                            const reply_message = get_text_by_key('incident_on_road', {message: message}, 'ALL_MESSAGES', session.data.language)
+
+                            // update session, the session may have been changed by a message since it was read
+                            const add_incident = (data) => {
+                                if(!data) return null;
+                                data.avoid_point = point;
+                                if(!data.text) data.text=[]
+                                data.text.push({role: 'assistant', content: reply_message});
+                                return data;
+                            };
+                            const response = await sessionLock.run(session.key, () => db.modify_session(session.key, add_incident));
+                            if(response.status){
+                                await send_message_to_session(session.key, reply_message);
+                            }
                         }
                         catch(e){
                             logger.error(e);
@@ -206,7 +212,7 @@ export const notify = async (req, res) => {
                         state_value: DOMAIN_DETAILS.message,
                     },
                 },{ Authorization: `Bearer ${DOMAIN_DETAILS.token}`})
-                const webhookResponse = await action.call_api(`${process.env.SERVER_URL}/webhook-ps`, 'POST',{...updateStatusResponse, orderId:orderId});
+                const webhookResponse = await action.call_api(`${process.env.SERVER_URL}/webhook-ps`, 'POST',{...updateStatusResponse, orderId:orderId}, get_internal_headers());
                 logger.info(JSON.stringify(webhookResponse));
                 return res.status(200).send({ message: `Status Updated to: ${updateStatusResponse.data.data.attributes.state_value}`, status:true })
             }
@@ -275,51 +281,67 @@ export const notify = async (req, res) => {
             
             
             for(let session of sessions){
-                const orders = session.data.orders;
-                const index = orders ? orders.findIndex((order)=>order.message.order.id == req.body.orderId) : null;
-                if(index!==null && index>=0 && (!orders[index].message.order.fulfillments[0].state||orders[index].message.order.fulfillments[0].state.descriptor.code !== req.body.data.data.attributes.state_code )) {
-                    // send whatsapp and add to context
-                    try{
-                        // update session
-                        orders[index].message.order.fulfillments[0] = {
-                            ...orders[index].message.order.fulfillments[0],
+                if(!find_order_to_update(session.data, req.body)) continue;
+
+                // send whatsapp and add to context
+                try{
+                    const { state_code, state_value, updatedAt } = req.body.data.data.attributes;
+                    let reply_message;
+
+                    // update session, the order is looked up again as a message may have changed the session
+                    const response = await sessionLock.run(session.key, () => db.modify_session(session.key, (data) => {
+                        const order = find_order_to_update(data, req.body);
+                        if(!order) return null;
+
+                        order.message.order.fulfillments[0] = {
+                            ...order.message.order.fulfillments[0],
                             state:{
                                 descriptor:{
-                                    code:req.body.data.data.attributes.state_code,
-                                    short_desc:req.body.data.data.attributes.state_value
+                                    code:state_code,
+                                    short_desc:state_value
                                 },
-                                updated_at:req.body.data.data.attributes.updatedAt
+                                updated_at:updatedAt
                             }
                         }
-                        let reply_message = get_text_by_key(req.body.data.data.attributes.state_code, {}, 'FULFILLMENT_STATUS_CODES') || `Hey the status of your order is updated to ${req.body.data.data.attributes.state_code}`
-                        await action.send_message(session.key,
-                            reply_message
-                            )
-                            if (!session.data.text) session.data.text = []
-                            session.data.text.push({
-                                role: 'assistant',
-                                content: reply_message,
-                            })
-                            await db.update_session(
-                                session.key,
-                                session.data
-                                )
-                            }
-                            catch(e){
-                                logger.error(e);
-                                throw new Error(e.message)
-                            }
-                            
-                        }
+                        reply_message = get_text_by_key(state_code, {}, 'FULFILLMENT_STATUS_CODES', data.language) || `Hey the status of your order is updated to ${state_code}`
+                        if (!data.text) data.text = []
+                        data.text.push({
+                            role: 'assistant',
+                            content: reply_message,
+                        })
+                        return data;
+                    }));
+                    if(response.status){
+                        await send_message_to_session(session.key, reply_message);
                     }
-                    return res.status(200).json({
-                        status:true,
-                        message:'Notification Sent'
-                    })
-                }catch(error){
-                    return res.status(400).json({
-                        status:false,
-                        message:'Some Error Occured'
-                    })
+                }
+                catch(e){
+                    logger.error(e);
+                    throw new Error(e.message)
                 }
             }
+            return res.status(200).json({
+                status:true,
+                message:'Notification Sent'
+            })
+        }catch(error){
+            return res.status(400).json({
+                status:false,
+                message:'Some Error Occured'
+            })
+        }
+    }
+
+/**
+ * Order of a session that the fulfillment status update of the webhook applies to
+ * @param {*} session | session data
+ * @param {*} body | body of the webhook
+ * @returns order or null if the session has no such order or its status is already updated
+ */
+function find_order_to_update(session, body) {
+    const order = (session?.orders || []).find((order) => order.message.order.id == body.orderId);
+    if(!order) return null;
+
+    const state = order.message.order.fulfillments[0].state;
+    return !state || state.descriptor.code !== body.data.data.attributes.state_code ? order : null;
+}
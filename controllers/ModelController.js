@@ -1,55 +1,67 @@
-import OpenAI from 'openai';
-import LlamaEdgeClient from '../services/LlamaEdgeClient.js';
 import logger from '../utils/logger.js';
+import audit from '../utils/audit.js';
+import { collect_stream } from '../utils/stream.js';
+import { create_providers, load_routing_config } from '../services/providers/index.js';
+import { modelMetrics } from '../services/ModelMetrics.js';
+import { get_max_tokens } from '../services/ContextManager.js';
+import CircuitBreaker, { CIRCUIT_STATES } from '../services/CircuitBreaker.js';
+import { ModelDeadlineExceededError } from '../utils/errors.js';
+
+// Milliseconds a request may take, including all fallbacks. 0 for no deadline
+const REQUEST_DEADLINE = parseInt(process.env.AI_REQUEST_DEADLINE ?? 180000);
+// Milliseconds between health probes of the providers. 0 to disable the probes
+const HEALTH_PROBE_INTERVAL = parseInt(process.env.AI_HEALTH_PROBE_INTERVAL ?? 30000);
 
 /**
  * Model Controller
- * Manages AI model providers (OpenAI and LlamaEdge) with automatic fallback
+ * Manages the AI model providers declared in config/providers.json with automatic fallback
  */
 class ModelController {
-    constructor() {
-        this.primaryProvider = process.env.AI_PROVIDER || 'llamaedge';
+    /**
+     * @param {*} providers | list of providers, defaults to the configured ones
+     * @param {*} routing | routing rules of the tasks, defaults to the ones in config/routing.json
+     * @param {*} metrics | metrics of the requests
+     * @param {*} options | {deadline, breaker} where breaker are the options of the circuit breakers
+     */
+    constructor(providers = null, routing = null, metrics = modelMetrics, options = {}) {
+        this.primaryProvider = null;
         this.fallbackEnabled = process.env.AI_FALLBACK_ENABLED !== 'false';
 
         this.providers = {};
+        this.breakers = {};
         this.activeProvider = null;
+        this.routing = routing || load_routing_config();
+        this.metrics = metrics;
+        this.deadline = options.deadline ?? REQUEST_DEADLINE;
+        this.breakerOptions = options.breaker || {};
+        this.probeTimer = null;
 
-        this._initializeProviders();
+        this._initializeProviders(providers);
     }
 
     /**
-     * Initialize both AI providers
+     * Initialize the providers in the order of their priority
+     * AI_PROVIDER, if set, takes precedence over the priority of the config
      */
-    _initializeProviders() {
+    _initializeProviders(providers) {
         try {
-            // Initialize LlamaEdge provider
-            if (process.env.LLAMAEDGE_API_URL) {
-                this.providers.llamaedge = new LlamaEdgeClient();
-                logger.info('LlamaEdge provider initialized');
+            for (const provider of providers || create_providers()) {
+                this.providers[provider.name] = provider;
+                this.breakers[provider.name] = new CircuitBreaker(provider.name, this.breakerOptions);
             }
 
-            // Initialize OpenAI provider
-            if (process.env.OPENAI_AI_KEY) {
-                this.providers.openai = new OpenAI({
-                    apiKey: process.env.OPENAI_AI_KEY,
-                });
-                logger.info('OpenAI provider initialized');
+            const availableProviders = Object.keys(this.providers);
+            if (availableProviders.length === 0) {
+                throw new Error('No AI providers are configured and available');
             }
 
-            // Set active provider
-            if (this.providers[this.primaryProvider]) {
-                this.activeProvider = this.primaryProvider;
-                logger.info(`Active AI provider: ${this.activeProvider}`);
-            } else {
-                // Fallback to available provider
-                const availableProviders = Object.keys(this.providers);
-                if (availableProviders.length > 0) {
-                    this.activeProvider = availableProviders[0];
-                    logger.warn(`Primary provider '${this.primaryProvider}' not available, using '${this.activeProvider}'`);
-                } else {
-                    throw new Error('No AI providers are configured and available');
-                }
+            const preferredProvider = process.env.AI_PROVIDER;
+            if (preferredProvider && !this.providers[preferredProvider]) {
+                logger.warn(`Primary provider '${preferredProvider}' not available, using '${availableProviders[0]}'`);
             }
+            this.primaryProvider = this.providers[preferredProvider] ? preferredProvider : availableProviders[0];
+            this.activeProvider = this.primaryProvider;
+            logger.info(`Active AI provider: ${this.activeProvider}`);
 
         } catch (error) {
             logger.error('Failed to initialize AI providers:', error.message);
@@ -65,121 +77,273 @@ class ModelController {
     }
 
     /**
-     * Get provider type (openai or llamaedge)
+     * Get the name of the active provider
      */
     getProviderType() {
         return this.activeProvider;
     }
 
+    /**
+     * Get the default model of the active provider
+     */
+    getActiveModel() {
+        return this.getActiveProvider().model;
+    }
+
+    /**
+     * Get the context size in tokens of the first model that serves a task
+     */
+    getContextSize(task = 'chat') {
+        const [step] = this.getChain(task);
+        const provider = this.providers[step.provider];
+        // the context size of the provider config is only known for its default model
+        return step.model && step.model !== provider.model
+            ? get_max_tokens(step.model)
+            : get_max_tokens(provider.model, provider.context_size);
+    }
+
     /**
      * Switch to a different provider
+     * The provider becomes the primary one, so the health probes do not fail back to the previous provider.
+     * @param {*} providerName
+     * @param {*} actor | who asked for the switch, for the audit log
      */
-    async switchProvider(providerName) {
+    async switchProvider(providerName, actor = null) {
         if (!this.providers[providerName]) {
             throw new Error(`Provider '${providerName}' is not available`);
         }
 
         const oldProvider = this.activeProvider;
-        this.activeProvider = providerName;
-
-        logger.info(`Switched AI provider from '${oldProvider}' to '${providerName}'`);
 
-        // Test the new provider
-        const isHealthy = await this.healthCheck();
+        // Test the new provider before it gets any requests
+        const isHealthy = await this.healthCheck(providerName);
         if (!isHealthy) {
-            // Revert if unhealthy
-            this.activeProvider = oldProvider;
-            throw new Error(`Provider '${providerName}' is not healthy, reverted to '${oldProvider}'`);
+            audit('ai.provider.switch_failed', { from: oldProvider, to: providerName, actor, reason: 'unhealthy' });
+            throw new Error(`Provider '${providerName}' is not healthy, keeping '${oldProvider}'`);
         }
 
+        this.breakers[providerName].record_success();
+        this.activeProvider = providerName;
+        this.primaryProvider = providerName;
+
+        logger.info(`Switched AI provider from '${oldProvider}' to '${providerName}'`);
+        audit('ai.provider.switched', { from: oldProvider, to: providerName, actor });
+
         return true;
     }
 
     /**
-     * Check health of current provider
+     * Check health of a provider, the active one by default
      */
-    async healthCheck() {
+    async healthCheck(providerName = this.activeProvider) {
         try {
-            const provider = this.getActiveProvider();
-
-            if (this.activeProvider === 'llamaedge') {
-                const health = await provider.healthCheck();
-                return health.healthy;
-            } else if (this.activeProvider === 'openai') {
-                // Simple test for OpenAI
-                const response = await provider.chat.completions.create({
-                    model: 'gpt-3.5-turbo',
-                    messages: [{ role: 'user', content: 'Test' }],
-                    max_tokens: 1
-                });
-                return response.choices && response.choices.length > 0;
+            const health = await this.providers[providerName].healthCheck();
+            return health.healthy;
+        } catch (error) {
+            logger.error(`Health check failed for ${providerName}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Checks the health of all providers and updates their circuits
+     * Fails back to the primary provider once it is healthy again
+     */
+    async probeProviders() {
+        for (const [name, breaker] of Object.entries(this.breakers)) {
+            const healthy = await this.healthCheck(name);
+
+            if (healthy && breaker.state !== CIRCUIT_STATES.CLOSED) {
+                logger.info(`AI provider '${name}' is healthy again`);
+                breaker.record_success();
+            } else if (!healthy && !breaker.is_open()) {
+                logger.warn(`AI provider '${name}' is not healthy, opening its circuit`);
+                breaker.open();
             }
+        }
 
-            return false;
+        if (this.activeProvider !== this.primaryProvider && this.breakers[this.primaryProvider].state === CIRCUIT_STATES.CLOSED) {
+            logger.info(`Failing back from '${this.activeProvider}' to the primary provider '${this.primaryProvider}'`);
+            audit('ai.provider.failback', { from: this.activeProvider, to: this.primaryProvider });
+            this.activeProvider = this.primaryProvider;
+        }
+    }
+
+    /**
+     * Starts probing the health of the providers in the background
+     */
+    startHealthProbes(interval = HEALTH_PROBE_INTERVAL) {
+        if (this.probeTimer || !interval) return;
+
+        this.probeTimer = setInterval(() => {
+            this.probeProviders().catch(error => logger.error(`Health probe failed: ${error.message}`));
+        }, interval);
+        // probes should not keep the process alive
+        this.probeTimer.unref();
+    }
+
+    stopHealthProbes() {
+        clearInterval(this.probeTimer);
+        this.probeTimer = null;
+    }
+
+    /**
+     * Get the circuit state of every provider
+     */
+    getCircuits() {
+        return Object.entries(this.breakers).reduce((circuits, [name, breaker]) => {
+            circuits[name] = breaker.get_status();
+            return circuits;
+        }, {});
+    }
+
+    /**
+     * Runs a request that is aborted when it does not finish within the timeout
+     * @param {*} run | function that gets an abort signal and returns a promise
+     * @param {*} timeout | milliseconds left until the deadline
+     * @param {*} task | task of the request, for the error
+     */
+    async _withDeadline(run, timeout, task) {
+        if (!this.deadline) return run(undefined);
+
+        const controller = new AbortController();
+        let timer;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new ModelDeadlineExceededError(task, this.deadline));
+            }, timeout);
+        });
+
+        try {
+            return await Promise.race([run(controller.signal), expired]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Stream a chat completion from a provider
+     * options.onDelta is called with every content or tool call delta as it arrives.
+     * Returns the assembled completion in the same format as a non streamed request.
+     */
+    async _streamChatCompletion(providerName, options) {
+        let streamed = false;
+        try {
+            return await collect_stream(this.providers[providerName].streamChatCompletion(options), (delta) => {
+                streamed = true;
+                return options.onDelta?.(delta);
+            });
         } catch (error) {
-            logger.error(`Health check failed for ${this.activeProvider}:`, error.message);
-            return false;
+            // parts of the response were already delivered, another provider would repeat them
+            error.streamed = streamed;
+            throw error;
         }
     }
 
+    /**
+     * Providers, models and parameters to try for a task, in order
+     * Tasks without a chain in the routing config use the active provider and fall back to the others.
+     * @param {*} task | chat, context, message or summary
+     * @returns list of {provider, model, params}
+     */
+    getChain(task) {
+        const route = this.routing[task] || {};
+
+        const chain = (route.chain || [])
+            .filter(step => {
+                if (this.providers[step.provider]) return true;
+                logger.verbose(`Skipping provider '${step.provider}' of task '${task}', it is not available`);
+                return false;
+            })
+            .map(step => ({
+                provider: step.provider,
+                model: step.model || null,
+                params: { ...route.params, ...step.params }
+            }));
+        if (chain.length) return chain;
+
+        if (route.chain?.length) {
+            logger.warn(`None of the providers of task '${task}' are available, using the default order`);
+        }
+        const providerOrder = [this.activeProvider, ...Object.keys(this.providers).filter(p => p !== this.activeProvider)];
+        return providerOrder.map(provider => ({ provider, model: null, params: route.params || {} }));
+    }
+
     /**
      * Create chat completion with automatic fallback
+     * options.task selects the routing rule, see getChain. The parameters of the rule override the ones in options.
+     * Set options.stream to receive the response in parts through options.onDelta
      */
     async createChatCompletion(options, enableFallback = this.fallbackEnabled) {
-        const maxRetries = enableFallback ? Object.keys(this.providers).length : 1;
+        const { task = 'chat', ...chatOptions } = options;
+        const chain = this.getChain(task);
+        const hasChain = !!this.routing[task]?.chain?.length;
+        const maxRetries = enableFallback ? chain.length : 1;
+        const deadline = Date.now() + this.deadline;
         let lastError;
         let attempts = 0;
 
-        const providerOrder = [this.activeProvider, ...Object.keys(this.providers).filter(p => p !== this.activeProvider)];
-
-        for (const providerName of providerOrder) {
+        for (const step of chain) {
             if (attempts >= maxRetries) break;
 
-            if (!this.providers[providerName]) continue;
+            const providerName = step.provider;
+            const breaker = this.breakers[providerName];
+            if (!breaker.can_request()) {
+                logger.verbose(`Skipping ${providerName} for task '${task}', its circuit is open`);
+                continue;
+            }
+
+            const request = { ...chatOptions, ...step.params, ...(step.model && { model: step.model }) };
+            const model = request.model || this.providers[providerName].model;
+            const startedAt = Date.now();
 
             attempts++;
 
             try {
-                logger.verbose(`Attempting chat completion with ${providerName} (attempt ${attempts}/${maxRetries})`);
-
-                let response;
-
-                if (providerName === 'llamaedge') {
-                    response = await this.providers[providerName].createChatCompletion(options);
-                } else if (providerName === 'openai') {
-                    // Transform options for OpenAI format
-                    const openaiOptions = {
-                        model: options.model || process.env.OPENAI_MODEL_ID || 'gpt-3.5-turbo',
-                        messages: options.messages,
-                        temperature: options.temperature,
-                        max_tokens: options.max_tokens,
-                        tools: options.tools,
-                        tool_choice: options.tool_choice,
-                        response_format: options.response_format,
-                        stream: options.stream
-                    };
-
-                    response = await this.providers[providerName].chat.completions.create(openaiOptions);
-                }
+                logger.verbose(`Attempting ${task} completion with ${providerName}/${model} (attempt ${attempts}/${maxRetries})`);
+
+                const response = await this._withDeadline(signal => {
+                    const signalled = { ...request, signal };
+                    return options.stream
+                        ? this._streamChatCompletion(providerName, signalled)
+                        : this.providers[providerName].createChatCompletion(signalled);
+                }, deadline - startedAt, task);
+
+                breaker.record_success();
+                this.metrics.record({ task, provider: providerName, model, success: true, latency_ms: Date.now() - startedAt, fallback: attempts > 1 });
+                logger.info(`Task '${task}' served by ${providerName}/${model}`);
 
                 // Success - update active provider if we switched
-                if (providerName !== this.activeProvider) {
+                if (!hasChain && providerName !== this.activeProvider) {
                     logger.info(`Successfully failed over to ${providerName}`);
+                    audit('ai.provider.failover', { from: this.activeProvider, to: providerName, task, error: lastError?.message });
                     this.activeProvider = providerName;
                 }
 
                 return {
                     ...response,
                     _provider: providerName,
+                    _model: model,
+                    _task: task,
                     _attempt: attempts
                 };
 
             } catch (error) {
                 lastError = error;
+                this.metrics.record({ task, provider: providerName, model, success: false, latency_ms: Date.now() - startedAt, error });
                 logger.warn(`Chat completion failed with ${providerName}: ${error.message}`);
 
+                // Invalid requests are not a failure of the provider
+                const invalidRequest = error.code === 'INVALID_REQUEST' || error.status === 400;
+                if (invalidRequest) {
+                    breaker.record_success();
+                } else {
+                    breaker.record_failure();
+                }
+
                 // Don't try fallback for certain error types
-                if (error.code === 'INVALID_REQUEST' || error.status === 400) {
+                if (invalidRequest || error.streamed || error instanceof ModelDeadlineExceededError) {
                     throw error;
                 }
 
@@ -188,8 +352,23 @@ class ModelController {
         }
 
         // All providers failed
-        logger.error(`Chat completion failed with all available providers after ${attempts} attempts`);
-        throw lastError || new Error('All AI providers failed');
+        logger.error(`Chat completion for task '${task}' failed with all available providers after ${attempts} attempts`);
+        throw lastError || new Error(`No AI provider is available for task '${task}', all circuits are open`);
+    }
+
+    /**
+     * Get the metrics of the requests per task, provider and model
+     */
+    getMetrics(task = null) {
+        return this.metrics.get_metrics(task);
+    }
+
+    /**
+     * Record if the JSON in a chat completion could be parsed, for the provider and model that served it
+     */
+    recordParse(response, success) {
+        if (!response?._provider) return;
+        this.metrics.record_parse({ task: response._task, provider: response._provider, model: response._model, success });
     }
 
     /**
@@ -205,15 +384,10 @@ class ModelController {
 
         for (const [name, provider] of Object.entries(this.providers)) {
             try {
-                if (name === 'llamaedge') {
-                    info.providers[name] = await provider.getServerInfo();
-                } else if (name === 'openai') {
-                    info.providers[name] = {
-                        server: 'OpenAI',
-                        healthy: await this.healthCheck(),
-                        model: process.env.OPENAI_MODEL_ID || 'gpt-3.5-turbo'
-                    };
-                }
+                info.providers[name] = {
+                    ...await provider.getInfo(),
+                    circuit: this.breakers[name].get_status()
+                };
             } catch (error) {
                 info.providers[name] = {
                     server: name,
@@ -233,34 +407,22 @@ class ModelController {
         const results = {};
 
         for (const [name, provider] of Object.entries(this.providers)) {
-            try {
-                if (name === 'llamaedge') {
-                    results[name] = await provider.testConnection();
-                } else if (name === 'openai') {
-                    const response = await provider.chat.completions.create({
-                        model: process.env.OPENAI_MODEL_ID || 'gpt-3.5-turbo',
-                        messages: [{ role: 'user', content: 'Hello, respond with just "OK"' }],
-                        max_tokens: 10
-                    });
-
-                    results[name] = {
-                        success: true,
-                        response: response.choices[0]?.message?.content || '',
-                        server: 'OpenAI'
-                    };
-                }
-            } catch (error) {
-                results[name] = {
-                    success: false,
-                    error: error.message,
-                    server: name
-                };
-            }
+            results[name] = await provider.testConnection();
         }
 
         return results;
     }
 
+    /**
+     * Get the models of a provider, the active one by default
+     */
+    async getModels(providerName = this.activeProvider) {
+        if (!this.providers[providerName]) {
+            throw new Error(`Provider '${providerName}' is not available`);
+        }
+        return this.providers[providerName].getModels();
+    }
+
     /**
      * Get list of available providers
      */
@@ -0,0 +1,20 @@
+import { registryService } from '../services/RegistryService.js'
+
+/**
+ * Lists the beckn networks loaded from the registry along with their validation results
+ */
+export const getNetworks = async (req, res) => {
+    const results = registryService.validate()
+    const networks = registryService.get_networks().map((network, index) => ({
+        ...network,
+        validation: {
+            valid: results[index].valid,
+            errors: results[index].errors,
+        },
+    }))
+
+    return res.status(200).json({
+        status: results.every((result) => result.valid),
+        networks,
+    })
+}
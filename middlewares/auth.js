@@ -0,0 +1,209 @@
+import crypto from 'crypto'
+import twilio from 'twilio'
+import audit from '../utils/audit.js'
+import logger from '../utils/logger.js'
+import { registryService } from '../services/RegistryService.js'
+import { becknAuthService } from '../services/BecknAuthService.js'
+import { callbackService } from '../services/CallbackService.js'
+
+// Maximum age of a signed request
+const MAX_SIGNATURE_AGE_MS = 5 * 60 * 1000
+
+export const SCOPES = {
+    WEBHOOK: 'webhook',
+    NOTIFY: 'notify',
+    ORDERS: 'orders',
+    CATALOG: 'catalog',
+    EXCEPTIONS: 'exceptions',
+    ADMIN: 'admin',
+}
+
+function parse_config(name) {
+    try {
+        return JSON.parse(process.env[name] || '{}')
+    } catch (e) {
+        logger.error(`${name} is not valid JSON, no keys will be accepted`)
+        return {}
+    }
+}
+
+function safe_equal(a, b) {
+    const bufferA = Buffer.from(a || '')
+    const bufferB = Buffer.from(b || '')
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+}
+
+function mask(key) {
+    return key ? `${key.slice(0, 4)}***` : null
+}
+
+function reject(req, res, status, reason, details = {}) {
+    audit('auth.rejected', {
+        reason,
+        method: req.method,
+        route: req.originalUrl,
+        ip: req.ip,
+        ...details,
+    })
+    return res.status(status).json({
+        status: false,
+        message: status === 401 ? 'Unauthorized' : 'Forbidden',
+    })
+}
+
+/**
+ * Signature of a request body for HMAC authentication
+ * @param {*} secret
+ * @param {*} timestamp | unix timestamp in milliseconds
+ * @param {*} body | raw request body
+ * @returns hex encoded HMAC-SHA256 of '<timestamp>.<body>'
+ */
+export function get_signature(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+/**
+ * Scopes of the credentials of a request.
+ * Supports API keys in the 'x-api-key' header, configured in API_KEYS as {"<key>": ["<scope>", ...]}
+ * and HMAC signatures in 'x-key-id', 'x-timestamp' and 'x-signature' headers, configured in HMAC_KEYS as {"<key_id>": {"secret": "", "scopes": []}}
+ * @param {*} req
+ * @returns {scopes, key} or {error} if the credentials are invalid
+ */
+function get_credentials(req) {
+    const api_key = req.get('x-api-key')
+    if (api_key) {
+        const api_keys = parse_config('API_KEYS')
+        const key = Object.keys(api_keys).find((key) => safe_equal(key, api_key))
+        return key ? { key: mask(key), scopes: api_keys[key] } : { error: 'invalid api key', key: mask(api_key) }
+    }
+
+    const key_id = req.get('x-key-id')
+    if (key_id) {
+        const hmac_key = parse_config('HMAC_KEYS')[key_id]
+        const timestamp = parseInt(req.get('x-timestamp'))
+        if (!hmac_key) return { error: 'invalid key id', key: key_id }
+        if (!timestamp || Math.abs(Date.now() - timestamp) > MAX_SIGNATURE_AGE_MS) {
+            return { error: 'expired signature', key: key_id }
+        }
+
+        const signature = get_signature(hmac_key.secret, timestamp, req.rawBody || '')
+        if (!safe_equal(signature, req.get('x-signature'))) {
+            return { error: 'invalid signature', key: key_id }
+        }
+        return { key: key_id, scopes: hmac_key.scopes || [] }
+    }
+
+    return { error: 'missing credentials' }
+}
+
+/**
+ * Middleware that only allows requests with credentials having the given scope
+ * @param {*} scope
+ * @returns
+ */
+export function authenticate(scope) {
+    return (req, res, next) => {
+        const credentials = get_credentials(req)
+        if (credentials.error) {
+            return reject(req, res, 401, credentials.error, { key: credentials.key, scope })
+        }
+        if (!credentials.scopes.includes(scope) && !credentials.scopes.includes('*')) {
+            return reject(req, res, 403, 'missing scope', { key: credentials.key, scope })
+        }
+
+        req.auth = credentials
+        return next()
+    }
+}
+
+/**
+ * Middleware that validates the 'X-Twilio-Signature' of twilio webhooks
+ */
+export function verifyTwilioSignature(req, res, next) {
+    const signature = req.get('x-twilio-signature')
+    const url = `${process.env.SERVER_URL}${req.originalUrl}`
+    if (!signature || !twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, req.body || {})) {
+        return reject(req, res, 403, 'invalid twilio signature')
+    }
+    return next()
+}
+
+/**
+ * Middleware for the twilio webhook. Form requests from twilio need a valid twilio signature, JSON requests need credentials with the given scope.
+ * @param {*} scope
+ * @returns
+ */
+export function authenticateWebhook(scope = SCOPES.WEBHOOK) {
+    const authenticateJson = authenticate(scope)
+    return (req, res, next) =>
+        req.is('application/json') ? authenticateJson(req, res, next) : verifyTwilioSignature(req, res, next)
+}
+
+/**
+ * Middleware that validates the secret token of telegram webhooks set using TELEGRAM_WEBHOOK_SECRET
+ */
+export function verifyTelegramSecret(req, res, next) {
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET
+    if (!secret || !safe_equal(secret, req.get('x-telegram-bot-api-secret-token'))) {
+        return reject(req, res, 403, 'invalid telegram secret')
+    }
+    return next()
+}
+
+/**
+ * Checks that a callback is signed by the bpp it claims to be from and, for requests sent to a bpp, that it is that bpp
+ * @param {*} req | express request
+ * @param {*} pending | request waiting for the callback, see CallbackService.get_pending
+ * @param {*} network | network of the request
+ * @returns {valid, error, subscriber_id}
+ */
+async function verify_callback(req, pending, network) {
+    const context = req.body?.context
+    const result = await becknAuthService.verify(req.get('authorization'), req.rawBody || '', network.registry_url)
+    if (!result.valid) return result
+
+    const subscriber_id = result.subscriber_id
+    if (subscriber_id !== context?.bpp_id) {
+        return { valid: false, error: 'signer is not the bpp of the callback', subscriber_id }
+    }
+    if (pending.bpp_id && pending.bpp_id !== context.bpp_id) {
+        return { valid: false, error: 'callback from another bpp than the request', subscriber_id }
+    }
+    return result
+}
+
+/**
+ * Middleware that verifies the beckn signature of callbacks in networks where the bot is its own BAP
+ * The network is the one of the request sent by the server, the bap_id in the callback is chosen by the sender.
+ * Callbacks of other networks are relayed by their BAP client and are not signed by the BPP.
+ * Callbacks that no request is waiting for are dropped by the callback controller.
+ */
+export async function verifyBecknSignature(req, res, next) {
+    const pending = callbackService.get_pending(req.body?.context)
+    const network = pending && registryService.get_network(pending.bap_id)
+    if (!network?.direct) return next()
+
+    const result = await verify_callback(req, pending, network)
+    if (result.valid) return next()
+
+    audit('auth.rejected', {
+        reason: result.error,
+        method: req.method,
+        route: req.originalUrl,
+        ip: req.ip,
+        subscriber_id: result.subscriber_id || null,
+    })
+    res.set('WWW-Authenticate', `Signature realm="${network.bap_subscriber_id}",headers="(created) (expires) digest"`)
+    return res.status(401).json({
+        message: { ack: { status: 'NACK' } },
+        error: { code: '401', message: `Signature verification failed : ${result.error}` },
+    })
+}
+
+/**
+ * Headers for calls made by the server to its own authenticated routes
+ * @returns
+ */
+export function get_internal_headers() {
+    return { 'x-api-key': process.env.INTERNAL_API_KEY }
+}
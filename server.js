@@ -4,8 +4,9 @@ dotenv.config()
 import express from 'express'
 import bodyParser from 'body-parser'
 import logger from './utils/logger.js'
-import DBService from './services/DBService.js'
+import { db } from './services/DBService.js'
 import agentController from './controllers/Agent.js';
+import { modelController } from './services/AI.js'
 import {
     cancelBooking,
     updateCatalog,
@@ -15,6 +16,18 @@ import {
     unpublishItem,
     webhookControl
 } from './controllers/ControlCenter.js'
+import { becknCallback } from './controllers/Callback.js'
+import { getNetworks } from './controllers/Registry.js'
+import { getModels, getProviders, switchProvider, testProviders } from './controllers/AIAdmin.js'
+import {
+    SCOPES,
+    authenticate,
+    authenticateWebhook,
+    verifyBecknSignature,
+    verifyTelegramSecret,
+    verifyTwilioSignature
+} from './middlewares/auth.js'
+import { BECKN_CALLBACK_ACTIONS } from './config/constants.js'
 import path from 'path'
 import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
@@ -24,24 +37,51 @@ const app = express()
 app.use(cors())
 app.use(bodyParser.urlencoded({ extended: false }))
 app.use('/public', express.static(path.join(__dirname, 'public')));
-app.use(bodyParser.json())
+app.use(bodyParser.json({
+    // keep the raw body to verify HMAC signatures
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString()
+    }
+}))
 
 // Define endpoints here
 // app.post('/act', actions.act)
-app.post('/webhook', agentController.getResponse)
-app.post('/notify', notify)
-app.post('/cancel-booking', cancelBooking)
-app.post('/update-catalog', updateCatalog)
-app.post('/trigger-exception', triggerExceptionOnLocation)
-app.post('/update-status', updateStatus)
-app.post('/unpublish-item', unpublishItem)
-app.post('/webhook-ps', webhookControl)
+app.post('/webhook', authenticateWebhook(), agentController.getResponse)
+app.post('/webhook/sms', verifyTwilioSignature, agentController.getChannelResponse('sms'))
+app.post('/webhook/telegram', verifyTelegramSecret, agentController.getChannelResponse('telegram'))
+app.post('/webhook/web', authenticate(SCOPES.WEBHOOK), agentController.getChannelResponse('web'))
+app.post('/webhook/web/stream', authenticate(SCOPES.WEBHOOK), agentController.getChannelResponse('web_stream'))
+app.get('/webhook/web/messages', authenticate(SCOPES.WEBHOOK), agentController.getWebMessages)
+app.post('/webhook/rest', authenticate(SCOPES.WEBHOOK), agentController.getChannelResponse('rest'))
+if (process.env.NODE_ENV === 'test') {
+    app.post('/webhook/stub', agentController.getChannelResponse('stub'))
+}
+app.post('/notify', authenticate(SCOPES.NOTIFY), notify)
+app.post('/cancel-booking', authenticate(SCOPES.ORDERS), cancelBooking)
+app.post('/update-catalog', authenticate(SCOPES.CATALOG), updateCatalog)
+app.post('/trigger-exception', authenticate(SCOPES.EXCEPTIONS), triggerExceptionOnLocation)
+app.post('/update-status', authenticate(SCOPES.ORDERS), updateStatus)
+app.post('/unpublish-item', authenticate(SCOPES.CATALOG), unpublishItem)
+app.post('/webhook-ps', authenticate(SCOPES.ORDERS), webhookControl)
+app.get('/networks', authenticate(SCOPES.ADMIN), getNetworks)
+app.get('/admin/ai/providers', authenticate(SCOPES.ADMIN), getProviders)
+app.post('/admin/ai/providers/test', authenticate(SCOPES.ADMIN), testProviders)
+app.post('/admin/ai/providers/switch', authenticate(SCOPES.ADMIN), switchProvider)
+app.get('/admin/ai/models', authenticate(SCOPES.ADMIN), getModels)
+
+// Beckn callbacks i.e. /on_search, /on_select etc.
+for (const callback of BECKN_CALLBACK_ACTIONS) {
+    app.post(`/${callback}`, verifyBecknSignature, becknCallback)
+}
 
-// Reset all sessions
-export const db = new DBService()
+// Sessions are kept across restarts unless explicitly asked to clear them
+if (process.env.CLEAR_SESSIONS_ON_BOOT === 'true') {
+    await db.clear_all_sessions()
+}
 
-await db.clear_all_sessions()
 
+// Circuits of failed AI providers are closed again, and the primary provider restored, once they are healthy
+modelController.startHealthProbes()
 
 // Start the Express server
 app.listen(process.env.SERVER_PORT, () => {
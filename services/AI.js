@@ -1,36 +1,38 @@
-import { readFileSync } from 'fs';
 import logger from '../utils/logger.js'
-import { v4 as uuidv4 } from 'uuid'
 import Actions from './Actions.js';
+import { callbackService } from './CallbackService.js';
+import { registryService } from './RegistryService.js';
+import { subscriberLookupService } from './SubscriberLookupService.js';
+import { becknAuthService } from './BecknAuthService.js';
+import { becknContextService } from './BecknContextService.js';
+import CatalogService from './CatalogService.js';
+import { richReplyService } from './RichReplyService.js';
+import SchemaValidator from './SchemaValidator.js';
+import { apply_overlay, schemaRegistry, to_model_schema } from './SchemaRegistry.js';
+import ContextManager from './ContextManager.js';
+import { truncate_text } from '../utils/tokens.js';
+import { extract_json } from '../utils/json.js';
+import { BecknPayloadValidationError } from '../utils/errors.js';
 import ModelController from '../controllers/ModelController.js';
 import { TOOLS } from '../config/GPT/tools.js';
-
-// TODO: Load schemas. This needs to be improved so that any new schema is automatically loaded
-import search from '../config/schemas/search.js';
-import select from '../config/schemas/select.js';
-import init from '../config/schemas/init.js';
-import confirm from '../config/schemas/confirm.js';
-import get_text_by_key from '../utils/language.js';
-import { EMPTY_SESSION } from '../config/constants.js';
-const BECKN_ACTIONS = {
-    search: {
-        schema : search, call_to_action : "Which one would you like to select?"
-    },
-    select: {
-        schema: select, call_to_action: "Would you like to initiate the order?"
-    },
-    init: {
-        schema: init, call_to_action: "Would you like to confirm the order?"
-    },
-    confirm: {
-        schema: confirm, call_to_action: "Your order is confirmed with order id <ORDER_ID>. Would you like to order something else?"
-    }
-}
+import context_schema from '../config/schemas/common/context.js';
+import get_text_by_key, { SUPPORTED_LANGUAGES } from '../utils/language.js';
+import { EMPTY_PROFILE, EMPTY_SESSION, POST_ORDER_ACTIONS } from '../config/constants.js';
 const NUMBER_OF_RETRIES=3;
+// Tool calls that take longer than this many milliseconds are announced to the user
+const PROGRESS_MESSAGE_THRESHOLD = parseInt(process.env.PROGRESS_MESSAGE_THRESHOLD) || 5000;
+// Users can write in any supported language but networks expect beckn payloads in English
+const BECKN_LANGUAGE_INSTRUCTION = "The instruction may be in any language. All values in the payload, such as search keywords, item names and locations, must be in English.";
+// Part of the context that is generated by the model, the rest is set by the bot
+const MODEL_CONTEXT_SCHEMA = {
+    type: 'object',
+    properties: { domain: context_schema.properties.domain },
+    required: ['domain']
+};
+
+// Initialize model controller for AI providers, shared by all sessions
+export const modelController = new ModelController();
 
-// Initialize model controller for AI providers
-const modelController = new ModelController();
-const registry_config = JSON.parse(readFileSync('./config/registry.json'))
 
 class AI {
     
@@ -39,8 +41,14 @@ class AI {
         this.action = null;
         this.bookings = [];
         this.actionService = new Actions();
+        this.catalogService = new CatalogService();
+        this.validator = new SchemaValidator();
         this.session = EMPTY_SESSION;
+        this.user_profile = JSON.parse(JSON.stringify(EMPTY_PROFILE)); // persistent profile of the user
         this.tools = [];
+        this.rich = null; // rich reply of the current turn
+        this.on_event = null; // receives {type: 'token'|'tool_call'|'status', ...} events while the turn is processed
+        this.stream = false; // if true, the response of the model is sent as token events while it is generated
         this.attempt = 0; // for API call attempts
     }
     
@@ -62,14 +70,24 @@ class AI {
             {role: 'assistant', content : "Your tone should be polite and helpful. "},
     
         ]
+        if(this.rich?.list || this.rich?.card){
+            context.push({role: 'assistant', content : "The options and order details of the last tool call are shown to the user as a list or card after your reply. Do not repeat them, only give a short introduction and the next step."});
+        }
+        if(SUPPORTED_LANGUAGES[this.session?.language]){
+            context.push({role: 'assistant', content : `Always reply in ${SUPPORTED_LANGUAGES[this.session.language]}. Instructions passed to the tools should always be in English.`});
+        }
         try{
-            // Use ModelController for unified AI provider access
+            // Older turns that do not fit in the context of the model are rolled into a summary
+            const contextManager = new ContextManager(modelController.getContextSize('chat'), this._summarise_history.bind(this));
+            const tools = await this._get_tools();
             const gpt_response = await modelController.createChatCompletion({
-                model: process.env.OPENAI_MODEL_ID || process.env.LLAMAEDGE_MODEL_NAME,
-                messages: [...context, ...messages],
-                tools: TOOLS,
+                task: 'chat',
+                messages: await contextManager.build(messages, this.session, context, tools),
+                tools: tools,
                 tool_choice: "auto",
-                temperature: 0.7
+                temperature: 0.7,
+                stream: this.stream && !!this.on_event,
+                onDelta: this._on_delta.bind(this)
             });
             let responseMessage = gpt_response.choices[0].message;
     
@@ -86,7 +104,7 @@ class AI {
                     const parameters = JSON.parse(tool.function.arguments);
                     const functionToCall = this.tools[tool.function.name];
                     if (functionToCall) {
-                        const response = await functionToCall(parameters);
+                        const response = await this._with_progress(() => functionToCall(parameters));
                         
                         messages.push({
                             tool_call_id: tool.id,
@@ -113,6 +131,71 @@ class AI {
         } 
     }
 
+    /**
+     * Tools of the model, the beckn actions are the ones with a schema
+     * @returns
+     */
+    async _get_tools(){
+        const actions = await schemaRegistry.get_actions();
+        return TOOLS.map(tool => tool.function.name!='perform_beckn_action'
+            ? tool
+            : apply_overlay(tool, { function: { parameters: { properties: { action: { enum: actions } } } } }));
+    }
+
+    /**
+     * Sends the streamed parts of a response as events
+     * @param {*} delta | delta of a chat completion chunk
+     */
+    async _on_delta(delta){
+        if(delta.content){
+            await this.on_event?.({ type: 'token', content: delta.content });
+        }
+        for(const tool_call of delta.tool_calls || []){
+            if(tool_call.function?.name){
+                await this.on_event?.({ type: 'tool_call', name: tool_call.function.name });
+            }
+        }
+    }
+
+    /**
+     * Runs a tool and lets the user know if it takes longer than PROGRESS_MESSAGE_THRESHOLD
+     * @param {*} task | function that runs the tool
+     * @returns result of the task
+     */
+    async _with_progress(task){
+        if(!this.on_event) return task();
+
+        const language = this.session?.language;
+        let notified = false;
+        const timer = setTimeout(() => {
+            notified = true;
+            this._send_status(get_text_by_key('request_in_progress', {}, 'ALL_MESSAGES', language));
+        }, PROGRESS_MESSAGE_THRESHOLD);
+
+        try{
+            return await task();
+        }
+        finally{
+            clearTimeout(timer);
+            if(notified){
+                await this._send_status(get_text_by_key('request_processed', {}, 'ALL_MESSAGES', language));
+            }
+        }
+    }
+
+    /**
+     * Sends a status message, failures are only logged so that they do not break the turn
+     * @param {*} message
+     */
+    async _send_status(message){
+        try{
+            await this.on_event({ type: 'status', message });
+        }
+        catch(e){
+            logger.error(`Could not send status message : ${e.message}`);
+        }
+    }
+
     /**
      * This function performs a beckn transaction by calling the beckn API and returns the response form API call
      * @param {*} param0 | action and instruction
@@ -128,50 +211,125 @@ class AI {
 
         try{
 
+            if(!(await schemaRegistry.has_action(action))) throw new Error(`Action '${action}' is not supported`);
+
             let context = {};
             let message = {};
             let api_response = {};
+            let validation = {};
             
-            // get context
+            // get context, the model only chooses the domain of a new transaction
             let attempt = 0;
+            let feedback = null;
             while(attempt<NUMBER_OF_RETRIES){
                 logger.warn(`Getting context for action : ${action} | Attempt : ${attempt+1}`);
-                context = await this.get_context_by_action(action, instruction);
-                logger.info("Got context!");
-                if(context) break;
+                context = await this.get_context_by_action(action, instruction, feedback);
+
+                // reuse the details of the order for post order actions
+                if(POST_ORDER_ACTIONS.includes(action)){
+                    this._apply_order_details(action, context, null);
+                }
+
+                validation = this.validator.validate(MODEL_CONTEXT_SCHEMA, context);
+                if(validation.valid) break;
+
+                logger.warn(`Invalid context : ${JSON.stringify(validation.errors)}`);
+                feedback = this.validator.get_repair_feedback(context, validation.errors);
                 attempt++;
             }
+            if(!validation.valid) throw new BecknPayloadValidationError(action, 'context', validation.errors);
+            logger.info("Got context!");
 
-            // get message
+            // get message, the schema of the domain enforces its rules
+            const schema = await schemaRegistry.get_schema(action, context.domain);
             attempt = 0;
+            feedback = null;
             while(attempt<NUMBER_OF_RETRIES){
                 logger.warn(`Getting message for action : ${action} | Attempt : ${attempt+1}`);
-                message = await this.get_message_by_action(action, instruction, context.domain);
-                logger.info("Got message!");
-                if(message) break;
+                message = await this.get_message_by_action(action, instruction, context.domain, feedback);
+
+                if(POST_ORDER_ACTIONS.includes(action)){
+                    this._apply_order_details(action, context, message);
+                }
+
+                // the selected item can be any item from the merged catalog
+                if(action=='select'){
+                    this._apply_catalog_details(context, message);
+                }
+
+                validation = this.validator.validate(schema, message);
+                if(validation.valid) break;
+
+                logger.warn(`Invalid message : ${JSON.stringify(validation.errors)}`);
+                feedback = this.validator.get_repair_feedback(message, validation.errors);
                 attempt++;
             }
+            if(!validation.valid) throw new BecknPayloadValidationError(action, 'message', validation.errors);
+            logger.info("Got message!");
+
+            // location and timestamp are set just before the request is sent
+            await becknContextService.complete_context(context, message, {
+                profile: this.user_profile,
+                transaction: this.session?.beckn_transaction
+            });
+            validation = this.validator.validate_context(context);
+            if(!validation.valid) throw new BecknPayloadValidationError(action, 'context', validation.errors);
 
             // call API
             logger.warn(`Calling API for action : ${action} | Attempt : ${this.attempt+1}`);
-            const url = `${context.base_url}/${action}`;
             const request = {context: context, message: message};
-            api_response = await this.actionService.call_api(url, 'POST', request);
+            const beckn_request = await this._get_beckn_request(action, request);
+            const callbacks = callbackService.register(context);
+            api_response = await this.actionService.call_api(beckn_request.url, 'POST', beckn_request.data, beckn_request.headers);
+            if(api_response?.status && !api_response.data?.responses && api_response.data?.message?.ack?.status=='ACK'){
+                // Responses will be delivered asynchronously to the on_* callbacks
+                logger.info(`Request acknowledged, waiting for on_${action} callbacks...`);
+                api_response.data.responses = await callbacks;
+            }
+            else{
+                callbackService.cancel(context);
+            }
             logger.info("Got API response!");
             
-            if(api_response?.status && api_response?.data?.responses?.length>0){
+            let responses = api_response?.data?.responses || [];
+            let data = responses;
+            if(action=='search' && responses.length>0){
+                // merge the catalogs of all BPPs and only share a ranked summary of it
+                const catalog = this.catalogService.merge(responses);
+                if(catalog.providers.length>0){
+                    const reference = this.catalogService.get_reference(message, this.session?.profile?.selected_route);
+                    const ranked = this.catalogService.rank(catalog, reference);
+                    data = this.catalogService.summarise(ranked);
+                    this.session.beckn_transaction.catalog = catalog;
+
+                    if(this.rich){
+                        const catalog_reply = richReplyService.get_catalog_reply(ranked, this.session?.language);
+                        this.rich.list = catalog_reply.list;
+                        this.rich.media.push(...catalog_reply.media);
+                    }
+                }
+                else{
+                    responses = [];
+                }
+            }
+
+            if(api_response?.status && responses.length>0){
                 response={
                     status: true,
-                    data: api_response?.data?.responses,
-                    message: api_response.data.responses.length>0 ? BECKN_ACTIONS[action]['call_to_action'] : "No response found for the given action"
+                    data: data,
+                    message: await schemaRegistry.get_call_to_action(action)
                 }
-    
-                
+
                 // update last action and response
-                if(api_response?.data?.responses?.length>0){
-                    this.session.profile.last_action = action;
-                    this.session.beckn_transaction.responses[action] = request;
-                    this.session.beckn_transaction.responses[`on_${action}`] = api_response.data.responses;
+                this.session.profile.last_action = action;
+                this.session.beckn_transaction.responses[action] = request;
+                this.session.beckn_transaction.responses[`on_${action}`] = data;
+                this._update_orders(action, responses);
+                if(action=='init' || action=='confirm'){
+                    this._update_user_profile(message);
+                }
+                if(action=='confirm' && this.rich){
+                    this.rich.card = richReplyService.get_order_card(responses[0], this.session?.language);
                 }
             }
             else if(this.attempt<NUMBER_OF_RETRIES){
@@ -187,57 +345,42 @@ class AI {
         catch(e){
             logger.error(e);
             response.message = e.message;
+            if(e instanceof BecknPayloadValidationError){
+                // the payload is not sent to the network, share the reason with the model
+                response.errors = e.errors;
+            }
         }
 
         return response;
     }
 
-    async get_context_by_action(action, instruction){
-        
-        const desired_structure = {
-            domain:`DOMAIN_AS_PER_REGISTRY_AND_INSTRUCTION_GIVEN_BY_USER`            
+    /**
+     * Context of a request, built from the registry and the state of the transaction.
+     * The model is only asked for the domain when it is not known from the previous actions of the order or the orders of the user.
+     * @param {*} action
+     * @param {*} instruction
+     * @param {*} feedback | validation feedback of the previous attempt
+     * @returns context or an empty object if the domain could not be found
+     */
+    async get_context_by_action(action, instruction, feedback=null){
+        const transaction = this.session?.beckn_transaction;
+        let domain = becknContextService.get_previous_context(action, transaction).domain;
+        if(!domain && POST_ORDER_ACTIONS.includes(action)){
+            domain = this._get_order_for_action(action, {}, null)?.context?.domain;
         }
 
-        let last_action_context=[];
-        if(action!='search'){
-            desired_structure.bpp_id = `<bpp_id as per user selection and last response>`;
-            desired_structure.bpp_uri = `<bpp_uri as per user selection and last response>`;
-
-            // last action context
-            if(this.session?.profile?.last_action && this.session.beckn_transaction?.responses[`on_${this.session.profile.last_action}`]){
-                last_action_context = [
-                    {role: 'system', content: `Response of last action '${this.session.profile.last_action}' is : ${JSON.stringify(this.session.beckn_transaction?.responses[`on_${this.session.profile.last_action}`])}`},
-                ]
+        try {
+            if(!domain){
+                domain = await this._get_domain(instruction, feedback);
             }
-        }
-        
-        let response = {
-            message_id : uuidv4(),
-            transaction_id: uuidv4(),
-            base_url: registry_config[0].url,
-            bap_id: registry_config[0].bap_subscriber_id,
-            bap_uri: registry_config[0].bap_subscriber_url,
-            action: action,
-            version: registry_config[0].version,            
-        }
-
-        const openai_messages = [
-            { role: 'system', content: `Your job is to analyse the given instruction, registry details and generate a config json in the following structure : ${JSON.stringify(desired_structure)}` },
-            { role: 'system', content: `Registry  : ${JSON.stringify(registry_config)}` },
-            ...last_action_context,
-            { role: 'system', content: `Instruction : ${instruction}` }
-        ]
 
-        try {
-            const completion = await modelController.createChatCompletion({
-                messages: openai_messages,
-                model: process.env.OPENAI_MODEL_ID || process.env.LLAMAEDGE_MODEL_NAME,
-                temperature: 0,
-                response_format: { type: 'json_object' },
-            })
-            let gpt_response = JSON.parse(completion.choices[0].message.content)
-            response = {...response, ...gpt_response};            
-            logger.verbose(`Got context from instruction : ${JSON.stringify(response)}`);
+            // route the request to the network of the transaction
+            const network = this._get_network(action, domain);
+            if(action=='search' && transaction){
+                transaction.network = network?.bap_subscriber_id || null;
+            }
+            const response = becknContextService.create_context(action, { domain, network, transaction });
+            logger.verbose(`Got context : ${JSON.stringify(response)}`);
             return response;
         } catch (e) {
             logger.error(e)
@@ -245,26 +388,60 @@ class AI {
         }
     }
 
-    async get_message_by_action(action, instruction, domain=null) {
+    /**
+     * Asks the model for the domain of the instruction as per the registry
+     * @param {*} instruction
+     * @param {*} feedback
+     * @returns
+     */
+    async _get_domain(instruction, feedback=null){
+        const openai_messages = [
+            { role: 'system', content: `Your job is to analyse the given instruction, registry details and generate a config json in the following structure : ${JSON.stringify({domain: 'DOMAIN_AS_PER_REGISTRY_AND_INSTRUCTION_GIVEN_BY_USER'})}` },
+            { role: 'system', content: `Registry  : ${JSON.stringify(registryService.get_networks())}` },
+            { role: 'system', content: `Instruction : ${instruction}` },
+            { role: 'system', content: BECKN_LANGUAGE_INSTRUCTION },
+            ...(feedback ? [{ role: 'system', content: feedback }] : [])
+        ]
+
+        const completion = await modelController.createChatCompletion({
+            task: 'context',
+            messages: openai_messages,
+            temperature: 0,
+            response_format: { type: 'json_schema', json_schema: { name: 'context', schema: MODEL_CONTEXT_SCHEMA } },
+        })
+        const gpt_response = extract_json(completion.choices[0].message.content, { objects_only: true });
+        modelController.recordParse(completion, !!gpt_response);
+        if(!gpt_response) throw new Error('Could not parse the context generated by the model');
+        return gpt_response.domain;
+    }
+
+    async get_message_by_action(action, instruction, domain=null, feedback=null) {
         logger.info(`get_message_by_action() : ${action}, ${instruction}`)
         
         const messages = [
             { role: "assistant", content: `Current date is ${new Date().toISOString()}` },
-            { role: "user", content: instruction }
+            { role: "user", content: instruction },
+            { role: 'system', content: BECKN_LANGUAGE_INSTRUCTION },
+            ...(feedback ? [{ role: 'system', content: feedback }] : [])
         ];
 
         // Add domain context
         let domain_context = [];
-        if(domain && registry_config[0].policies.domains[domain]){
+        const policy = domain && this._get_network(action, domain)?.policies?.domains?.[domain];
+        if(policy){
             domain_context = [
                 { role: 'system', content: `Domain : ${domain}`},
-                { role: 'system', content: `Use the following policy : ${JSON.stringify(registry_config[0].policies.domains[domain])}` }
+                { role: 'system', content: `Use the following policy : ${JSON.stringify(policy)}` }
             ]            
         }
 
         // last action context
         let last_action_context=[];
-        if(action!='search'){
+        if(POST_ORDER_ACTIONS.includes(action)){
+            // orders context
+            last_action_context = this._get_orders_context();
+        }
+        else if(action!='search'){
             // last action context
             let prefix = this.session?.profile?.last_action=='search' ? 'on_' : '';
             if(this.session?.profile?.last_action && this.session.beckn_transaction?.responses[`${prefix}${this.session.profile.last_action}`]){
@@ -281,8 +458,12 @@ class AI {
                 { role: 'system', content: `User profile : ${JSON.stringify(this.session.profile)}` }
             ]
         }
+        if(this.user_profile){
+            profile_context.push({ role: 'system', content: `Saved user details, use them if the user has not shared them : ${JSON.stringify(this.user_profile)}` });
+        }
     
-        const schema = BECKN_ACTIONS[action]['schema'];
+        // properties that must not be used in the domain are not shown to the model
+        const schema = to_model_schema(await schemaRegistry.get_schema(action, domain));
 
         const tools = [
             {
@@ -298,17 +479,19 @@ class AI {
         try{
             // Use ModelController for unified AI provider access
             const response = await modelController.createChatCompletion({
-                model: process.env.OPENAI_MODEL_ID || process.env.LLAMAEDGE_MODEL_NAME,
+                task: 'message',
                 messages: [
                     ...domain_context,
                     ...last_action_context,
                     ...profile_context,
                     ...messages],
                 tools: tools,
-                tool_choice: "auto",
+                tool_choice: { type: "function", function: { name: "get_message" } },
                 temperature: 0.1
             });
-            let responseMessage = JSON.parse(response.choices[0].message?.tool_calls[0]?.function?.arguments) || null;
+            let responseMessage = extract_json(response.choices[0].message?.tool_calls?.[0]?.function?.arguments, { objects_only: true });
+            modelController.recordParse(response, !!responseMessage);
+            if(!responseMessage) throw new Error('Could not parse the message generated by the model');
 
             responseMessage = await this._cleanup_beckn_message(action, responseMessage);
 
@@ -323,6 +506,32 @@ class AI {
         }        
     }
 
+    /**
+     * Summarises older messages of the conversation
+     * @param {*} summary | summary of the conversation so far
+     * @param {*} messages | messages to add to the summary
+     * @returns new summary
+     */
+    async _summarise_history(summary, messages){
+        const transcript = messages.map(message => {
+            const content = message.tool_calls
+                ? `called ${message.tool_calls.map(tool => `${tool.function.name}(${tool.function.arguments})`).join(', ')}`
+                : message.content;
+            return `${message.role} : ${truncate_text(content, 200)}`;
+        }).join('\n');
+
+        const completion = await modelController.createChatCompletion({
+            task: 'summary',
+            messages: [
+                { role: 'system', content: 'Summarise the conversation between a user and a travel planner ai agent in a few sentences. Keep the details needed to continue the conversation such as names, locations, dates, selected items and order ids. Reply with the summary only.' },
+                ...(summary ? [{ role: 'system', content: `Summary of the conversation before these messages : ${summary}` }] : []),
+                { role: 'user', content: transcript }
+            ],
+            temperature: 0
+        });
+        return completion.choices[0].message.content;
+    }
+
     async _cleanup_beckn_message(action, message){
         // cleanup polygon
         if(action=='search' && message?.intent?.fulfillment?.stops){
@@ -342,7 +551,197 @@ class AI {
         }
 
         return message;
-    }    
+    }
+
+    /**
+     * Returns the network to which an action should be sent. 
+     * Actions that continue a transaction are sent to the network on which the search was performed, others are routed as per the domain.
+     * @param {*} action 
+     * @param {*} domain 
+     * @returns 
+     */
+    _get_network(action, domain){
+        if(action!='search' && !POST_ORDER_ACTIONS.includes(action)){
+            const network = registryService.get_network(this.session?.beckn_transaction?.network);
+            if(network) return network;
+        }
+        return registryService.get_network_by_domain(domain);
+    }
+
+    /**
+     * Url, body and headers of a beckn request
+     * Requests of direct networks, where the bot is its own BAP, are signed and sent to the bpp found in the registry,
+     * or to the gateway in the url of the network for search. Other networks get the request through their BAP client.
+     * @param {*} action
+     * @param {*} request | {context, message}, the bpp_uri of the context is updated in place
+     * @returns {url, data, headers}
+     */
+    async _get_beckn_request(action, request){
+        const network = registryService.get_network(request.context.bap_id);
+        if(!network?.direct){
+            return { url: `${request.context.base_url}/${action}`, data: request, headers: {} };
+        }
+
+        if(request.context.bpp_id){
+            request.context.bpp_uri = await subscriberLookupService.get_bpp_uri(network.registry_url, request.context.bpp_id, request.context.domain);
+        }
+
+        // base_url is only used by the bot, the body is signed exactly as it is sent
+        const context = {...request.context};
+        delete context.base_url;
+        const body = JSON.stringify({ context, message: request.message });
+        return {
+            url: `${(request.context.bpp_uri || network.url).replace(/\/$/, '')}/${action}`,
+            data: body,
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: becknAuthService.sign(network.bap_subscriber_id, body)
+            }
+        };
+    }
+
+    /**
+     * Updates the select request with the provider and bpp of the selected item from the merged catalog
+     * @param {*} context | updated in place
+     * @param {*} message | updated in place
+     */
+    _apply_catalog_details(context, message){
+        const item_id = message?.order?.items?.[0]?.id;
+        const match = item_id && this.catalogService.find_item(this.session?.beckn_transaction?.catalog, item_id);
+        if(!match) return;
+
+        context.bpp_id = match.provider.bpp_id;
+        context.bpp_uri = match.provider.bpp_uri;
+        message.order.provider = {...message.order.provider, id: match.provider.id};
+    }
+
+    /**
+     * Saves the billing details used for an order to the persistent profile of the user
+     * @param {*} message | init or confirm message
+     */
+    _update_user_profile(message){
+        const billing = message?.order?.billing;
+        if(!billing || !this.user_profile) return;
+
+        for(const field of ['name', 'email', 'phone']){
+            if(billing[field]) this.user_profile[field] = billing[field];
+        }
+        if(!this.user_profile.addresses) this.user_profile.addresses = [];
+        if(billing.address && !this.user_profile.addresses.includes(billing.address)){
+            this.user_profile.addresses.push(billing.address);
+        }
+    }
+
+    /**
+     * Returns the orders confirmed by the user as context for post order actions
+     * @returns
+     */
+    _get_orders_context(){
+        const orders = (this.session?.orders || []).map(order => ({
+            domain: order.context?.domain,
+            bpp_id: order.context?.bpp_id,
+            bpp_uri: order.context?.bpp_uri,
+            order: order.message?.order
+        }));
+
+        return [
+            {role: 'system', content: `Orders confirmed by the user (latest last) : ${JSON.stringify(orders)}`},
+        ]
+    }
+
+    /**
+     * Finds the order on which a post order action is to be performed. 
+     * It matches the order id from the message, then the bpp_id from the context and finally falls back to the latest order.
+     * @param {*} action 
+     * @param {*} context 
+     * @param {*} message 
+     * @returns 
+     */
+    _get_order_for_action(action, context, message){
+        const orders = this.session?.orders || [];
+        const order_id = this._get_order_id(action, message);
+
+        return orders.find(order => order_id && order.message?.order?.id == order_id)
+            || [...orders].reverse().find(order => context?.bpp_id && order.context?.bpp_id == context.bpp_id)
+            || orders[orders.length-1]
+            || null;
+    }
+
+    _get_order_id(action, message){
+        switch(action){
+        case 'update':
+            return message?.order?.id;
+        case 'support':
+            return message?.support?.order_id;
+        case 'rating':
+            return message?.ratings?.find(rating => rating.rating_category=='Order')?.id;
+        default:
+            return message?.order_id;
+        }
+    }
+
+    /**
+     * Reuses the details of the stored order for post order actions so that the request is sent to the bpp that the order was placed with.
+     * @param {*} action 
+     * @param {*} context | updated in place
+     * @param {*} message | updated in place
+     */
+    _apply_order_details(action, context, message){
+        const order = this._get_order_for_action(action, context, message);
+        if(!order) return;
+
+        context.domain = order.context?.domain || context.domain;
+        context.bpp_id = order.context?.bpp_id || context.bpp_id;
+        context.bpp_uri = order.context?.bpp_uri || context.bpp_uri;
+
+        // send the request to the network on which the order was placed
+        const network = registryService.get_network(order.context?.bap_id) || registryService.get_network_by_domain(context.domain);
+        Object.assign(context, becknContextService.get_network_context(network));
+
+        // post order actions continue the transaction of the order
+        context.transaction_id = order.context?.transaction_id || context.transaction_id;
+
+        const order_id = order.message?.order?.id;
+        if(!message || !order_id || this._get_order_id(action, message)) return;
+
+        switch(action){
+        case 'update':
+            message.order = {...message.order, id: order_id};
+            break;
+        case 'support':
+            message.support = {...message.support, order_id: order_id};
+            break;
+        case 'rating':
+            break;
+        default:
+            message.order_id = order_id;
+        }
+    }
+
+    /**
+     * Saves confirmed orders to the session and keeps them updated with the latest order details received in post order responses
+     * @param {*} action 
+     * @param {*} responses 
+     */
+    _update_orders(action, responses){
+        if(!this.session.orders) this.session.orders = [];
+
+        for(const response of responses){
+            const order = response?.message?.order;
+            if(!order?.id) continue;
+
+            const index = this.session.orders.findIndex(existing => existing.message?.order?.id == order.id);
+            if(action=='confirm' && index<0){
+                this.session.orders.push(response);
+            }
+            else if(index>=0 && ['confirm', 'status', 'cancel', 'update'].includes(action)){
+                this.session.orders[index].message.order = {
+                    ...this.session.orders[index].message.order,
+                    ...order
+                };
+            }
+        }
+    }
 
 }
 
@@ -1,16 +1,11 @@
-import twilio from 'twilio'
 import logger from '../utils/logger.js'
 import axios from 'axios'
 import {createWriteStream} from 'fs'
 import path from 'path'
 import { v4 as uuidv4 } from 'uuid'
 import { fileURLToPath } from 'url';
+import { get_channel } from './channels/index.js'
 const __filename = fileURLToPath(import.meta.url);
-const accountSid = process.env.TWILIO_ACCOUNT_SID
-const authToken = process.env.TWILIO_AUTH_TOKEN
-const twilioNumber = process.env.TWILIO_NUMBER
-
-const client = twilio(accountSid, authToken)
 const __dirname = path.dirname(__filename);
 const rootPath = path.resolve(__dirname, './');
 
@@ -34,19 +29,6 @@ class Actions {
         try {
             let response = await axios(request)
             
-            // optimise search results. 
-            // This code will ensure that for search resylts, only the responses with catalog providers are returned and out of them we only take the first resopnse to further reduce the token size. 
-            // This should be imlemented by different baps based on their requirements.
-            if(request.data.context && request.data.context.action==='search'){
-                response.data.responses = response.data.responses.filter(res => res.message && res.message.catalog && res.message.catalog.providers && res.message.catalog.providers.length > 0)
-                if(response.data.responses.length > 0) {
-                    response.data.responses = response.data.responses.slice(0, 1);                
-                    if(response?.data?.responses[0].message?.catalog?.providers){
-                        response.data.responses[0].message.catalog.providers = response.data.responses[0].message.catalog.providers.slice(0, 3);
-                    }
-                }
-                
-            }
             responseObject = {
                 status: true,
                 data: response.data,
@@ -64,24 +46,15 @@ class Actions {
         return responseObject
     }
     
+    /**
+     * Sends a whatsapp message
+     * @param {*} recipient | phone number with or without the 'whatsapp:' prefix
+     * @param {*} message 
+     * @param {*} media_url 
+     * @returns 
+     */
     async send_message(recipient, message, media_url=null) {
-        try {
-            let body = {
-                body: message,
-                from: `whatsapp:${twilioNumber}`,
-                to: recipient.includes('whatsapp:') ? recipient : `whatsapp:${recipient}`,
-            }
-            
-            if(media_url && !parseInt(process.env.DEVELOPER_MODE_ON)){
-                body.mediaUrl = [media_url];
-            }
-            let data = await client.messages.create(body)
-            const status = await client.messages(data.sid).fetch()
-            return { deliveryStatus: status.status }
-        } catch (error) {
-            logger.error(`Error sending message: ${error.message}`)           
-            return false;
-        }
+        return get_channel('whatsapp').send_message(recipient, message, media_url ? [media_url] : []);
     }
     
     async download_file(url) {
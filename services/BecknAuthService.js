@@ -0,0 +1,73 @@
+import logger from '../utils/logger.js'
+import { subscriberLookupService } from './SubscriberLookupService.js'
+import {
+    create_authorization_header,
+    parse_authorization_header,
+    verify_authorization_header,
+} from '../utils/beckn_signature.js'
+
+function load_signing_keys() {
+    try {
+        return JSON.parse(process.env.BECKN_SIGNING_KEYS || '{}')
+    } catch (e) {
+        logger.error('BECKN_SIGNING_KEYS is not valid JSON, requests can not be signed')
+        return {}
+    }
+}
+
+/**
+ * Signs the beckn requests of the networks in which the bot is its own BAP and verifies the signatures of their callbacks.
+ * Signing keys are configured in BECKN_SIGNING_KEYS as {"<bap_subscriber_id>": {"unique_key_id": "", "private_key": ""}}
+ */
+class BecknAuthService {
+    constructor(signing_keys = null, lookup = subscriberLookupService) {
+        this.signing_keys = signing_keys || load_signing_keys()
+        this.lookup = lookup
+    }
+
+    has_signing_key(subscriber_id) {
+        const key = this.signing_keys[subscriber_id]
+        return !!(key?.unique_key_id && key?.private_key)
+    }
+
+    /**
+     * Authorization header of a request sent by a subscriber
+     * @param {*} subscriber_id | bap_subscriber_id of the network
+     * @param {*} body | raw request body
+     * @returns
+     */
+    sign(subscriber_id, body) {
+        if (!this.has_signing_key(subscriber_id)) {
+            throw new Error(`No signing key for '${subscriber_id}' in BECKN_SIGNING_KEYS`)
+        }
+        return create_authorization_header(body, { subscriber_id, ...this.signing_keys[subscriber_id] })
+    }
+
+    /**
+     * Verifies the signature of a request with the public key of the sender in the registry
+     * @param {*} header | Authorization header
+     * @param {*} body | raw request body
+     * @param {*} registry_url
+     * @returns {valid, error, subscriber_id}
+     */
+    async verify(header, body, registry_url) {
+        const params = parse_authorization_header(header)
+        if (!params) return { valid: false, error: 'missing signature' }
+
+        let public_key = null
+        try {
+            public_key = await this.lookup.get_public_key(registry_url, params.subscriber_id, params.unique_key_id)
+        } catch (e) {
+            logger.error(`Lookup of '${params.subscriber_id}' failed : ${e.message}`)
+            return { valid: false, error: 'registry lookup failed', subscriber_id: params.subscriber_id }
+        }
+        if (!public_key) {
+            return { valid: false, error: 'unknown subscriber', subscriber_id: params.subscriber_id }
+        }
+
+        return { ...verify_authorization_header(header, body, public_key), subscriber_id: params.subscriber_id }
+    }
+}
+
+export const becknAuthService = new BecknAuthService()
+export default BecknAuthService
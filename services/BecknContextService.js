@@ -0,0 +1,164 @@
+import { v4 as uuidv4 } from 'uuid'
+import logger from '../utils/logger.js'
+import MapService from './MapService.js'
+
+// Time the BPPs have to respond and the bot waits for callbacks (ISO 8601 duration)
+const DEFAULT_TTL = process.env.BECKN_CALLBACK_TTL || 'PT10S'
+// Actions of an order, each one continues the transaction of the previous ones
+const ORDER_FLOW = ['search', 'select', 'init', 'confirm']
+
+/**
+ * Builds the context of beckn requests from the state of the transaction instead of asking the model for it
+ * All requests of an order share the transaction_id kept in session.beckn_transaction.id, each request gets a new message_id.
+ */
+class BecknContextService {
+    /**
+     * @param {*} mapService | used to find the city and country of gps points
+     * @param {*} ttl | ISO 8601 duration
+     */
+    constructor(mapService = new MapService(), ttl = DEFAULT_TTL) {
+        this.mapService = mapService
+        this.ttl = ttl
+    }
+
+    /**
+     * Context of a new request
+     * @param {*} action
+     * @param {*} param1 | domain, network from the registry and the beckn_transaction of the session which is updated in place
+     * @returns context without location and timestamp, which are added by complete_context before the request is sent
+     */
+    create_context(action, { domain, network, transaction }) {
+        const previous = this.get_previous_context(action, transaction)
+        return {
+            domain: domain || previous.domain,
+            action,
+            ...this.get_network_context(network),
+            ...(previous.bpp_id && { bpp_id: previous.bpp_id, bpp_uri: previous.bpp_uri }),
+            transaction_id: this.get_transaction_id(action, transaction),
+            message_id: uuidv4(),
+            ttl: this.ttl,
+        }
+    }
+
+    /**
+     * Details of the BAP of a network from the registry
+     * @param {*} network
+     * @returns
+     */
+    get_network_context(network) {
+        return {
+            version: network?.version,
+            base_url: network?.url,
+            bap_id: network?.bap_subscriber_id,
+            bap_uri: network?.bap_subscriber_url,
+        }
+    }
+
+    /**
+     * A search starts a new transaction, the actions after it continue the transaction of the session
+     * Post order actions use the transaction of their order, which is set from the stored order.
+     * @param {*} action
+     * @param {*} transaction | beckn_transaction of the session, updated in place
+     * @returns
+     */
+    get_transaction_id(action, transaction) {
+        if (!transaction) return uuidv4()
+        if (action === 'search' || !transaction.id) {
+            transaction.id = uuidv4()
+            // the location of the previous transaction may not apply to the new one
+            delete transaction.location
+        }
+        return transaction.id
+    }
+
+    /**
+     * Domain and bpp of the transaction from the previous actions of the order
+     * The bpp of a select is known from the catalog if all its items are from a single bpp, otherwise it is set from the selected item.
+     * @param {*} action
+     * @param {*} transaction | beckn_transaction of the session
+     * @returns {domain, bpp_id, bpp_uri}, empty for a search and post order actions
+     */
+    get_previous_context(action, transaction) {
+        const index = ORDER_FLOW.indexOf(action)
+        if (index < 1 || !transaction?.responses) return {}
+
+        const domain = transaction.responses.search?.context?.domain
+        for (const previous of ORDER_FLOW.slice(1, index).reverse()) {
+            const response = []
+                .concat(transaction.responses[`on_${previous}`] || [])
+                .find((response) => response?.context?.bpp_id)
+            const context = response?.context || transaction.responses[previous]?.context
+            if (context?.bpp_id) {
+                return { domain: domain || context.domain, bpp_id: context.bpp_id, bpp_uri: context.bpp_uri }
+            }
+        }
+
+        const providers = transaction.catalog?.providers || []
+        const bpps = [...new Map(providers.map((provider) => [provider.bpp_id, provider]))]
+        if (bpps.length === 1) {
+            const [[bpp_id, provider]] = bpps
+            return { domain: domain || provider.domain, bpp_id, bpp_uri: provider.bpp_uri }
+        }
+        return domain ? { domain } : {}
+    }
+
+    /**
+     * City and country of the request from the profile of the user or the gps points of the message
+     * The location found is kept in the transaction for the next actions of the order.
+     * @param {*} message
+     * @param {*} param1 | profile of the user and beckn_transaction of the session, updated in place
+     * @returns {city: {name}, country: {code}} or null if it is not known
+     */
+    async get_location(message, { profile, transaction } = {}) {
+        if (profile?.city || profile?.country) {
+            return to_location(profile.city, profile.country)
+        }
+        if (transaction?.location) return transaction.location
+
+        const gps = find_gps(message)
+        if (!gps) return null
+
+        const found = await this.mapService.lookupLocation(gps)
+        const location = found && to_location(found.city, found.country)
+        if (location && transaction) transaction.location = location
+        return location || null
+    }
+
+    /**
+     * Adds the location and timestamp to the context of a request that is ready to be sent
+     * @param {*} context | updated in place
+     * @param {*} message
+     * @param {*} state | profile and transaction
+     * @returns
+     */
+    async complete_context(context, message, state = {}) {
+        try {
+            const location = await this.get_location(message, state)
+            if (location) context.location = location
+        } catch (e) {
+            logger.error(`Could not find the location of the request : ${e.message}`)
+        }
+        context.timestamp = new Date().toISOString()
+        return context
+    }
+}
+
+function to_location(city, country) {
+    if (!city && !country) return null
+    return {
+        ...(city && { city: { name: city } }),
+        ...(country && { country: { code: country } }),
+    }
+}
+
+// first gps point of the stops of a search or the fulfillments of an order
+function find_gps(message) {
+    const stops = [
+        ...(message?.intent?.fulfillment?.stops || []),
+        ...(message?.order?.fulfillments || []).flatMap((fulfillment) => fulfillment?.stops || []),
+    ]
+    return stops.map((stop) => stop?.location?.gps).find((gps) => gps) || null
+}
+
+export const becknContextService = new BecknContextService()
+export default BecknContextService
@@ -0,0 +1,113 @@
+import logger from '../utils/logger.js'
+
+const DEFAULT_TTL = process.env.BECKN_CALLBACK_TTL || 'PT10S'
+
+/**
+ * Converts an ISO 8601 duration to milliseconds
+ * @param {*} duration | format : PnDTnHnMnS e.g. PT30S, PT1M30S
+ * @returns duration in milliseconds or null if the duration is not valid
+ */
+function duration_to_ms(duration) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(
+        duration || ''
+    )
+    if (!match || duration === 'P' || duration.endsWith('T')) return null
+
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match
+    return (
+        (((parseInt(days) * 24 + parseInt(hours)) * 60 + parseInt(minutes)) *
+            60 +
+            parseFloat(seconds)) *
+        1000
+    )
+}
+
+/**
+ * Matches asynchronous on_* callbacks from the BAP to the requests waiting for them
+ */
+class CallbackService {
+    constructor() {
+        this.pending = new Map()
+    }
+
+    _get_key(context) {
+        return `${context?.transaction_id}:${context?.message_id}`
+    }
+
+    /**
+     * Registers a request that is waiting for callbacks.
+     * Responses are gathered until the ttl of the context runs out.
+     * Requests sent to a single bpp (having bpp_id in context) are resolved as soon as the first response arrives.
+     * @param {*} context | beckn context of the request
+     * @returns promise that resolves with the list of responses received
+     */
+    register(context) {
+        const key = this._get_key(context)
+        const ttl = duration_to_ms(context.ttl) ?? duration_to_ms(DEFAULT_TTL)
+
+        return new Promise((resolve) => {
+            const entry = {
+                action: context.action,
+                bap_id: context.bap_id,
+                bpp_id: context.bpp_id || null,
+                unicast: !!context.bpp_id,
+                responses: [],
+                resolve,
+                timer: setTimeout(() => this._complete(key), ttl),
+            }
+            this.pending.set(key, entry)
+            logger.verbose(`Waiting ${ttl}ms for callbacks of ${key}`)
+        })
+    }
+
+    /**
+     * Request waiting for the callback of a context
+     * @param {*} context | context of an on_* payload
+     * @returns {action, bap_id, bpp_id} of the request as it was sent, or null if no request is waiting
+     */
+    get_pending(context) {
+        const entry = this.pending.get(this._get_key(context))
+        return entry ? { action: entry.action, bap_id: entry.bap_id, bpp_id: entry.bpp_id } : null
+    }
+
+    /**
+     * Stops waiting for callbacks of a request, for e.g. when the response was received synchronously
+     * @param {*} context
+     */
+    cancel(context) {
+        this._complete(this._get_key(context))
+    }
+
+    /**
+     * Adds a callback payload to the request waiting for it
+     * @param {*} payload | on_* payload with context and message
+     * @returns true if a request was waiting for the payload
+     */
+    receive(payload) {
+        const key = this._get_key(payload?.context)
+        const entry = this.pending.get(key)
+        if (!entry || payload.context.action !== `on_${entry.action}`) {
+            logger.warn(`No request waiting for ${payload?.context?.action} of ${key}`)
+            return false
+        }
+
+        entry.responses.push(payload)
+        if (entry.unicast) this._complete(key)
+
+        return true
+    }
+
+    _complete(key) {
+        const entry = this.pending.get(key)
+        if (!entry) return
+
+        clearTimeout(entry.timer)
+        this.pending.delete(key)
+        logger.info(`Got ${entry.responses.length} callbacks for ${key}`)
+        entry.resolve(entry.responses)
+    }
+}
+
+export { duration_to_ms }
+export const callbackService = new CallbackService()
+export default CallbackService
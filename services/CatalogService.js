@@ -0,0 +1,237 @@
+import polyline from '@mapbox/polyline'
+import logger from '../utils/logger.js'
+import { estimate_tokens } from '../utils/tokens.js'
+
+const TOKEN_BUDGET = parseInt(process.env.CATALOG_TOKEN_BUDGET) || 1500
+const DEFAULT_WEIGHTS = { price: 1, distance: 1, rating: 1 }
+
+function parse_gps(gps) {
+    if (typeof gps !== 'string') return null
+    const [lat, lng] = gps.split(',').map((value) => parseFloat(value))
+    return isNaN(lat) || isNaN(lng) ? null : [lat, lng]
+}
+
+/**
+ * Distance between two points in kilometers using the haversine formula
+ */
+function get_distance(start, end) {
+    const degToRad = (deg) => (deg * Math.PI) / 180
+    const R = 6371
+
+    const dLat = degToRad(end[0] - start[0])
+    const dLon = degToRad(end[1] - start[1])
+    const a =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(degToRad(start[0])) * Math.cos(degToRad(end[0])) * Math.sin(dLon / 2) ** 2
+
+    return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
+
+/**
+ * Normalises a value to a score between 0 and 1 where 1 is the best value
+ */
+function normalise(value, min, max, lower_is_better = false) {
+    if (value === null || value === undefined) return 0
+    if (max === min) return 1
+    const score = (value - min) / (max - min)
+    return lower_is_better ? 1 - score : score
+}
+
+/**
+ * Aggregates the catalogs received from multiple BPPs in on_search responses
+ */
+class CatalogService {
+    constructor() {
+        try {
+            this.weights = {
+                ...DEFAULT_WEIGHTS,
+                ...JSON.parse(process.env.CATALOG_RANKING_WEIGHTS || '{}'),
+            }
+        } catch (e) {
+            logger.error(`Invalid CATALOG_RANKING_WEIGHTS, using defaults : ${e.message}`)
+            this.weights = DEFAULT_WEIGHTS
+        }
+    }
+
+    /**
+     * Merges all on_search responses into a single catalog.
+     * Providers are de-duplicated by bpp and provider id and items by their id within a provider.
+     * @param {*} responses | list of on_search responses
+     * @returns merged catalog in the format {providers: [{bpp_id, bpp_uri, domain, ...provider}]}
+     */
+    merge(responses = []) {
+        const providers = new Map()
+
+        for (const response of responses) {
+            const { bpp_id, bpp_uri, domain } = response?.context || {}
+            for (const provider of response?.message?.catalog?.providers || []) {
+                const key = `${bpp_id}:${provider.id}`
+                const existing = providers.get(key)
+                if (!existing) {
+                    providers.set(key, { ...provider, bpp_id, bpp_uri, domain, items: [] })
+                }
+
+                const merged = providers.get(key)
+                for (const item of provider.items || []) {
+                    if (!merged.items.find((existing_item) => existing_item.id === item.id)) {
+                        merged.items.push(item)
+                    }
+                }
+            }
+        }
+
+        return { providers: [...providers.values()] }
+    }
+
+    /**
+     * Finds an item in the catalog
+     * @param {*} catalog
+     * @param {*} item_id
+     * @returns {provider, item} or null if the item is not found
+     */
+    find_item(catalog, item_id) {
+        for (const provider of catalog?.providers || []) {
+            const item = provider.items.find((item) => item.id == item_id)
+            if (item) return { provider, item }
+        }
+        return null
+    }
+
+    /**
+     * Distance of a provider or item from the reference location in kilometers
+     * @param {*} provider
+     * @param {*} item
+     * @param {*} reference | {gps: [lat, lng], route: [[lat, lng], ...]}
+     * @returns
+     */
+    get_distance(provider, item, reference) {
+        const location =
+            provider.locations?.find((location) => item.location_ids?.includes(location.id)) ||
+            provider.locations?.[0]
+        const point = parse_gps(location?.gps)
+        if (!point) return null
+
+        if (reference?.route?.length) {
+            return Math.min(...reference.route.map((route_point) => get_distance(point, route_point)))
+        }
+        if (reference?.gps) {
+            return get_distance(point, reference.gps)
+        }
+        return null
+    }
+
+    /**
+     * Reference location for ranking from the search request or the route selected by the user
+     * @param {*} message | search message
+     * @param {*} selected_route | route selected by the user
+     * @returns
+     */
+    get_reference(message, selected_route = null) {
+        const stops = message?.intent?.fulfillment?.stops || []
+        const encoded = stops.find((stop) => stop.location?.polygon)?.location?.polygon || selected_route?.polyline
+        let route = null
+        if (encoded) {
+            try {
+                route = polyline.decode(encoded)
+            } catch (e) {
+                logger.warn(`Could not decode route for ranking : ${e.message}`)
+            }
+        }
+
+        return {
+            gps: stops.map((stop) => parse_gps(stop.location?.gps)).find((gps) => gps) || null,
+            route,
+        }
+    }
+
+    /**
+     * Ranks all items in the catalog by price, distance and rating
+     * @param {*} catalog
+     * @param {*} reference | {gps: [lat, lng], route: [[lat, lng], ...]}
+     * @returns list of items with their provider and score, best first
+     */
+    rank(catalog, reference = {}) {
+        const entries = []
+        for (const provider of catalog?.providers || []) {
+            for (const item of provider.items) {
+                const price = parseFloat(item.price?.value)
+                const rating = parseFloat(item.rating || provider.rating)
+                entries.push({
+                    provider,
+                    item,
+                    price: isNaN(price) ? null : price,
+                    rating: isNaN(rating) ? null : rating,
+                    distance: this.get_distance(provider, item, reference),
+                })
+            }
+        }
+
+        const range = (key) => {
+            const values = entries.map((entry) => entry[key]).filter((value) => value !== null)
+            return [Math.min(...values), Math.max(...values)]
+        }
+        const [min_price, max_price] = range('price')
+        const [min_distance, max_distance] = range('distance')
+
+        for (const entry of entries) {
+            entry.score =
+                this.weights.price * normalise(entry.price, min_price, max_price, true) +
+                this.weights.distance * normalise(entry.distance, min_distance, max_distance, true) +
+                this.weights.rating * normalise(entry.rating, 0, 5)
+        }
+
+        return entries.sort((a, b) => b.score - a.score)
+    }
+
+    /**
+     * Compact summary of the ranked items, grouped by provider, that stays within the token budget
+     * @param {*} ranked | ranked items
+     * @param {*} budget | maximum number of tokens for the summary
+     * @returns
+     */
+    summarise(ranked, budget = TOKEN_BUDGET) {
+        const summary = {
+            total_providers: new Set(ranked.map((entry) => `${entry.provider.bpp_id}:${entry.provider.id}`)).size,
+            total_items: ranked.length,
+            providers: [],
+        }
+
+        for (const entry of ranked) {
+            let provider = summary.providers.find(
+                (provider) => provider.bpp_id === entry.provider.bpp_id && provider.id === entry.provider.id
+            )
+            const is_new_provider = !provider
+            if (is_new_provider) {
+                provider = {
+                    bpp_id: entry.provider.bpp_id,
+                    bpp_uri: entry.provider.bpp_uri,
+                    id: entry.provider.id,
+                    name: entry.provider.descriptor?.name,
+                    rating: entry.provider.rating,
+                    items: [],
+                }
+                summary.providers.push(provider)
+            }
+
+            const item = {
+                id: entry.item.id,
+                name: entry.item.descriptor?.name,
+                price: entry.item.price ? `${entry.item.price.value} ${entry.item.price.currency || ''}`.trim() : undefined,
+                rating: entry.item.rating,
+                distance_km: entry.distance === null ? undefined : Math.round(entry.distance * 10) / 10,
+            }
+            provider.items.push(item)
+
+            if (estimate_tokens(summary) > budget) {
+                provider.items.pop()
+                if (is_new_provider) summary.providers.pop()
+                break
+            }
+        }
+
+        summary.shown_items = summary.providers.reduce((count, provider) => count + provider.items.length, 0)
+        return summary
+    }
+}
+
+export default CatalogService
@@ -0,0 +1,82 @@
+export const CIRCUIT_STATES = {
+    CLOSED: 'closed', // requests are sent
+    OPEN: 'open', // requests are not sent until the reset timeout has passed
+    HALF_OPEN: 'half_open', // a single trial request is sent, its result closes or opens the circuit again
+}
+
+// Consecutive failures that open the circuit of a provider
+const FAILURE_THRESHOLD = parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 3
+// Milliseconds an open circuit waits before a trial request is allowed
+const RESET_TIMEOUT = parseInt(process.env.AI_CIRCUIT_RESET_TIMEOUT) || 60000
+
+/**
+ * Circuit breaker of a provider. Stops sending requests to a provider that keeps failing.
+ */
+class CircuitBreaker {
+    /**
+     * @param {*} name | name of the provider
+     * @param {*} options | {failure_threshold, reset_timeout, now}
+     */
+    constructor(name, { failure_threshold = FAILURE_THRESHOLD, reset_timeout = RESET_TIMEOUT, now = Date.now } = {}) {
+        this.name = name
+        this.failure_threshold = failure_threshold
+        this.reset_timeout = reset_timeout
+        this.now = now
+        this.state = CIRCUIT_STATES.CLOSED
+        this.failures = 0
+        this.opened_at = null
+        this.trial_in_progress = false
+    }
+
+    /**
+     * Checks if a request can be sent. Moves an open circuit to half open once the reset timeout has passed.
+     * @returns
+     */
+    can_request() {
+        if (this.state === CIRCUIT_STATES.OPEN && this.now() - this.opened_at >= this.reset_timeout) {
+            this.state = CIRCUIT_STATES.HALF_OPEN
+            this.trial_in_progress = false
+        }
+
+        if (this.state === CIRCUIT_STATES.CLOSED) return true
+        if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.trial_in_progress) {
+            this.trial_in_progress = true
+            return true
+        }
+        return false
+    }
+
+    record_success() {
+        this.state = CIRCUIT_STATES.CLOSED
+        this.failures = 0
+        this.opened_at = null
+        this.trial_in_progress = false
+    }
+
+    record_failure() {
+        this.failures++
+        if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failure_threshold) {
+            this.open()
+        }
+    }
+
+    open() {
+        this.state = CIRCUIT_STATES.OPEN
+        this.opened_at = this.now()
+        this.trial_in_progress = false
+    }
+
+    is_open() {
+        return this.state === CIRCUIT_STATES.OPEN
+    }
+
+    get_status() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            opened_at: this.opened_at ? new Date(this.opened_at).toISOString() : null,
+        }
+    }
+}
+
+export default CircuitBreaker
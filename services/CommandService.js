@@ -0,0 +1,155 @@
+import get_text_by_key, { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../utils/language.js'
+import logger from '../utils/logger.js'
+
+const PROFILE_FIELDS = ['name', 'phone', 'email', 'address', 'city', 'country']
+
+/**
+ * Chat commands such as /reset and /help. Commands are handled without calling the model.
+ */
+class CommandService {
+    /**
+     * @param {*} db | DBService used to read and update sessions and profiles
+     */
+    constructor(db) {
+        this.db = db
+        this.commands = {
+            reset: this.reset.bind(this),
+            profile: this.profile.bind(this),
+            orders: this.orders.bind(this),
+            help: this.help.bind(this),
+            lang: this.lang.bind(this),
+        }
+    }
+
+    /**
+     * Get a text in the language of the session
+     */
+    text(state, key, variables = {}) {
+        return get_text_by_key(key, variables, 'ALL_MESSAGES', state.session?.language || DEFAULT_LANGUAGE)
+    }
+
+    /**
+     * Parses a command message
+     * @param {*} text | e.g. '/profile name John Doe'
+     * @returns {name, args} or null if the text is not a command
+     */
+    parse(text) {
+        const match = typeof text === 'string' && text.trim().match(/^\/(\w+)(?:\s+([\s\S]*))?$/)
+        if (!match) return null
+        return { name: match[1].toLowerCase(), args: (match[2] || '').trim() }
+    }
+
+    /**
+     * Executes a command
+     * @param {*} text | message of the user
+     * @param {*} state | {session_key, session, profile}
+     * @returns reply or null if the message is not a command
+     */
+    async execute(text, state) {
+        const command = this.parse(text)
+        if (!command) return null
+
+        logger.info(`Executing command /${command.name} for ${state.session_key}`)
+        const handler = this.commands[command.name]
+        if (!handler) {
+            return this.text(state, 'unknown_command', { command: `/${command.name}` })
+        }
+        return handler(command.args, state)
+    }
+
+    async reset(args, state) {
+        const { session_key } = state
+        await this.db.delete_session(session_key)
+        if (args.toLowerCase() === 'all') {
+            await this.db.delete_profile(session_key)
+            return this.text(state, 'session_and_profile_cleared')
+        }
+        return this.text(state, 'session_cleared')
+    }
+
+    async profile(args, state) {
+        const { session_key, profile } = state
+        if (!args) {
+            const detail = (key, value, variables = {}) => value && `${this.text(state, key, variables)}: ${value}`
+            const details = [
+                detail('profile_name', profile.name),
+                detail('profile_phone', profile.phone),
+                detail('profile_email', profile.email),
+                ...(profile.addresses || []).map((address, index) =>
+                    detail('profile_address', address, { number: index + 1 })
+                ),
+                detail('profile_city', profile.city),
+                detail('profile_country', profile.country),
+            ].filter(Boolean)
+
+            return details.length
+                ? this.text(state, 'profile_details', { details: details.join('\n') })
+                : this.text(state, 'profile_empty')
+        }
+
+        const [field, ...values] = args.split(/\s+/)
+        const value = values.join(' ')
+        if (!PROFILE_FIELDS.includes(field.toLowerCase()) || !value) {
+            return this.text(state, 'profile_usage')
+        }
+
+        if (field.toLowerCase() === 'address') {
+            profile.addresses = [...(profile.addresses || []).filter((address) => address !== value), value]
+        } else {
+            profile[field.toLowerCase()] = value
+        }
+        await this.db.update_profile(session_key, profile)
+        return this.text(state, 'profile_updated', { field: field.toLowerCase() })
+    }
+
+    async orders(args, state) {
+        const { session } = state
+        const orders = (session.orders || []).map((order, index) =>
+            [
+                `${index + 1}. ${order.message?.order?.id}`,
+                order.message?.order?.status,
+                order.context?.domain && `(${order.context.domain})`,
+            ]
+                .filter(Boolean)
+                .join(' ')
+        )
+
+        return orders.length
+            ? this.text(state, 'orders_list', { orders: orders.join('\n') })
+            : this.text(state, 'no_orders')
+    }
+
+    async help(args, state) {
+        return this.text(state, 'help')
+    }
+
+    async lang(args, state) {
+        const { session_key, session, profile } = state
+        const languages = Object.keys(SUPPORTED_LANGUAGES).join(', ')
+        if (!args) {
+            return this.text(state, 'current_language', {
+                language: SUPPORTED_LANGUAGES[session.language || DEFAULT_LANGUAGE],
+                languages,
+            })
+        }
+
+        const code = args.toLowerCase()
+        if (!SUPPORTED_LANGUAGES[code]) {
+            return this.text(state, 'language_not_supported', { language: args, languages })
+        }
+
+        // a chosen language is kept for later sessions and is not changed by language detection
+        session.language = code
+        session.language_locked = true
+        profile.preferences = { ...profile.preferences, language: code }
+        await this.db.modify_session(session_key, (stored) => ({
+            ...(stored || session),
+            language: code,
+            language_locked: true,
+        }))
+        await this.db.update_profile(session_key, profile)
+        return this.text(state, 'language_changed', { language: SUPPORTED_LANGUAGES[code] })
+    }
+}
+
+export default CommandService
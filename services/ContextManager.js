@@ -0,0 +1,160 @@
+import logger from '../utils/logger.js'
+import { estimate_tokens, truncate_text } from '../utils/tokens.js'
+import { LLAMAEDGE_DEFAULTS, MODEL_CONFIGS } from '../config/llamaedge.config.js'
+
+// Tokens kept free for the response of the model
+const RESPONSE_TOKENS = parseInt(process.env.CONTEXT_RESPONSE_TOKENS) || 1024
+// Tool outputs of older turns are shortened to this many tokens
+const TOOL_OUTPUT_TOKENS = parseInt(process.env.CONTEXT_TOOL_OUTPUT_TOKENS) || 300
+// Maximum tokens of the beckn transaction state
+const STATE_TOKENS = parseInt(process.env.CONTEXT_STATE_TOKENS) || 500
+// Number of latest turns whose tool outputs are always sent in full
+const RECENT_TURNS = 2
+
+/**
+ * Context size of a model. CONTEXT_MAX_TOKENS overrides the size of the provider config and of MODEL_CONFIGS.
+ * @param {*} model | model name
+ * @param {*} context_size | context size in the config of the provider
+ * @returns
+ */
+export function get_max_tokens(model, context_size = null) {
+    return (
+        parseInt(process.env.CONTEXT_MAX_TOKENS) ||
+        context_size ||
+        MODEL_CONFIGS[model]?.maxTokens ||
+        LLAMAEDGE_DEFAULTS.CONTEXT_SIZE
+    )
+}
+
+/**
+ * Keeps the messages sent to the model within the context size of the model.
+ * Tool outputs of older turns are shortened and the oldest turns are rolled into a summary kept in the session.
+ * The state of the active beckn transaction is always sent.
+ */
+class ContextManager {
+    /**
+     * @param {*} max_tokens | context size of the model
+     * @param {*} summarise | async function (summary, messages) that returns a new summary including the messages
+     */
+    constructor(max_tokens, summarise = null) {
+        this.max_tokens = max_tokens
+        this.summarise = summarise
+    }
+
+    /**
+     * Splits the chat history into turns. A turn starts with a user message so that
+     * assistant tool calls always stay together with their tool outputs.
+     * @param {*} messages
+     * @returns list of turns, each a list of messages
+     */
+    split_turns(messages) {
+        const turns = []
+        for (const message of messages) {
+            if (message.role === 'user' || turns.length === 0) {
+                turns.push([])
+            }
+            turns[turns.length - 1].push(message)
+        }
+        return turns
+    }
+
+    /**
+     * Shortens the tool outputs of all but the latest turns
+     * @param {*} turns
+     * @returns list of messages
+     */
+    shorten_tool_outputs(turns) {
+        return turns.flatMap((turn, index) =>
+            index >= turns.length - RECENT_TURNS
+                ? turn
+                : turn.map((message) =>
+                      message.role === 'tool'
+                          ? { ...message, content: truncate_text(message.content, TOOL_OUTPUT_TOKENS) }
+                          : message
+                  )
+        )
+    }
+
+    /**
+     * Compact state of the beckn transaction and the orders of the session
+     * @param {*} session
+     * @returns
+     */
+    get_transaction_state(session) {
+        const last_action = session?.profile?.last_action || null
+        return {
+            last_action,
+            network: session?.beckn_transaction?.network || null,
+            last_response: last_action ? session?.beckn_transaction?.responses?.[`on_${last_action}`] : null,
+            orders: (session?.orders || []).map((order) => ({
+                id: order.message?.order?.id,
+                status: order.message?.order?.status,
+                domain: order.context?.domain,
+            })),
+        }
+    }
+
+    get_state_message(session) {
+        return {
+            role: 'system',
+            content: `Current beckn transaction state : ${truncate_text(
+                JSON.stringify(this.get_transaction_state(session)),
+                STATE_TOKENS
+            )}`,
+        }
+    }
+
+    get_summary_message(session) {
+        return session?.summary
+            ? [{ role: 'system', content: `Summary of the earlier conversation : ${session.summary}` }]
+            : []
+    }
+
+    /**
+     * Builds the messages to send to the model.
+     * Turns that do not fit are not sent. They are removed from the chat history once they are added to session.summary,
+     * if the summary fails the chat history is kept as it is.
+     * @param {*} messages | chat history, turns rolled into the summary are removed from it
+     * @param {*} session
+     * @param {*} context | system messages sent before the chat history
+     * @param {*} tools | tool definitions sent with the request
+     * @returns
+     */
+    async build(messages, session, context = [], tools = []) {
+        const state = this.get_state_message(session)
+        const budget = this.max_tokens - RESPONSE_TOKENS - estimate_tokens([...context, state]) - estimate_tokens(tools)
+
+        let turns = this.split_turns(messages)
+        let window = this.shorten_tool_outputs(turns)
+        const dropped = []
+        const fits = () => estimate_tokens([...this.get_summary_message(session), ...window]) <= budget
+
+        // the latest turn is always kept
+        while (!fits() && turns.length > 1) {
+            dropped.push(...turns.shift())
+            window = this.shorten_tool_outputs(turns)
+        }
+
+        if (dropped.length > 0) {
+            logger.info(`Rolling ${dropped.length} messages into the conversation summary`)
+            if (!this.summarise) {
+                messages.splice(0, dropped.length)
+            } else {
+                try {
+                    session.summary = await this.summarise(session.summary || null, dropped)
+                    messages.splice(0, dropped.length)
+                } catch (e) {
+                    logger.error(`Could not summarise the conversation : ${e.message}`)
+                }
+            }
+        }
+
+        if (!fits()) {
+            logger.warn(`Context exceeds the budget of ${budget} tokens even after summarising`)
+        }
+
+        return [...context, ...this.get_summary_message(session), state, ...window]
+    }
+}
+
+export default ContextManager
@@ -1,37 +1,36 @@
 import logger from '../utils/logger.js'
-import redis from 'redis'
+import { get_store } from './stores/index.js'
 
-class DBService {
-    
-    constructor() {
-        let redisUrl = process.env.REDIS_URL || 'redis://localhost:6379'
-        this.redisClient = redis.createClient({ url: redisUrl })
+const SESSION_PREFIX = 'session:'
+const PROFILE_PREFIX = 'profile:'
 
-        this.redisClient.on('error', (err) => {
-            logger.error('Redis Client Error', err)
-        })
+// Sessions expire after this many seconds without any update, 0 to never expire
+const SESSION_TTL = parseInt(process.env.SESSION_TTL ?? 86400)
+// Profiles are kept much longer than sessions, 0 to never expire
+const PROFILE_TTL = parseInt(process.env.PROFILE_TTL ?? 0)
 
-        this.redisClient.connect()
-    }
+class DBService {
 
     /**
-     * Get session using Redis
-     * @param {*} sessionId
-     * @returns
+     * @param {*} store | store to use, defaults to the shared store configured in SESSION_STORE
      */
-    async get_session(sessionId) {
+    constructor(store = null) {
+        this.store = store || get_store()
+    }
+
+    async _get(key, name) {
         let response = {
             status: false,
         }
         try {
-            let sessionData = await this.redisClient.get(sessionId)
-            if (sessionData === null) {
+            let data = await this.store.get(key)
+            if (data === null) {
                 response.status = false
-                response.message = 'Session does not exist!'
+                response.message = `${name} does not exist!`
             } else {
                 response.status = true
-                response.message = 'Session retrieved successfully!'
-                response.data = JSON.parse(sessionData)
+                response.message = `${name} retrieved successfully!`
+                response.data = JSON.parse(data)
             }
         } catch (err) {
             logger.error(err)
@@ -41,23 +40,35 @@ class DBService {
         return response
     }
 
-    /**
-     * Deletes a session using Redis
-     * @param {*} sessionId
-     * @returns
-     */
-    async delete_session(sessionId) {
+    async _set(key, data, ttl, name) {
         let response = {
             status: false,
         }
         try {
-            let deleteResponse = await this.redisClient.del(sessionId)
+            await this.store.set(key, JSON.stringify(data), ttl)
+            response.status = true
+            response.message = `${name} updated successfully!`
+        } catch (err) {
+            logger.error(err)
+            response.error = err
+        }
+
+        logger.info(response)
+        return response
+    }
+
+    async _delete(key, name) {
+        let response = {
+            status: false,
+        }
+        try {
+            let deleteResponse = await this.store.del(key)
             if (deleteResponse === 0) {
                 response.status = false
-                response.message = 'Session does not exist!'
+                response.message = `${name} does not exist!`
             } else {
                 response.status = true
-                response.message = 'Session deleted successfully!'
+                response.message = `${name} deleted successfully!`
             }
         } catch (err) {
             logger.error(err)
@@ -69,19 +80,38 @@ class DBService {
     }
 
     /**
-     * Function to clear all sessions
-     * @returns 
+     * Get a session
+     * @param {*} sessionId | format : <channel>:<user_id>
+     * @returns
+     */
+    async get_session(sessionId) {
+        return this._get(`${SESSION_PREFIX}${sessionId}`, 'Session')
+    }
+
+    /**
+     * Deletes a session
+     * @param {*} sessionId
+     * @returns
+     */
+    async delete_session(sessionId) {
+        return this._delete(`${SESSION_PREFIX}${sessionId}`, 'Session')
+    }
+
+    /**
+     * Function to clear all sessions. Profiles are not cleared.
+     * @returns
      */
     async clear_all_sessions(){
         let response = {
             status: false,
         }
         try {
-            let deleteResponse = await this.redisClient.flushAll()
-            if (deleteResponse === 0) {
+            const keys = await this.store.keys(SESSION_PREFIX)
+            if (keys.length === 0) {
                 response.status = false
                 response.message = 'Sessions do not exist!'
             } else {
+                await this.store.del(keys)
                 response.status = true
                 response.message = 'Session flushed successfully!'
             }
@@ -95,19 +125,36 @@ class DBService {
     }
 
     /**
-     * Updates a session
+     * Updates a session. The idle ttl of the session is reset on every update.
      * @param {*} sessionId
      * @param {*} sessionData
      * @returns
      */
     async update_session(sessionId, sessionData) {
+        return this._set(`${SESSION_PREFIX}${sessionId}`, sessionData, SESSION_TTL, 'Session')
+    }
+
+    /**
+     * Updates a session only if it has not been changed since it was read.
+     * @param {*} sessionId
+     * @param {*} expectedData | session data as it was read, null if there was no session
+     * @param {*} sessionData
+     * @returns response with status false and conflict true if the session was changed in the meantime
+     */
+    async compare_and_set_session(sessionId, expectedData, sessionData) {
         let response = {
             status: false,
         }
         try {
-            await this.redisClient.set(sessionId, JSON.stringify(sessionData))
-            response.status = true
-            response.message = 'Session updated successfully!'
+            const updated = await this.store.compare_and_set(
+                `${SESSION_PREFIX}${sessionId}`,
+                expectedData === null ? null : JSON.stringify(expectedData),
+                JSON.stringify(sessionData),
+                SESSION_TTL
+            )
+            response.status = updated
+            response.conflict = !updated
+            response.message = updated ? 'Session updated successfully!' : 'Session was changed by another request!'
         } catch (err) {
             logger.error(err)
             response.error = err
@@ -116,39 +163,89 @@ class DBService {
         logger.info(response)
         return response
     }
-    
+
+    /**
+     * Read-modify-write of a session that is retried if the session is changed by another request in the meantime
+     * @param {*} sessionId
+     * @param {*} modifier | function that gets a copy of the session data, or null if there is no session,
+     * and returns the new data. It may be called more than once. If it returns null the session is not updated.
+     * @param {*} attempts | number of times the update is tried
+     * @returns response with the data written, status false and conflict true if the session kept changing
+     */
+    async modify_session(sessionId, modifier, attempts = 3) {
+        let response = { status: false }
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            const current = await this.get_session(sessionId)
+            if (current.error) return current
+
+            const expected = current.status ? current.data : null
+            const data = await modifier(expected === null ? null : JSON.parse(JSON.stringify(expected)))
+            if (data === null) return { status: false, message: 'Session was not changed!' }
+
+            response = await this.compare_and_set_session(sessionId, expected, data)
+            if (response.status) return { ...response, data }
+            if (!response.conflict) return response
+            logger.warn(`Session ${sessionId} was changed by another request, retrying the update`)
+        }
+        return response
+    }
+
+    /**
+     * Get all sessions
+     * @returns list of sessions in the format [{key, data}] where key is the session id
+     */
     async get_all_sessions(){
         const sessions = [];
-        let cursor = '0';
-        
+
         try{
-            do {
-                // Use the SCAN command to iteratively retrieve keys that match the "session:*" pattern.
-                const reply = await this.redisClient.scan(cursor, {
-                    MATCH: '*',
-                    COUNT: 100, // Adjust based on your expected load
+            const keys = await this.store.keys(SESSION_PREFIX);
+
+            // For each key, get the session data and add it to the sessions array.
+            for (let key of keys) {
+                const sessionData = await this.store.get(key);
+                if (sessionData === null) continue; // expired in the meantime
+                sessions.push({
+                    key: key.slice(SESSION_PREFIX.length),
+                    data: JSON.parse(sessionData),
                 });
-        
-                cursor = reply.cursor;
-                const keys = reply.keys;
-        
-                // For each key, get the session data and add it to the sessions array.
-                for (let key of keys) {
-                    const sessionData = await this.redisClient.get(key);
-                    sessions.push({
-                        key,
-                        data: JSON.parse(sessionData),
-                    });
-                }
-            } while (cursor !== 0);
+            }
         }
         catch(e){
             logger.error(e);
         }
-        
+
         return sessions;
     }
-    
+
+    /**
+     * Get the persistent profile of a user. Profiles survive session resets.
+     * @param {*} userId | format : <channel>:<user_id>
+     * @returns
+     */
+    async get_profile(userId) {
+        return this._get(`${PROFILE_PREFIX}${userId}`, 'Profile')
+    }
+
+    /**
+     * Updates the persistent profile of a user
+     * @param {*} userId
+     * @param {*} profile | format : {name, phone, email, addresses, preferences}
+     * @returns
+     */
+    async update_profile(userId, profile) {
+        return this._set(`${PROFILE_PREFIX}${userId}`, profile, PROFILE_TTL, 'Profile')
+    }
+
+    /**
+     * Deletes the persistent profile of a user
+     * @param {*} userId
+     * @returns
+     */
+    async delete_profile(userId) {
+        return this._delete(`${PROFILE_PREFIX}${userId}`, 'Profile')
+    }
+
 }
 
-export default DBService;
\ No newline at end of file
+export const db = new DBService();
+export default DBService;
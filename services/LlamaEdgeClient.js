@@ -4,19 +4,33 @@ import {
     LLAMAEDGE_DEFAULTS,
     ERROR_CODES,
     getModelConfig,
+    getPromptTemplate,
+    buildPrompt,
     validateConfig
 } from '../config/llamaedge.config.js';
+import { completion_to_chunk, parse_sse_stream } from '../utils/stream.js';
+import { parse_tool_calls, render_tools_prompt, to_text_messages } from '../utils/tool_calls.js';
+import { schema_to_gbnf, to_constrained_format } from '../utils/grammar.js';
 
 /**
  * LlamaEdge HTTP Client Service
  * Provides OpenAI-compatible API interface for LlamaEdge server
  */
 class LlamaEdgeClient {
-    constructor() {
-        this.baseURL = LLAMAEDGE_DEFAULTS.API_URL;
-        this.modelName = LLAMAEDGE_DEFAULTS.MODEL_NAME;
+    /**
+     * @param {*} config | {base_url, model, temperature, retry_attempts} of the provider, defaults to LLAMAEDGE_DEFAULTS
+     */
+    constructor(config = {}) {
+        this.baseURL = config.base_url || LLAMAEDGE_DEFAULTS.API_URL;
+        this.modelName = config.model || LLAMAEDGE_DEFAULTS.MODEL_NAME;
+        // a temperature of 0 is valid, only a missing or invalid one falls back to the default
+        const temperature = parseFloat(config.temperature);
+        this.temperature = Number.isNaN(temperature) ? LLAMAEDGE_DEFAULTS.TEMPERATURE : temperature;
         this.timeout = LLAMAEDGE_DEFAULTS.TIMEOUT;
-        this.retryConfig = LLAMAEDGE_DEFAULTS.RETRY;
+        this.retryConfig = {
+            ...LLAMAEDGE_DEFAULTS.RETRY,
+            ...(config.retry_attempts && { MAX_ATTEMPTS: parseInt(config.retry_attempts) })
+        };
 
         // Validate configuration on initialization
         const validation = validateConfig();
@@ -61,7 +75,10 @@ class LlamaEdgeClient {
         this.httpClient.interceptors.response.use(
             (response) => {
                 logger.verbose(`LlamaEdge Response: ${response.status} ${response.statusText}`);
-                logger.verbose(`Response data: ${JSON.stringify(response.data, null, 2)}`);
+                // the body of a streamed response is read later by the caller
+                if (response.config?.responseType !== 'stream') {
+                    logger.verbose(`Response data: ${JSON.stringify(response.data, null, 2)}`);
+                }
                 return response;
             },
             (error) => {
@@ -111,8 +128,9 @@ class LlamaEdgeClient {
 
     /**
      * Retry mechanism for failed requests
+     * Requests whose signal was aborted, e.g. because their deadline passed, are not retried
      */
-    async _withRetry(operation, maxAttempts = this.retryConfig.MAX_ATTEMPTS) {
+    async _withRetry(operation, maxAttempts = this.retryConfig.MAX_ATTEMPTS, signal = null) {
         let lastError;
 
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
@@ -123,7 +141,8 @@ class LlamaEdgeClient {
 
                 // Don't retry on certain error types
                 if (error.code === ERROR_CODES.INVALID_REQUEST ||
-                    error.code === ERROR_CODES.MODEL_NOT_FOUND) {
+                    error.code === ERROR_CODES.MODEL_NOT_FOUND ||
+                    signal?.aborted) {
                     throw error;
                 }
 
@@ -175,22 +194,25 @@ class LlamaEdgeClient {
     }
 
     /**
-     * Create chat completion using LlamaEdge API
-     * Compatible with OpenAI chat completions format
+     * Build the request payload of a chat completion from OpenAI style options
      */
-    async createChatCompletion(options) {
+    _buildChatRequest(options) {
         const {
             messages,
             model = this.modelName,
-            temperature = LLAMAEDGE_DEFAULTS.TEMPERATURE,
+            temperature = this.temperature,
             max_tokens,
             tools,
             tool_choice,
             response_format,
-            stream = false,
             ...otherOptions
         } = options;
 
+        // streaming and cancellation are handled by the client and are not sent to the server
+        delete otherOptions.stream;
+        delete otherOptions.onDelta;
+        delete otherOptions.signal;
+
         // Get model-specific configuration
         const modelConfig = getModelConfig(model);
 
@@ -200,11 +222,11 @@ class LlamaEdgeClient {
             messages,
             temperature,
             max_tokens: max_tokens || modelConfig.maxTokens,
-            stream,
+            stream: false,
             ...otherOptions
         };
 
-        // Add tools if provided and supported by model
+        // Add tools if provided and supported by model, tools of other models are emulated, see _createEmulatedToolCompletion
         if (tools && modelConfig.supports.functionCalling) {
             requestData.tools = tools;
             if (tool_choice) {
@@ -212,17 +234,147 @@ class LlamaEdgeClient {
             }
         }
 
-        // Add response format if provided and supported
-        if (response_format && modelConfig.supports.jsonMode) {
-            requestData.response_format = response_format;
+        // Add response format if provided, constrained as far as the model supports it
+        Object.assign(requestData, to_constrained_format(response_format, modelConfig.supports));
+
+        return { requestData, modelConfig };
+    }
+
+    /**
+     * Create chat completion using LlamaEdge API
+     * Compatible with OpenAI chat completions format
+     */
+    async createChatCompletion(options) {
+        if (this._shouldEmulateTools(options)) {
+            return this._createEmulatedToolCompletion(options);
         }
 
+        const { requestData } = this._buildChatRequest(options);
+
         return this._withRetry(async () => {
-            const response = await this.httpClient.post('/v1/chat/completions', requestData);
+            const response = await this.httpClient.post('/v1/chat/completions', requestData, { signal: options.signal });
 
             // Transform response to match OpenAI format if needed
             return this._transformChatResponse(response.data);
-        });
+        }, this.retryConfig.MAX_ATTEMPTS, options.signal);
+    }
+
+    /**
+     * Stream a chat completion using server-sent events
+     * Yields OpenAI compatible chunks. Models that can not stream yield the full completion as a single chunk.
+     */
+    async *streamChatCompletion(options) {
+        const { requestData, modelConfig } = this._buildChatRequest(options);
+
+        // the reply of emulated tool calls is JSON that must be parsed before it can be sent
+        if (!modelConfig.supports.streaming || this._shouldEmulateTools(options)) {
+            logger.verbose(`Model ${requestData.model} can not stream this request, waiting for the full response`);
+            yield completion_to_chunk(await this.createChatCompletion(options));
+            return;
+        }
+
+        // only establishing the stream is retried, tokens that were already sent can not be taken back
+        const response = await this._withRetry(() => this.httpClient.post(
+            '/v1/chat/completions',
+            { ...requestData, stream: true },
+            { responseType: 'stream', signal: options.signal }
+        ), this.retryConfig.MAX_ATTEMPTS, options.signal);
+
+        yield* parse_sse_stream(response.data);
+    }
+
+    /**
+     * Check if the tools of a request have to be emulated because the model has no native function calling
+     */
+    _shouldEmulateTools(options) {
+        const model = options.model || this.modelName;
+        return !!options.tools?.length &&
+            options.tool_choice !== 'none' &&
+            !getModelConfig(model).supports.functionCalling;
+    }
+
+    /**
+     * Tool calling for models without native function calling
+     * The tools are described in the system prompt, the conversation is rendered with the prompt template of the model
+     * and sent as a raw completion. A function call in the JSON reply is converted to OpenAI tool_calls.
+     */
+    async _createEmulatedToolCompletion(options) {
+        const {
+            messages,
+            model = this.modelName,
+            temperature = this.temperature,
+            max_tokens,
+            tools,
+            tool_choice,
+            signal
+        } = options;
+
+        const modelConfig = getModelConfig(model);
+        const template = getPromptTemplate(model);
+        const prompt = buildPrompt([
+            ...to_text_messages(messages),
+            { role: 'system', content: render_tools_prompt(tools, tool_choice) }
+        ], model);
+
+        // a call to a required function can be constrained to the schema of its arguments
+        const requiredTool = tool_choice?.function?.name && tools.find(tool => tool.function.name === tool_choice.function.name);
+        const grammar = requiredTool && modelConfig.supports.grammar
+            ? schema_to_gbnf({
+                type: 'object',
+                properties: {
+                    name: { const: requiredTool.function.name },
+                    arguments: requiredTool.function.parameters || { type: 'object' }
+                },
+                required: ['name', 'arguments']
+            })
+            : null;
+
+        return this._withRetry(async () => {
+            const response = await this.httpClient.post('/v1/completions', {
+                model,
+                prompt,
+                temperature,
+                max_tokens: max_tokens || modelConfig.maxTokens,
+                ...(template.stop && { stop: template.stop }),
+                ...(grammar && { grammar })
+            }, { signal });
+
+            return this._transformToolResponse(response.data, tools);
+        }, this.retryConfig.MAX_ATTEMPTS, signal);
+    }
+
+    /**
+     * Transform the raw completion of an emulated tool request to an OpenAI chat completion
+     */
+    _transformToolResponse(response, tools) {
+        const choice = response.choices?.[0] || {};
+        const text = (choice.text ?? choice.message?.content ?? response.content ?? '').trim();
+        const toolCalls = parse_tool_calls(text, tools);
+
+        if (!toolCalls) {
+            logger.verbose('No tool call found in the reply of the model, returning it as text');
+        }
+
+        return {
+            id: response.id || `chatcmpl-${Date.now()}`,
+            object: 'chat.completion',
+            created: response.created || Math.floor(Date.now() / 1000),
+            model: response.model || this.modelName,
+            choices: [{
+                index: 0,
+                message: {
+                    role: 'assistant',
+                    content: toolCalls ? null : text,
+                    ...(toolCalls && { tool_calls: toolCalls })
+                },
+                finish_reason: toolCalls ? 'tool_calls' : (choice.finish_reason || 'stop')
+            }],
+            usage: response.usage || {
+                prompt_tokens: 0,
+                completion_tokens: 0,
+                total_tokens: 0
+            }
+        };
     }
 
     /**
@@ -341,7 +493,7 @@ class LlamaEdgeClient {
                     modelName: this.modelName,
                     contextSize: LLAMAEDGE_DEFAULTS.CONTEXT_SIZE,
                     batchSize: LLAMAEDGE_DEFAULTS.BATCH_SIZE,
-                    temperature: LLAMAEDGE_DEFAULTS.TEMPERATURE
+                    temperature: this.temperature
                 }
             };
         } catch (error) {
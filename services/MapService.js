@@ -1,11 +1,15 @@
 import {Client} from "@googlemaps/google-maps-services-js";
 import logger from '../utils/logger.js'
 import polyline from '@mapbox/polyline';
+import Actions from './Actions.js';
+import { richReplyService } from './RichReplyService.js';
 
 class MapsService {
     constructor() {
         this.client = new Client({});
         this.session = {};
+        this.rich = null; // rich reply of the current turn
+        this.actionService = new Actions();
     }
 
     /**
@@ -34,6 +38,13 @@ class MapsService {
             
             const path = this.get_static_image_path(routes);
             logger.info(`Static image path for routes: ${path}`);
+
+            // share the route map and the list of routes, the map is downloaded as its url contains the api key
+            if(this.rich && routes.length > 0){
+                const map_url = await this.actionService.download_file(path);
+                if(map_url) this.rich.media.push(map_url);
+                this.rich.list = richReplyService.get_route_list(routes, this.session?.language);
+            }
             
             // Save session if possible
             if(this.session){
@@ -66,6 +77,30 @@ class MapsService {
         }
     }
 
+    /**
+     * City and country of a gps point
+     * @param {*} gps | format : "latitude,longitude"
+     * @returns {city, country} with the name of the city and the ISO 3166 code of the country or null if not found
+     */
+    async lookupLocation(gps) {
+        try {
+            const response = await this.client.reverseGeocode({
+                params: {
+                    latlng: gps.replace(/\s/g, ''),
+                    key: process.env.GOOGLE_MAPS_API_KEY
+                }
+            });
+            const components = response.data.results[0]?.address_components || [];
+            const city = components.find(component => component.types.includes('locality'));
+            const country = components.find(component => component.types.includes('country'));
+            if (!city && !country) return null;
+            return { city: city?.long_name || null, country: country?.short_name || null };
+        } catch (error) {
+            logger.error(error);
+            return null;
+        }
+    }
+
     async selectRoute(index) {
         logger.info(`Selecting route ${index.index}`);
         if (this.session.routes && index.index >= 0 && index.index < this.session.routes.length) {
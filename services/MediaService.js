@@ -0,0 +1,160 @@
+import axios from 'axios'
+import OpenAI from 'openai'
+import pdf from 'pdf-parse/lib/pdf-parse.js'
+import logger from '../utils/logger.js'
+import { truncate_text } from '../utils/tokens.js'
+import { get_stt_provider } from './stt/index.js'
+
+// Text extracted from a file is shortened to this many tokens before it is sent to the model
+const MEDIA_TEXT_TOKENS = parseInt(process.env.MEDIA_TEXT_TOKENS) || 1000
+// Larger files are not downloaded, in bytes
+const MEDIA_MAX_SIZE = parseInt(process.env.MEDIA_MAX_SIZE) || 25 * 1024 * 1024
+const VISION_PROMPT =
+    'Describe this image so that a shopping and travel assistant can act on it. Name the product, brand, place or document shown and include any readable text.'
+
+/**
+ * Whether a url is on a Twilio host, that gets the account credentials to download media
+ * @param {*} url | parsed url
+ * @returns
+ */
+function is_twilio_url(url) {
+    return url.hostname === 'api.twilio.com' || url.hostname.endsWith('.twilio.com')
+}
+
+/**
+ * Converts media shared by users (voice notes, images and pdfs) to text that is added to their message
+ */
+class MediaService {
+    /**
+     * @param {*} options | {stt, vision} to override the configured providers
+     */
+    constructor({ stt, vision } = {}) {
+        this.stt = stt === undefined ? get_stt_provider() : stt
+        this.vision = vision === undefined ? this._get_vision_client() : vision
+        this.vision_model = process.env.VISION_MODEL || 'gpt-4o-mini'
+    }
+
+    _get_vision_client() {
+        const api_key = process.env.VISION_API_KEY || process.env.OPENAI_AI_KEY
+        if (!api_key && !process.env.VISION_API_URL) return null
+        return new OpenAI({
+            apiKey: api_key || 'not-required',
+            ...(process.env.VISION_API_URL ? { baseURL: process.env.VISION_API_URL } : {}),
+        })
+    }
+
+    /**
+     * Downloads a media file over https. Twilio media urls need the account credentials.
+     * @param {*} url
+     * @returns buffer
+     */
+    async download(url) {
+        const parsed = new URL(url)
+        if (parsed.protocol !== 'https:') throw new Error('Only https media urls are supported')
+
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            maxContentLength: MEDIA_MAX_SIZE,
+            maxBodyLength: MEDIA_MAX_SIZE,
+            ...(is_twilio_url(parsed) && {
+                auth: { username: process.env.TWILIO_ACCOUNT_SID, password: process.env.TWILIO_AUTH_TOKEN },
+            }),
+        })
+        return Buffer.from(response.data)
+    }
+
+    async transcribe(buffer, content_type) {
+        if (!this.stt) throw new Error('Speech to text is not configured')
+        return this.stt.transcribe(buffer, content_type)
+    }
+
+    /**
+     * Describes an image using a vision model, or extracts its text using the OCR service at OCR_API_URL
+     * @param {*} buffer
+     * @param {*} content_type
+     * @returns
+     */
+    async describe_image(buffer, content_type) {
+        if (this.vision) {
+            const completion = await this.vision.chat.completions.create({
+                model: this.vision_model,
+                messages: [
+                    {
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: VISION_PROMPT },
+                            {
+                                type: 'image_url',
+                                image_url: { url: `data:${content_type};base64,${buffer.toString('base64')}` },
+                            },
+                        ],
+                    },
+                ],
+            })
+            return completion.choices[0].message.content
+        }
+
+        if (process.env.OCR_API_URL) {
+            // the OCR service receives the image as body and returns {text} or plain text
+            const response = await axios.post(process.env.OCR_API_URL, buffer, {
+                headers: { 'Content-Type': content_type },
+            })
+            return typeof response.data === 'string' ? response.data : response.data?.text
+        }
+
+        throw new Error('Neither a vision model nor OCR is configured')
+    }
+
+    async extract_pdf_text(buffer) {
+        // pdf.js reads the underlying ArrayBuffer, which small node buffers share with other buffers
+        const data = await pdf(new Uint8Array(buffer))
+        return data.text.trim()
+    }
+
+    /**
+     * Converts a media file to text
+     * @param {*} media | {url, content_type}
+     * @returns text prefixed with the type of the media e.g. '[Voice note] ...'
+     */
+    async get_media_text(media) {
+        const content_type = media.content_type || ''
+        try {
+            const buffer = await this.download(media.url)
+            if (content_type.startsWith('audio/')) {
+                return `[Voice note] ${await this.transcribe(buffer, content_type)}`
+            }
+            if (content_type.startsWith('image/')) {
+                return `[Image] ${truncate_text(await this.describe_image(buffer, content_type), MEDIA_TEXT_TOKENS)}`
+            }
+            if (content_type === 'application/pdf') {
+                return `[PDF document] ${truncate_text(await this.extract_pdf_text(buffer), MEDIA_TEXT_TOKENS)}`
+            }
+            return `[File of type ${content_type} that could not be read]`
+        } catch (e) {
+            logger.error(`Could not process media ${media.url} : ${e.message}`)
+            return `[File of type ${content_type} that could not be read]`
+        }
+    }
+
+    /**
+     * Adds the text of all media shared with a message to the message.
+     * A voice note without any text replaces the message so that it is handled like a typed message.
+     * @param {*} text | text of the message
+     * @param {*} media | list of {url, content_type}
+     * @returns
+     */
+    async get_message_text(text, media = []) {
+        const media_texts = []
+        for (const item of media) {
+            media_texts.push(await this.get_media_text(item))
+        }
+
+        if (!text && media_texts.length === 1 && media_texts[0].startsWith('[Voice note] ')) {
+            return media_texts[0].replace('[Voice note] ', '')
+        }
+        return [text, ...media_texts].filter(Boolean).join('\n')
+    }
+}
+
+export { is_twilio_url }
+export default MediaService
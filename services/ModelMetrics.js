@@ -0,0 +1,79 @@
+/**
+ * Counts the requests served by every provider and model for each task, kept in memory.
+ * The JSON replies that could be parsed are counted as well, to compare how reliable models are at generating JSON.
+ */
+class ModelMetrics {
+    constructor() {
+        this.entries = new Map()
+    }
+
+    _get_entry(task, provider, model) {
+        const key = `${task}:${provider}:${model}`
+        if (!this.entries.has(key)) {
+            this.entries.set(key, {
+                task,
+                provider,
+                model,
+                requests: 0,
+                failures: 0,
+                fallbacks: 0,
+                parsed: 0,
+                parse_failures: 0,
+                total_latency_ms: 0,
+                last_error: null,
+                last_used_at: null,
+            })
+        }
+        return this.entries.get(key)
+    }
+
+    /**
+     * Records a request
+     * @param {*} param0 | task, provider, model, success, latency_ms, fallback (true if an earlier provider of the chain failed), error
+     */
+    record({ task, provider, model, success, latency_ms, fallback = false, error = null }) {
+        const entry = this._get_entry(task, provider, model)
+        entry.requests++
+        entry.total_latency_ms += latency_ms
+        entry.last_used_at = new Date().toISOString()
+        if (!success) {
+            entry.failures++
+            entry.last_error = error?.message || null
+        } else if (fallback) {
+            entry.fallbacks++
+        }
+    }
+
+    /**
+     * Records if the JSON in a reply could be parsed
+     * @param {*} param0 | task, provider, model, success
+     */
+    record_parse({ task, provider, model, success }) {
+        const entry = this._get_entry(task, provider, model)
+        if (success) entry.parsed++
+        else entry.parse_failures++
+    }
+
+    /**
+     * @param {*} task | only the metrics of this task if set
+     * @returns list of {task, provider, model, requests, failures, fallbacks, parsed, parse_failures, parse_success_rate,
+     * avg_latency_ms, last_error, last_used_at}
+     */
+    get_metrics(task = null) {
+        return [...this.entries.values()]
+            .filter((entry) => !task || entry.task === task)
+            .map(({ total_latency_ms, ...entry }) => ({
+                ...entry,
+                avg_latency_ms: entry.requests ? Math.round(total_latency_ms / entry.requests) : 0,
+                parse_success_rate:
+                    entry.parsed + entry.parse_failures ? entry.parsed / (entry.parsed + entry.parse_failures) : null,
+            }))
+    }
+
+    reset() {
+        this.entries.clear()
+    }
+}
+
+export const modelMetrics = new ModelMetrics()
+export default ModelMetrics
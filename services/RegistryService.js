@@ -0,0 +1,125 @@
+import { readFileSync } from 'fs'
+import logger from '../utils/logger.js'
+import { becknAuthService } from './BecknAuthService.js'
+
+const REGISTRY_PATH = process.env.REGISTRY_CONFIG_PATH || './config/registry.json'
+const REQUIRED_FIELDS = ['url', 'bap_subscriber_id', 'bap_subscriber_url', 'version']
+
+function is_valid_url(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol)
+    } catch (e) {
+        return false
+    }
+}
+
+/**
+ * Provides the beckn networks configured in the registry and routes requests to them.
+ * A network is identified by its bap_subscriber_id.
+ */
+class RegistryService {
+    constructor(networks = null) {
+        this.networks = networks || JSON.parse(readFileSync(REGISTRY_PATH))
+
+        for (const result of this.validate()) {
+            if (!result.valid) {
+                logger.error(`Invalid network '${result.id}' in registry : ${result.errors.join(', ')}`)
+            }
+        }
+    }
+
+    get_networks() {
+        return this.networks
+    }
+
+    /**
+     * Get a network by its bap_subscriber_id
+     * @param {*} id
+     * @returns
+     */
+    get_network(id) {
+        return this.networks.find((network) => network.bap_subscriber_id === id) || null
+    }
+
+    /**
+     * Get the network that supports the given domain. Falls back to the first network if none of them supports it.
+     * @param {*} domain
+     * @returns
+     */
+    get_network_by_domain(domain) {
+        const network = this.networks.find((network) => network.domains?.includes(domain))
+        if (!network) {
+            logger.warn(`No network found for domain '${domain}', using '${this.networks[0]?.bap_subscriber_id}'`)
+            return this.networks[0] || null
+        }
+        return network
+    }
+
+    /**
+     * Validates a network entry
+     * @param {*} network
+     * @returns list of errors
+     */
+    validate_network(network) {
+        const errors = []
+
+        for (const field of REQUIRED_FIELDS) {
+            if (!network?.[field] || typeof network[field] !== 'string') {
+                errors.push(`${field} is required`)
+            }
+        }
+
+        for (const field of ['url', 'bap_subscriber_url']) {
+            if (typeof network?.[field] === 'string' && !is_valid_url(network[field])) {
+                errors.push(`${field} must be a valid url`)
+            }
+        }
+
+        if (!Array.isArray(network?.domains) || network.domains.length === 0) {
+            errors.push('domains must be a non empty list')
+        }
+
+        // the bot is its own BAP in direct networks and needs a registry and a signing key
+        if (network?.direct) {
+            if (!is_valid_url(network.registry_url)) {
+                errors.push('registry_url must be a valid url for direct networks')
+            }
+            if (!becknAuthService.has_signing_key(network.bap_subscriber_id)) {
+                errors.push('signing key of bap_subscriber_id is missing in BECKN_SIGNING_KEYS')
+            }
+        }
+
+        for (const domain of Object.keys(network?.policies?.domains || {})) {
+            if (!network.domains?.includes(domain)) {
+                errors.push(`policy defined for unsupported domain '${domain}'`)
+            }
+        }
+
+        return errors
+    }
+
+    /**
+     * Validates all networks in the registry
+     * @returns list of validation results
+     */
+    validate() {
+        return this.networks.map((network, index) => {
+            const errors = this.validate_network(network)
+            const duplicate = this.networks.findIndex(
+                (other) => other.bap_subscriber_id === network?.bap_subscriber_id
+            )
+            if (duplicate !== index) {
+                errors.push(`bap_subscriber_id is already used by network at index ${duplicate}`)
+            }
+
+            return {
+                id: network?.bap_subscriber_id || `index:${index}`,
+                valid: errors.length === 0,
+                errors,
+            }
+        })
+    }
+}
+
+export const registryService = new RegistryService()
+export default RegistryService
@@ -0,0 +1,145 @@
+import get_text_by_key, { DEFAULT_LANGUAGE } from '../utils/language.js'
+
+// Maximum number of options in a list and of images sent with a reply
+const MAX_LIST_ITEMS = parseInt(process.env.RICH_REPLY_MAX_ITEMS) || 5
+
+/**
+ * Builds rich reply content such as route maps, item images, option lists and order cards.
+ * A rich reply has the format {media: [url], list: {title, items: [{id, title, description}]}, card: {title, fields: [{label, value}]}}.
+ * Channels that cannot render lists or cards send them as text using to_text().
+ */
+class RichReplyService {
+    /**
+     * Empty rich reply, filled by the tools during a turn
+     */
+    get_empty_reply() {
+        return { media: [], list: null, card: null }
+    }
+
+    /**
+     * List of routes returned by google maps
+     * @param {*} routes
+     * @param {*} language
+     * @returns
+     */
+    get_route_list(routes, language = DEFAULT_LANGUAGE) {
+        return {
+            title: get_text_by_key('route_list_description', {}, 'ALL_MESSAGES', language),
+            items: routes.slice(0, MAX_LIST_ITEMS).map((route, index) => {
+                const leg = route.legs?.[0]
+                return {
+                    id: `${index}`,
+                    title: route.summary,
+                    description: leg ? `${leg.distance?.text}, ${leg.duration?.text}` : undefined,
+                }
+            }),
+        }
+    }
+
+    /**
+     * Image of an item or its provider
+     */
+    get_image(entry) {
+        return entry.item.descriptor?.images?.[0]?.url || entry.provider.descriptor?.images?.[0]?.url || null
+    }
+
+    /**
+     * List and images of the best ranked items of a catalog
+     * @param {*} ranked | items ranked by the catalog service
+     * @param {*} language
+     * @returns {list, media}
+     */
+    get_catalog_reply(ranked, language = DEFAULT_LANGUAGE) {
+        const entries = ranked.slice(0, MAX_LIST_ITEMS)
+        return {
+            list: {
+                title: get_text_by_key('catalog_list_description', {}, 'ALL_MESSAGES', language),
+                items: entries.map((entry) => ({
+                    id: entry.item.id,
+                    title: entry.item.descriptor?.name || entry.item.id,
+                    description: [
+                        entry.provider.descriptor?.name,
+                        entry.item.price && `${entry.item.price.value} ${entry.item.price.currency || ''}`.trim(),
+                    ]
+                        .filter(Boolean)
+                        .join(' - '),
+                })),
+            },
+            media: [...new Set(entries.map((entry) => this.get_image(entry)).filter(Boolean))],
+        }
+    }
+
+    /**
+     * Summary card of a confirmed order
+     * @param {*} response | on_confirm response
+     * @param {*} language
+     * @returns
+     */
+    get_order_card(response, language = DEFAULT_LANGUAGE) {
+        const order = response?.message?.order
+        if (!order) return null
+
+        const fields = [
+            { key: 'order_card_order_id', value: order.id },
+            { key: 'order_card_provider', value: order.provider?.descriptor?.name },
+            {
+                key: 'order_card_items',
+                value: (order.items || [])
+                    .map((item) =>
+                        [item.descriptor?.name || item.id, item.quantity?.selected?.count && `x ${item.quantity.selected.count}`]
+                            .filter(Boolean)
+                            .join(' ')
+                    )
+                    .join(', '),
+            },
+            {
+                key: 'order_card_total',
+                value: order.quote?.price && `${order.quote.price.value} ${order.quote.price.currency || ''}`.trim(),
+            },
+            { key: 'order_card_status', value: order.fulfillments?.[0]?.state?.descriptor?.code || order.status },
+        ]
+            .filter((field) => field.value)
+            .map(({ key, value }) => ({ label: get_text_by_key(key, {}, 'ALL_MESSAGES', language), value }))
+
+        return { title: get_text_by_key('order_card_title', {}, 'ALL_MESSAGES', language), fields }
+    }
+
+    /**
+     * Text version of the list and card of a rich reply
+     * @param {*} rich
+     * @returns list of text blocks
+     */
+    to_text(rich = {}) {
+        const blocks = []
+        if (rich.list?.items?.length) {
+            blocks.push(
+                [
+                    rich.list.title,
+                    ...rich.list.items.map(
+                        (item, index) => `${index + 1}. ${item.title}${item.description ? ` (${item.description})` : ''}`
+                    ),
+                ]
+                    .filter(Boolean)
+                    .join('\n')
+            )
+        }
+        if (rich.card?.fields?.length) {
+            blocks.push(
+                [rich.card.title, ...rich.card.fields.map((field) => `${field.label}: ${field.value}`)]
+                    .filter(Boolean)
+                    .join('\n')
+            )
+        }
+        return blocks
+    }
+
+    /**
+     * Whether a rich reply has any content
+     */
+    has_content(rich) {
+        return !!(rich?.media?.length || rich?.list?.items?.length || rich?.card?.fields?.length)
+    }
+}
+
+export const richReplyService = new RichReplyService()
+export default RichReplyService
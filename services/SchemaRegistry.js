@@ -0,0 +1,158 @@
+import { existsSync, readdirSync, readFileSync } from 'fs'
+import path from 'path'
+import logger from '../utils/logger.js'
+
+const SCHEMAS_PATH = process.env.SCHEMAS_PATH || './config/schemas'
+// overlays of the schemas for a domain, in this folder of the schemas path
+const DOMAINS_FOLDER = 'domains'
+
+const is_object = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Applies an overlay to a JSON schema. Objects are merged, required properties are added to the ones of the schema
+ * and other values are replaced. A property set to false must not be used.
+ * @param {*} schema
+ * @param {*} overlay | partial schema
+ * @returns new schema
+ */
+export function apply_overlay(schema, overlay) {
+    if (!is_object(schema) || !is_object(overlay)) return overlay
+
+    return Object.entries(overlay).reduce(
+        (merged, [key, value]) => {
+            if (key === 'required' && Array.isArray(merged.required)) {
+                merged.required = [...new Set([...merged.required, ...value])]
+            } else {
+                merged[key] = is_object(merged[key]) ? apply_overlay(merged[key], value) : value
+            }
+            return merged
+        },
+        { ...schema }
+    )
+}
+
+/**
+ * Schema shown to the model, without the properties that must not be used
+ * @param {*} schema
+ * @returns
+ */
+export function to_model_schema(schema) {
+    if (!is_object(schema)) return schema
+
+    const model_schema = { ...schema }
+    if (is_object(schema.properties)) {
+        const forbidden = Object.keys(schema.properties).filter((key) => schema.properties[key] === false)
+        model_schema.properties = Object.entries(schema.properties)
+            .filter(([key]) => !forbidden.includes(key))
+            .reduce((properties, [key, property]) => ({ ...properties, [key]: to_model_schema(property) }), {})
+        if (Array.isArray(schema.required)) {
+            model_schema.required = schema.required.filter((key) => !forbidden.includes(key))
+        }
+    }
+    if (is_object(schema.items)) model_schema.items = to_model_schema(schema.items)
+    for (const keyword of ['anyOf', 'oneOf']) {
+        if (Array.isArray(schema[keyword])) model_schema[keyword] = schema[keyword].map(to_model_schema)
+    }
+    return model_schema
+}
+
+/**
+ * Loads the beckn action schemas, one JSON file per action in the schemas path, and their overlays for each domain.
+ * An action file has the schema of the message and the call_to_action shared after a response.
+ * A domain file has {domain, description, actions: {<action>: overlay}}.
+ */
+class SchemaRegistry {
+    constructor(schemas_path = SCHEMAS_PATH) {
+        this.schemas_path = path.resolve(schemas_path)
+        this.actions = {} // action : {schema, call_to_action}
+        this.overlays = {} // domain : {action : overlay}
+        this.schemas = new Map() // <domain>:<action> : schema with the overlay applied, created once
+        this.loading = null
+    }
+
+    _read_folder(folder) {
+        if (!existsSync(folder)) return []
+
+        return readdirSync(folder)
+            .filter((file) => file.endsWith('.json'))
+            .map((file) => ({
+                name: path.basename(file, '.json'),
+                content: JSON.parse(readFileSync(path.join(folder, file))),
+            }))
+    }
+
+    async _load() {
+        for (const { name, content } of this._read_folder(this.schemas_path)) {
+            if (!is_object(content.schema)) {
+                logger.error(`Schema of action '${name}' has no schema, skipping`)
+                continue
+            }
+            this.actions[name] = { schema: content.schema, call_to_action: content.call_to_action || null }
+        }
+
+        for (const { name, content } of this._read_folder(path.join(this.schemas_path, DOMAINS_FOLDER))) {
+            const { domain, actions = {} } = content
+            if (!domain) {
+                logger.error(`Domain overlay '${name}' has no domain, skipping`)
+                continue
+            }
+            for (const action of Object.keys(actions).filter((action) => !this.actions[action])) {
+                logger.error(`Domain overlay '${name}' is defined for unknown action '${action}'`)
+            }
+            this.overlays[domain] = { ...this.overlays[domain], ...actions }
+        }
+
+        logger.info(
+            `Loaded schemas of ${Object.keys(this.actions).length} actions and ${Object.keys(this.overlays).length} domains`
+        )
+    }
+
+    /**
+     * Loads the schemas once
+     * @returns
+     */
+    async load() {
+        if (!this.loading) this.loading = this._load()
+        return this.loading
+    }
+
+    /**
+     * @returns names of the supported actions
+     */
+    async get_actions() {
+        await this.load()
+        return Object.keys(this.actions)
+    }
+
+    async has_action(action) {
+        await this.load()
+        return !!this.actions[action]
+    }
+
+    /**
+     * Schema of the message of an action, with the overlay of the domain applied
+     * @param {*} action
+     * @param {*} domain
+     * @returns schema or null if the action is not supported
+     */
+    async get_schema(action, domain = null) {
+        await this.load()
+        const schema = this.actions[action]?.schema
+        if (!schema) return null
+
+        const overlay = domain && this.overlays[domain]?.[action]
+        if (!overlay) return schema
+
+        const key = `${domain}:${action}`
+        if (!this.schemas.has(key)) this.schemas.set(key, apply_overlay(schema, overlay))
+        return this.schemas.get(key)
+    }
+
+    async get_call_to_action(action) {
+        await this.load()
+        return this.actions[action]?.call_to_action || null
+    }
+}
+
+export const schemaRegistry = new SchemaRegistry()
+export default SchemaRegistry
@@ -0,0 +1,62 @@
+import Ajv from 'ajv'
+import addFormats from 'ajv-formats'
+import context_schema from '../config/schemas/common/context.js'
+
+// Shared by all validators. Ajv keeps the compiled schemas by schema object, schemas must not be created per request.
+const ajv = new Ajv({ allErrors: true, strict: false })
+addFormats(ajv)
+const validate_context_schema = ajv.compile(context_schema)
+
+/**
+ * Validates beckn payloads against their JSON schemas
+ */
+class SchemaValidator {
+    constructor() {
+        this.ajv = ajv
+    }
+
+    /**
+     * Validates data against a schema
+     * @param {*} schema | schema or compiled validator
+     * @param {*} data
+     * @returns {valid, errors} where errors are in the format [{path, message}]
+     */
+    validate(schema, data) {
+        const validate = typeof schema === 'function' ? schema : this.ajv.compile(schema)
+        const valid = validate(data)
+
+        return {
+            valid,
+            errors: valid
+                ? []
+                : validate.errors.map((error) => ({
+                      path: error.instancePath || '/',
+                      message: error.message,
+                      ...(error.params?.missingProperty && {
+                          missing: error.params.missingProperty,
+                      }),
+                      ...(error.params?.allowedValues && {
+                          allowed: error.params.allowedValues,
+                      }),
+                  })),
+        }
+    }
+
+    validate_context(context) {
+        return this.validate(validate_context_schema, context)
+    }
+
+    /**
+     * Structured feedback for the model to repair an invalid payload
+     * @param {*} payload | invalid payload generated by the model
+     * @param {*} errors | validation errors
+     * @returns
+     */
+    get_repair_feedback(payload, errors) {
+        return `The previously generated json was invalid. Generate it again and fix all of the following errors. Previous json : ${JSON.stringify(
+            payload ?? null
+        )}. Errors : ${JSON.stringify(errors)}`
+    }
+}
+
+export default SchemaValidator
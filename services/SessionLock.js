@@ -0,0 +1,80 @@
+import { SessionLockTimeoutError } from '../utils/errors.js'
+
+// Milliseconds a message waits for the earlier messages of the same session, 0 to wait forever
+const LOCK_TIMEOUT = parseInt(process.env.SESSION_LOCK_TIMEOUT ?? 300000)
+
+/**
+ * In-process mutex per session so that messages of a user are processed one at a time and in order.
+ * Waiting requests are queued behind the request holding the lock.
+ */
+class SessionLock {
+    constructor(timeout = LOCK_TIMEOUT) {
+        this.timeout = timeout
+        this.queues = new Map() // key => promise that resolves when the last queued request releases the lock
+    }
+
+    /**
+     * Whether a request is processing or waiting for the session
+     * @param {*} key | session key
+     * @returns
+     */
+    is_locked(key) {
+        return this.queues.has(key)
+    }
+
+    /**
+     * Waits for the lock of a session
+     * @param {*} key | session key
+     * @param {*} timeout | milliseconds to wait, 0 to wait forever
+     * @returns function to release the lock
+     */
+    async acquire(key, timeout = this.timeout) {
+        const previous = this.queues.get(key) || Promise.resolve()
+        let release
+        const current = new Promise((resolve) => (release = resolve))
+        const tail = previous.then(() => current)
+        this.queues.set(key, tail)
+        tail.then(() => {
+            if (this.queues.get(key) === tail) this.queues.delete(key)
+        })
+
+        let timer
+        try {
+            await Promise.race([
+                previous,
+                new Promise((resolve, reject) => {
+                    if (timeout > 0) {
+                        timer = setTimeout(() => reject(new SessionLockTimeoutError(key, timeout)), timeout)
+                    }
+                }),
+            ])
+        } catch (err) {
+            // give up the place in the queue so that the requests behind this one are not blocked
+            release()
+            throw err
+        } finally {
+            clearTimeout(timer)
+        }
+
+        return release
+    }
+
+    /**
+     * Runs a function while holding the lock of a session
+     * @param {*} key | session key
+     * @param {*} fn | async function
+     * @param {*} timeout | milliseconds to wait for the lock, 0 to wait forever
+     * @returns result of the function
+     */
+    async run(key, fn, timeout = this.timeout) {
+        const release = await this.acquire(key, timeout)
+        try {
+            return await fn()
+        } finally {
+            release()
+        }
+    }
+}
+
+export const sessionLock = new SessionLock()
+export default SessionLock
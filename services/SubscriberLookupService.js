@@ -0,0 +1,98 @@
+import axios from 'axios'
+import logger from '../utils/logger.js'
+
+// Seconds the subscribers found in a registry are cached
+const LOOKUP_CACHE_TTL = parseInt(process.env.BECKN_LOOKUP_CACHE_TTL ?? 300)
+const LOOKUP_TIMEOUT = 10000
+
+/**
+ * Finds subscribers, i.e. BAPs, BPPs and gateways, in a beckn registry with its /lookup API
+ */
+class SubscriberLookupService {
+    /**
+     * @param {*} cache_ttl | seconds, 0 to disable the cache
+     */
+    constructor(cache_ttl = LOOKUP_CACHE_TTL) {
+        this.cache_ttl = cache_ttl
+        this.cache = new Map()
+    }
+
+    /**
+     * Subscribers matching the criteria that are subscribed
+     * @param {*} registry_url
+     * @param {*} criteria | {subscriber_id, type, domain}
+     * @returns list of subscribers {subscriber_id, subscriber_url, type, domain, signing_public_key, ukId, status}
+     */
+    async lookup(registry_url, criteria) {
+        const key = `${registry_url}:${JSON.stringify(criteria)}`
+        const cached = this.cache.get(key)
+        if (cached && cached.expires_at > Date.now()) return cached.subscribers
+
+        logger.verbose(`Looking up ${JSON.stringify(criteria)} in ${registry_url}`)
+        const response = await axios.post(`${registry_url.replace(/\/$/, '')}/lookup`, criteria, {
+            timeout: LOOKUP_TIMEOUT,
+        })
+        const subscribers = (Array.isArray(response.data) ? response.data : []).filter(
+            (subscriber) => !subscriber.status || subscriber.status === 'SUBSCRIBED'
+        )
+
+        if (this.cache_ttl > 0) {
+            this.cache.set(key, { subscribers, expires_at: Date.now() + this.cache_ttl * 1000 })
+        }
+        return subscribers
+    }
+
+    /**
+     * @param {*} registry_url
+     * @param {*} subscriber_id
+     * @param {*} options | {type, domain, unique_key_id}
+     * @returns the subscriber or null if it is not subscribed
+     */
+    async get_subscriber(registry_url, subscriber_id, { type, domain, unique_key_id } = {}) {
+        const subscribers = await this.lookup(registry_url, {
+            subscriber_id,
+            ...(type && { type }),
+            ...(domain && { domain }),
+        })
+        return (
+            subscribers.find(
+                (subscriber) =>
+                    !unique_key_id || (subscriber.ukId || subscriber.unique_key_id) === unique_key_id
+            ) || null
+        )
+    }
+
+    /**
+     * Url of a BPP
+     * @param {*} registry_url
+     * @param {*} bpp_id
+     * @param {*} domain
+     * @returns
+     */
+    async get_bpp_uri(registry_url, bpp_id, domain = null) {
+        const subscriber = await this.get_subscriber(registry_url, bpp_id, { type: 'BPP', domain })
+        if (!subscriber?.subscriber_url) {
+            throw new Error(`BPP '${bpp_id}' is not subscribed in the registry ${registry_url}`)
+        }
+        return subscriber.subscriber_url
+    }
+
+    /**
+     * Signing public key of a subscriber
+     * @param {*} registry_url
+     * @param {*} subscriber_id
+     * @param {*} unique_key_id
+     * @returns the key or null if the subscriber or key is not found
+     */
+    async get_public_key(registry_url, subscriber_id, unique_key_id) {
+        const subscriber = await this.get_subscriber(registry_url, subscriber_id, { unique_key_id })
+        return subscriber?.signing_public_key || null
+    }
+
+    clear_cache() {
+        this.cache.clear()
+    }
+}
+
+export const subscriberLookupService = new SubscriberLookupService()
+export default SubscriberLookupService
@@ -0,0 +1,98 @@
+import { richReplyService } from '../RichReplyService.js'
+
+/**
+ * Base class for messaging channels.
+ * An adapter normalises inbound requests of its channel, sends outbound messages and replies to inbound requests.
+ */
+class ChannelAdapter {
+    /**
+     * @param {*} name | name of the channel, used as a prefix of session keys
+     */
+    constructor(name) {
+        this.name = name
+        // max_media : number of images sent with a message, structured : whether lists and cards are sent as data,
+        // streaming : whether the reply is sent in parts while it is generated
+        this.capabilities = { max_media: 0, structured: false }
+    }
+
+    /**
+     * Normalises an inbound request, implemented by each channel with the express request as argument
+     * @returns {user_id, text, media, raw_yn, sync} or null if the request is invalid.
+     * media is a list of {url, content_type}. If sync is true, the reply is sent in the http response.
+     */
+    async parse_request() {
+        throw new Error(`parse_request() is not implemented for channel '${this.name}'`)
+    }
+
+    /**
+     * Sends a message to a user of the channel, implemented by each channel with the arguments
+     * user_id, message (text message) and media (list of media urls)
+     * @returns {deliveryStatus} or false if the message could not be sent
+     */
+    async send_message() {
+        throw new Error(`send_message() is not implemented for channel '${this.name}'`)
+    }
+
+    /**
+     * Renders a reply for the channel. Lists and cards are added as text unless the channel can send them as data.
+     * @param {*} message | text of the reply
+     * @param {*} rich | {media, list, card} see RichReplyService
+     * @returns {message, media}
+     */
+    render(message, rich = {}) {
+        return {
+            message: this.capabilities.structured
+                ? message
+                : [message, ...richReplyService.to_text(rich)].filter(Boolean).join('\n\n'),
+            media: (rich.media || []).slice(0, this.capabilities.max_media),
+        }
+    }
+
+    /**
+     * Replies to an inbound request with a rich reply
+     * @param {*} res | express response
+     * @param {*} inbound | normalised inbound request
+     * @param {*} message | text of the reply
+     * @param {*} rich | {media, list, card} see RichReplyService
+     */
+    async send_reply(res, inbound, message, rich = {}) {
+        const rendered = this.render(message, rich)
+        return this.reply(res, inbound, rendered.message, rendered.media)
+    }
+
+    /**
+     * Returns a handler for the events of a turn, see AI.on_event.
+     * Status messages, such as the ones sent for slow beckn calls, are sent as separate messages
+     * on channels that do not reply in the http response. Other events are ignored.
+     * @param {*} res | express response
+     * @param {*} inbound | normalised inbound request
+     * @returns handler or null if the channel does not handle events
+     */
+    get_event_handler(res, inbound) {
+        if (inbound.sync) return null
+
+        return async (event) => {
+            if (event.type === 'status') {
+                await this.send_message(inbound.user_id, event.message)
+            }
+        }
+    }
+
+    /**
+     * Replies to an inbound request
+     * @param {*} res | express response
+     * @param {*} inbound | normalised inbound request
+     * @param {*} message | reply message, can be an object for raw replies
+     * @param {*} media | list of media urls
+     */
+    async reply(res, inbound, message, media = []) {
+        if (inbound.sync) {
+            return res.send(message)
+        }
+
+        await this.send_message(inbound.user_id, message, media)
+        return res.send('Message sent!')
+    }
+}
+
+export default ChannelAdapter
@@ -0,0 +1,114 @@
+import axios from 'axios'
+import logger from '../../utils/logger.js'
+import ChannelAdapter from './ChannelAdapter.js'
+
+const get_origin = (url) => {
+    try {
+        const parsed = new URL(url)
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.origin : null
+    } catch (e) {
+        return null
+    }
+}
+
+/**
+ * Generic REST channel.
+ * Replies are sent in the http response, or posted to the callback_url of the request if one is given.
+ * Messages sent outside of a request are posted to REST_CHANNEL_CALLBACK_URL.
+ * The server only posts to and downloads from the urls it is configured with, callback and media urls of requests
+ * must be REST_CHANNEL_CALLBACK_URL or on one of the origins in REST_CHANNEL_ALLOWED_URLS.
+ */
+class RestAdapter extends ChannelAdapter {
+    constructor(
+        name = 'rest',
+        callback_url = process.env.REST_CHANNEL_CALLBACK_URL,
+        allowed_urls = (process.env.REST_CHANNEL_ALLOWED_URLS || '').split(',')
+    ) {
+        super(name)
+        this.callback_url = callback_url
+        this.allowed_origins = allowed_urls.map((url) => get_origin(url.trim())).filter(Boolean)
+        this.capabilities = { max_media: Infinity, structured: true }
+    }
+
+    is_allowed_url(url) {
+        return typeof url === 'string' && this.allowed_origins.includes(get_origin(url))
+    }
+
+    async parse_request(req) {
+        const { user_id, message, media = [], callback_url, raw_yn } = req.body || {}
+        if (!user_id || (!message && media.length === 0)) return null
+
+        if (callback_url && callback_url !== this.callback_url && !this.is_allowed_url(callback_url)) {
+            logger.warn(`Rejected REST request with callback_url ${callback_url} that is not allowed`)
+            return null
+        }
+        if (!Array.isArray(media) || media.some((item) => !this.is_allowed_url(item?.url))) {
+            logger.warn('Rejected REST request with media urls that are not allowed')
+            return null
+        }
+
+        return {
+            user_id: `${user_id}`,
+            text: message || '',
+            media,
+            raw_yn,
+            callback_url,
+            sync: !callback_url,
+        }
+    }
+
+    async _post(url, user_id, message, media, rich = {}) {
+        try {
+            await axios.post(url, { user_id, message, media, list: rich.list || null, card: rich.card || null })
+            return { deliveryStatus: 'sent' }
+        } catch (error) {
+            logger.error(`Error sending message: ${error.message}`)
+            return false
+        }
+    }
+
+    async send_message(user_id, message, media = []) {
+        if (!this.callback_url) {
+            logger.error('REST_CHANNEL_CALLBACK_URL is not set, cannot send message')
+            return false
+        }
+        return this._post(this.callback_url, user_id, message, media)
+    }
+
+    /**
+     * Status messages are posted to the callback_url of the request
+     */
+    get_event_handler(res, inbound) {
+        if (inbound.sync) return null
+
+        return async (event) => {
+            if (event.type === 'status') {
+                await this._post(inbound.callback_url, inbound.user_id, event.message, [])
+            }
+        }
+    }
+
+    async reply(res, inbound, message, media = []) {
+        if (inbound.sync) {
+            return res.json({ message, media })
+        }
+
+        await this._post(inbound.callback_url, inbound.user_id, message, media)
+        return res.json({ status: true, message: 'Message sent!' })
+    }
+
+    /**
+     * Lists and cards are sent as data
+     */
+    async send_reply(res, inbound, message, rich = {}) {
+        const media = rich.media || []
+        if (inbound.sync) {
+            return res.json({ message, media, list: rich.list || null, card: rich.card || null })
+        }
+
+        await this._post(inbound.callback_url, inbound.user_id, message, media, rich)
+        return res.json({ status: true, message: 'Message sent!' })
+    }
+}
+
+export default RestAdapter
@@ -0,0 +1,62 @@
+import WebChatAdapter from './WebChatAdapter.js'
+
+/**
+ * Streaming endpoint of the web chat.
+ * The reply is sent as server-sent events with JSON data while it is generated :
+ * 'token' for every part of the text, 'tool_call' when a tool is called, 'status' for slow tool calls
+ * and 'done' with the full reply, like the response of the web chat. Sessions are shared with the web chat.
+ */
+class StreamAdapter extends WebChatAdapter {
+    constructor(name = 'web', options = {}) {
+        super(name, options)
+        this.capabilities = { max_media: Infinity, structured: true, streaming: true }
+    }
+
+    /**
+     * Starts the event stream, if it was not started yet
+     * @param {*} res | express response
+     */
+    start(res) {
+        if (res.headersSent) return
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+        })
+        res.flushHeaders()
+    }
+
+    /**
+     * Sends an event
+     * @param {*} res | express response
+     * @param {*} event | name of the event
+     * @param {*} data | data of the event, sent as JSON
+     */
+    send_event(res, event, data) {
+        this.start(res)
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    }
+
+    get_event_handler(res) {
+        return async ({ type, ...data }) => this.send_event(res, type, data)
+    }
+
+    async reply(res, inbound, message, media = []) {
+        this.send_event(res, 'done', { session_id: inbound.user_id, message, media })
+        return res.end()
+    }
+
+    async send_reply(res, inbound, message, rich = {}) {
+        this.send_event(res, 'done', {
+            session_id: inbound.user_id,
+            message,
+            media: rich.media || [],
+            list: rich.list || null,
+            card: rich.card || null,
+        })
+        return res.end()
+    }
+}
+
+export default StreamAdapter
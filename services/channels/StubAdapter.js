@@ -0,0 +1,35 @@
+import ChannelAdapter from './ChannelAdapter.js'
+
+/**
+ * Channel for tests. Keeps all sent messages in memory and replies in the http response.
+ */
+class StubAdapter extends ChannelAdapter {
+    constructor(name = 'stub') {
+        super(name)
+        this.sent = []
+    }
+
+    async parse_request(req) {
+        const { user_id, message, media = [], raw_yn } = req.body || {}
+        if (!user_id || !message) return null
+
+        return {
+            user_id: `${user_id}`,
+            text: message,
+            media,
+            raw_yn,
+            sync: true,
+        }
+    }
+
+    async send_message(user_id, message, media = []) {
+        this.sent.push({ user_id, message, media })
+        return { deliveryStatus: 'delivered' }
+    }
+
+    reset() {
+        this.sent = []
+    }
+}
+
+export default StubAdapter
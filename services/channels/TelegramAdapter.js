@@ -0,0 +1,110 @@
+import axios from 'axios'
+import logger from '../../utils/logger.js'
+import ChannelAdapter from './ChannelAdapter.js'
+
+const TELEGRAM_API_URL = 'https://api.telegram.org'
+
+/**
+ * Telegram bot channel. Receives updates on a webhook and sends messages using the bot API.
+ */
+class TelegramAdapter extends ChannelAdapter {
+    constructor(name = 'telegram', token = process.env.TELEGRAM_BOT_TOKEN) {
+        super(name)
+        this.token = token
+        this.capabilities.max_media = 10
+    }
+
+    async _call(method, data) {
+        const response = await axios.post(`${TELEGRAM_API_URL}/bot${this.token}/${method}`, data)
+        return response.data
+    }
+
+    /**
+     * Get the download url of a file shared in a message
+     * @param {*} file_id
+     * @returns
+     */
+    async _get_file_url(file_id) {
+        try {
+            const response = await this._call('getFile', { file_id })
+            return `${TELEGRAM_API_URL}/file/bot${this.token}/${response.result.file_path}`
+        } catch (error) {
+            logger.error(`Error getting telegram file: ${error.message}`)
+            return null
+        }
+    }
+
+    async parse_request(req) {
+        const message = req.body?.message
+        if (!message?.chat?.id) return null
+
+        const media = []
+        const files = [
+            // photos are shared in multiple sizes, the last one is the largest
+            message.photo && { file_id: message.photo[message.photo.length - 1].file_id, content_type: 'image/jpeg' },
+            message.voice && { file_id: message.voice.file_id, content_type: message.voice.mime_type || 'audio/ogg' },
+            message.audio && { file_id: message.audio.file_id, content_type: message.audio.mime_type || 'audio/mpeg' },
+            message.document && { file_id: message.document.file_id, content_type: message.document.mime_type },
+        ].filter((file) => file)
+        for (const file of files) {
+            const url = await this._get_file_url(file.file_id)
+            if (url) media.push({ url, content_type: file.content_type })
+        }
+
+        const text = message.text || message.caption || ''
+        if (!text && media.length === 0) return null
+
+        return {
+            user_id: `${message.chat.id}`,
+            text,
+            media,
+            sync: false,
+        }
+    }
+
+    /**
+     * @param {*} buttons | list of options shown as a reply keyboard, the option is sent as a message when tapped
+     */
+    async send_message(user_id, message, media = [], buttons = []) {
+        try {
+            for (const url of media) {
+                await this._call('sendPhoto', { chat_id: user_id, photo: url })
+            }
+            await this._call('sendMessage', {
+                chat_id: user_id,
+                text: message,
+                ...(buttons.length > 0 && {
+                    reply_markup: {
+                        keyboard: buttons.map((button) => [{ text: button }]),
+                        one_time_keyboard: true,
+                        resize_keyboard: true,
+                    },
+                }),
+            })
+            return { deliveryStatus: 'sent' }
+        } catch (error) {
+            logger.error(`Error sending message: ${error.message}`)
+            return false
+        }
+    }
+
+    /**
+     * Options of a list are shown as buttons as well
+     */
+    async send_reply(res, inbound, message, rich = {}) {
+        const rendered = this.render(message, rich)
+        const buttons = (rich.list?.items || []).map((item) => item.title)
+        await this.send_message(inbound.user_id, rendered.message, rendered.media, buttons)
+        return res.sendStatus(200)
+    }
+
+    /**
+     * Telegram only needs the update to be acknowledged, replies are sent using the bot API
+     */
+    async reply(res, inbound, message, media = []) {
+        await this.send_message(inbound.user_id, message, media)
+        return res.sendStatus(200)
+    }
+}
+
+export default TelegramAdapter
@@ -0,0 +1,79 @@
+import twilio from 'twilio'
+import logger from '../../utils/logger.js'
+import ChannelAdapter from './ChannelAdapter.js'
+
+/**
+ * Twilio messaging channel, used for WhatsApp as well as SMS.
+ */
+class TwilioAdapter extends ChannelAdapter {
+    /**
+     * @param {*} name | name of the channel
+     * @param {*} options | {prefix, number, max_media} where prefix is added to the phone numbers e.g. 'whatsapp:'
+     */
+    constructor(name, { prefix = '', number, max_media = 0 } = {}) {
+        super(name)
+        this.prefix = prefix
+        this.number = number
+        this.client = null
+        this.capabilities.max_media = max_media
+    }
+
+    _get_client() {
+        if (!this.client) {
+            this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN)
+        }
+        return this.client
+    }
+
+    _get_address(number) {
+        return this.prefix && !number.includes(this.prefix) ? `${this.prefix}${number}` : number
+    }
+
+    /**
+     * Supports Twilio form requests as well as JSON requests with the same fields.
+     * JSON requests are replied to in the http response.
+     */
+    async parse_request(req) {
+        const { From, Body, raw_yn } = req.body || {}
+        const media = []
+        for (let index = 0; index < (parseInt(req.body?.NumMedia) || 0); index++) {
+            media.push({
+                url: req.body[`MediaUrl${index}`],
+                content_type: req.body[`MediaContentType${index}`],
+            })
+        }
+
+        if (!From || (!Body && media.length === 0)) return null
+
+        return {
+            user_id: this.prefix ? From.replace(this.prefix, '') : From,
+            text: Body || '',
+            media,
+            raw_yn,
+            sync: !!req.is('application/json'),
+        }
+    }
+
+    async send_message(user_id, message, media = []) {
+        try {
+            let body = {
+                body: message,
+                from: this._get_address(this.number),
+                to: this._get_address(user_id),
+            }
+
+            if (media.length > 0 && !parseInt(process.env.DEVELOPER_MODE_ON)) {
+                body.mediaUrl = media
+            }
+            const client = this._get_client()
+            let data = await client.messages.create(body)
+            const status = await client.messages(data.sid).fetch()
+            return { deliveryStatus: status.status }
+        } catch (error) {
+            logger.error(`Error sending message: ${error.message}`)
+            return false
+        }
+    }
+}
+
+export default TwilioAdapter
@@ -0,0 +1,121 @@
+import crypto from 'crypto'
+import ChannelAdapter from './ChannelAdapter.js'
+
+// Session ids are issued by the server and signed with this secret so that they can not be chosen or guessed by users.
+// Without a configured secret, the ids issued before a restart are no longer accepted.
+const SESSION_SECRET = process.env.WEB_CHAT_SESSION_SECRET || crypto.randomBytes(32).toString('hex')
+// Messages kept in the outbox of a session, older ones are dropped
+const OUTBOX_SIZE = parseInt(process.env.WEB_CHAT_OUTBOX_SIZE) || 20
+// Seconds a message is kept in the outbox
+const OUTBOX_TTL = parseInt(process.env.WEB_CHAT_OUTBOX_TTL) || 24 * 60 * 60
+// Sessions with an outbox, the outbox of the oldest one is dropped
+const OUTBOX_MAX_SESSIONS = 10000
+
+const sign = (id) => crypto.createHmac('sha256', SESSION_SECRET).update(id).digest('hex')
+
+/**
+ * Web chat widget channel.
+ * Replies are sent in the http response. Messages sent outside of a request, such as notifications, are kept in an outbox that the widget polls.
+ * The first request of a session is sent without a session_id, the server issues one with the reply that is sent with the next requests.
+ */
+class WebChatAdapter extends ChannelAdapter {
+    /**
+     * @param {*} name
+     * @param {*} options | {outbox_size, outbox_ttl (seconds), max_sessions}
+     */
+    constructor(name = 'web', options = {}) {
+        super(name)
+        this.outbox = new Map()
+        this.outbox_size = options.outbox_size || OUTBOX_SIZE
+        this.outbox_ttl = options.outbox_ttl || OUTBOX_TTL
+        this.max_sessions = options.max_sessions || OUTBOX_MAX_SESSIONS
+        this.capabilities = { max_media: Infinity, structured: true }
+    }
+
+    create_session_id() {
+        const id = crypto.randomBytes(16).toString('hex')
+        return `${id}.${sign(id)}`
+    }
+
+    /**
+     * @param {*} session_id
+     * @returns true if the session id was issued by the server
+     */
+    is_valid_session_id(session_id) {
+        if (typeof session_id !== 'string') return false
+
+        const [id, signature = ''] = session_id.split('.')
+        const expected = sign(id)
+        return (
+            signature.length === expected.length &&
+            crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+        )
+    }
+
+    async parse_request(req) {
+        const { session_id, message, raw_yn } = req.body || {}
+        if (!message) return null
+        if (session_id && !this.is_valid_session_id(session_id)) return null
+
+        return {
+            user_id: session_id || this.create_session_id(),
+            text: message,
+            media: [],
+            raw_yn,
+            sync: true,
+        }
+    }
+
+    async send_message(user_id, message, media = []) {
+        this._prune()
+        const messages = [...(this.outbox.get(user_id) || []), { message, media, timestamp: new Date().toISOString() }]
+
+        // the session is moved to the end of the outbox as the most recent one
+        this.outbox.delete(user_id)
+        this.outbox.set(user_id, messages.slice(-this.outbox_size))
+        while (this.outbox.size > this.max_sessions) {
+            this.outbox.delete(this.outbox.keys().next().value)
+        }
+        return { deliveryStatus: 'queued' }
+    }
+
+    // drops the messages that are older than the ttl
+    _prune(now = Date.now()) {
+        for (const [user_id, messages] of this.outbox) {
+            const recent = messages.filter((item) => now - Date.parse(item.timestamp) < this.outbox_ttl * 1000)
+            if (recent.length) this.outbox.set(user_id, recent)
+            else this.outbox.delete(user_id)
+        }
+    }
+
+    async reply(res, inbound, message, media = []) {
+        return res.json({ session_id: inbound.user_id, message, media })
+    }
+
+    /**
+     * Lists and cards are sent as data for the widget to render
+     */
+    async send_reply(res, inbound, message, rich = {}) {
+        return res.json({
+            session_id: inbound.user_id,
+            message,
+            media: rich.media || [],
+            list: rich.list || null,
+            card: rich.card || null,
+        })
+    }
+
+    /**
+     * Returns and clears the messages queued for a user
+     * @param {*} user_id
+     * @returns
+     */
+    get_messages(user_id) {
+        this._prune()
+        const messages = this.outbox.get(user_id) || []
+        this.outbox.delete(user_id)
+        return messages
+    }
+}
+
+export default WebChatAdapter
@@ -0,0 +1,72 @@
+import TwilioAdapter from './TwilioAdapter.js'
+import TelegramAdapter from './TelegramAdapter.js'
+import WebChatAdapter from './WebChatAdapter.js'
+import StreamAdapter from './StreamAdapter.js'
+import RestAdapter from './RestAdapter.js'
+import StubAdapter from './StubAdapter.js'
+
+export const DEFAULT_CHANNEL = 'whatsapp'
+
+const channels = {
+    whatsapp: new TwilioAdapter('whatsapp', {
+        prefix: 'whatsapp:',
+        number: process.env.TWILIO_NUMBER,
+        max_media: 1, // whatsapp messages can only have one media
+    }),
+    sms: new TwilioAdapter('sms', {
+        number: process.env.TWILIO_SMS_NUMBER || process.env.TWILIO_NUMBER,
+    }),
+    telegram: new TelegramAdapter(),
+    web: new WebChatAdapter(),
+    // same sessions as the web chat, replies are streamed
+    web_stream: new StreamAdapter(),
+    rest: new RestAdapter(),
+    stub: new StubAdapter(),
+}
+
+/**
+ * Get the adapter of a channel
+ * @param {*} name
+ * @returns
+ */
+export function get_channel(name) {
+    const channel = channels[name]
+    if (!channel) throw new Error(`Channel '${name}' is not supported`)
+    return channel
+}
+
+/**
+ * Sessions are keyed by channel and user id e.g. 'whatsapp:+919999999999', 'telegram:12345'
+ * @param {*} channel
+ * @param {*} user_id
+ * @returns
+ */
+export function get_session_key(channel, user_id) {
+    return `${channel}:${user_id}`
+}
+
+/**
+ * Get channel and user id from a session key. Keys without a known channel are treated as whatsapp numbers.
+ * @param {*} key
+ * @returns {channel, user_id}
+ */
+export function parse_session_key(key) {
+    const index = key.indexOf(':')
+    const channel = key.slice(0, index)
+    if (index < 0 || !channels[channel]) {
+        return { channel: DEFAULT_CHANNEL, user_id: key }
+    }
+    return { channel, user_id: key.slice(index + 1) }
+}
+
+/**
+ * Sends a message to the user of a session on the channel of the session
+ * @param {*} key | session key
+ * @param {*} message
+ * @param {*} media | list of media urls
+ * @returns
+ */
+export async function send_message_to_session(key, message, media = []) {
+    const { channel, user_id } = parse_session_key(key)
+    return get_channel(channel).send_message(user_id, message, media)
+}
@@ -0,0 +1,269 @@
+import axios from 'axios'
+import BaseProvider from './BaseProvider.js'
+import { parse_sse_stream } from '../../utils/stream.js'
+import { parse_tool_arguments } from '../../utils/tool_calls.js'
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com'
+const API_VERSION = '2023-06-01'
+// the messages api needs a limit for the response
+const DEFAULT_MAX_TOKENS = 1024
+const JSON_INSTRUCTION = 'Respond only with a valid JSON object, without any other text.'
+
+const FINISH_REASONS = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    max_tokens: 'length',
+    tool_use: 'tool_calls',
+}
+
+/**
+ * Anthropic style messages API.
+ * OpenAI requests are converted to messages requests and the responses back to OpenAI chat completions.
+ * JSON mode is emulated with an instruction in the system prompt.
+ * Config : {api_key, base_url, model, max_tokens}
+ */
+class AnthropicProvider extends BaseProvider {
+    constructor(config = {}) {
+        super(config)
+        this.max_tokens = parseInt(config.max_tokens) || DEFAULT_MAX_TOKENS
+        this.httpClient = axios.create({
+            baseURL: config.base_url || DEFAULT_BASE_URL,
+            timeout: parseInt(config.timeout) || 120000,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': config.api_key,
+                'anthropic-version': API_VERSION,
+            },
+        })
+    }
+
+    /**
+     * Converts OpenAI messages to a system prompt and alternating user and assistant messages.
+     * Assistant messages before the first user message are instructions and are added to the system prompt.
+     * @param {*} messages | OpenAI messages
+     * @returns {system, messages}
+     */
+    _toAnthropicMessages(messages) {
+        const system = []
+        const converted = []
+
+        for (const message of messages) {
+            let role = message.role
+            let content = []
+
+            if (role === 'system' || (role === 'assistant' && !converted.length && !message.tool_calls)) {
+                system.push(message.content)
+                continue
+            }
+
+            if (role === 'tool') {
+                role = 'user'
+                content.push({ type: 'tool_result', tool_use_id: message.tool_call_id, content: `${message.content}` })
+            } else {
+                if (message.content) content.push({ type: 'text', text: `${message.content}` })
+                for (const tool_call of message.tool_calls || []) {
+                    content.push({
+                        type: 'tool_use',
+                        id: tool_call.id,
+                        name: tool_call.function.name,
+                        // the input must be an object, invalid arguments of a model are sent as no arguments
+                        input: parse_tool_arguments(tool_call.function.arguments) ?? {},
+                    })
+                }
+            }
+
+            // consecutive messages of the same role are merged
+            const last = converted[converted.length - 1]
+            if (last?.role === role) {
+                last.content.push(...content)
+            } else {
+                converted.push({ role, content })
+            }
+        }
+
+        return { system: system.join('\n'), messages: converted }
+    }
+
+    _toAnthropicToolChoice(tool_choice) {
+        if (!tool_choice || tool_choice === 'auto') return { type: 'auto' }
+        if (tool_choice === 'required') return { type: 'any' }
+        if (tool_choice.function?.name) return { type: 'tool', name: tool_choice.function.name }
+        return null
+    }
+
+    /**
+     * Builds a messages request from OpenAI chat completion options
+     * @param {*} options | OpenAI chat completion options
+     * @returns
+     */
+    _toAnthropicRequest(options) {
+        const chat_options = this._getChatOptions(options)
+        const { system, messages } = this._toAnthropicMessages(chat_options.messages)
+
+        const request = {
+            model: chat_options.model,
+            messages,
+            max_tokens: chat_options.max_tokens || this.max_tokens,
+            ...(chat_options.temperature !== undefined && { temperature: chat_options.temperature }),
+        }
+
+        const system_prompt = [system, chat_options.response_format?.type === 'json_object' ? JSON_INSTRUCTION : null]
+            .filter(Boolean)
+            .join('\n')
+        if (system_prompt) request.system = system_prompt
+
+        const tool_choice = this._toAnthropicToolChoice(chat_options.tool_choice)
+        if (chat_options.tools?.length && chat_options.tool_choice !== 'none' && tool_choice) {
+            request.tools = chat_options.tools.map((tool) => ({
+                name: tool.function.name,
+                description: tool.function.description,
+                input_schema: tool.function.parameters || { type: 'object', properties: {} },
+            }))
+            request.tool_choice = tool_choice
+        }
+
+        return request
+    }
+
+    /**
+     * Converts a messages response to an OpenAI chat completion
+     * @param {*} response | messages response
+     * @returns
+     */
+    _toOpenAIResponse(response) {
+        const text = response.content
+            .filter((block) => block.type === 'text')
+            .map((block) => block.text)
+            .join('')
+        const tool_calls = response.content
+            .filter((block) => block.type === 'tool_use')
+            .map((block) => ({
+                id: block.id,
+                type: 'function',
+                function: { name: block.name, arguments: JSON.stringify(block.input) },
+            }))
+
+        return {
+            id: response.id,
+            object: 'chat.completion',
+            created: Math.floor(Date.now() / 1000),
+            model: response.model,
+            choices: [
+                {
+                    index: 0,
+                    message: {
+                        role: 'assistant',
+                        content: tool_calls.length && !text ? null : text,
+                        ...(tool_calls.length && { tool_calls }),
+                    },
+                    finish_reason: FINISH_REASONS[response.stop_reason] || 'stop',
+                },
+            ],
+            usage: {
+                prompt_tokens: response.usage?.input_tokens || 0,
+                completion_tokens: response.usage?.output_tokens || 0,
+                total_tokens: (response.usage?.input_tokens || 0) + (response.usage?.output_tokens || 0),
+            },
+        }
+    }
+
+    /**
+     * Converts the events of a streamed messages response to OpenAI chat completion chunks
+     * @param {*} events | async iterable of events
+     * @returns async iterator of chunks
+     */
+    async *_toOpenAIChunks(events) {
+        const tool_indexes = {} // index of the content block : index of the tool call
+        let id = null
+        let model = null
+        const chunk = (delta, finish_reason = null) => ({
+            id,
+            object: 'chat.completion.chunk',
+            created: Math.floor(Date.now() / 1000),
+            model,
+            choices: [{ index: 0, delta, finish_reason }],
+        })
+
+        for await (const event of events) {
+            switch (event.type) {
+                case 'message_start':
+                    id = event.message.id
+                    model = event.message.model
+                    yield chunk({ role: 'assistant', content: '' })
+                    break
+                case 'content_block_start':
+                    if (event.content_block.type === 'tool_use') {
+                        tool_indexes[event.index] = Object.keys(tool_indexes).length
+                        yield chunk({
+                            tool_calls: [
+                                {
+                                    index: tool_indexes[event.index],
+                                    id: event.content_block.id,
+                                    type: 'function',
+                                    function: { name: event.content_block.name, arguments: '' },
+                                },
+                            ],
+                        })
+                    }
+                    break
+                case 'content_block_delta':
+                    if (event.delta.type === 'text_delta') {
+                        yield chunk({ content: event.delta.text })
+                    } else if (event.delta.type === 'input_json_delta') {
+                        yield chunk({
+                            tool_calls: [
+                                { index: tool_indexes[event.index], function: { arguments: event.delta.partial_json } },
+                            ],
+                        })
+                    }
+                    break
+                case 'message_delta':
+                    if (event.delta?.stop_reason) {
+                        yield chunk({}, FINISH_REASONS[event.delta.stop_reason] || 'stop')
+                    }
+                    break
+                case 'error':
+                    throw new Error(event.error?.message || 'Anthropic stream failed')
+            }
+        }
+    }
+
+    async _post(data, config = {}) {
+        try {
+            return await this.httpClient.post('/v1/messages', data, config)
+        } catch (error) {
+            // the status is used to decide if another provider should be tried
+            error.status = error.response?.status
+            throw error
+        }
+    }
+
+    async createChatCompletion(options) {
+        const response = await this._post(this._toAnthropicRequest(options), { signal: options.signal })
+        return this._toOpenAIResponse(response.data)
+    }
+
+    async *streamChatCompletion(options) {
+        const response = await this._post(
+            { ...this._toAnthropicRequest(options), stream: true },
+            { responseType: 'stream', signal: options.signal }
+        )
+        yield* this._toOpenAIChunks(parse_sse_stream(response.data))
+    }
+
+    async healthCheck() {
+        try {
+            await this.httpClient.get('/v1/models', { params: { limit: 1 } })
+            return { healthy: true }
+        } catch (error) {
+            return { healthy: false, error: error.message }
+        }
+    }
+
+    async getModels() {
+        const response = await this.httpClient.get('/v1/models')
+        return response.data.data.map((model) => model.id)
+    }
+}
+
+export default AnthropicProvider
@@ -0,0 +1,44 @@
+import OpenAIProvider from './OpenAIProvider.js'
+
+const DEFAULT_API_VERSION = '2024-02-01'
+
+/**
+ * Azure OpenAI. Requests are sent to a deployment of the resource, the deployment decides the model.
+ * Config : {base_url (endpoint of the resource), api_key, deployment, api_version}
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+    constructor(config = {}) {
+        super({ ...config, model: config.deployment })
+        this.deployment = config.deployment
+        this.endpoint = config.base_url.replace(/\/$/, '')
+    }
+
+    _getClientOptions(config) {
+        return {
+            apiKey: config.api_key,
+            baseURL: `${config.base_url.replace(/\/$/, '')}/openai/deployments/${config.deployment}`,
+            defaultQuery: { 'api-version': config.api_version || DEFAULT_API_VERSION },
+            defaultHeaders: { 'api-key': config.api_key },
+            ...(config.timeout && { timeout: parseInt(config.timeout) }),
+        }
+    }
+
+    /**
+     * Deployments can not be listed with the api key of the resource, the health is checked by listing the models
+     * of the resource so that the periodic checks do not use tokens
+     */
+    async healthCheck() {
+        try {
+            await this.client.get(`${this.endpoint}/openai/models`)
+            return { healthy: true }
+        } catch (error) {
+            return { healthy: false, error: error.message }
+        }
+    }
+
+    async getModels() {
+        return [this.deployment]
+    }
+}
+
+export default AzureOpenAIProvider
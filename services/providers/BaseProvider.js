@@ -0,0 +1,137 @@
+import { completion_to_chunk } from '../../utils/stream.js'
+import { to_constrained_format } from '../../utils/grammar.js'
+
+/**
+ * Base class for AI model providers.
+ * A provider serves OpenAI compatible chat completions, with tool calling and JSON mode where the model supports them,
+ * and reports its health and models. Providers are declared in config/providers.json, see services/providers/index.js.
+ */
+class BaseProvider {
+    /**
+     * @param {*} config | {name, type, priority, model, context_size, supports, ...options of the provider type}
+     */
+    constructor(config = {}) {
+        this.name = config.name
+        this.type = config.type
+        this.priority = config.priority ?? Infinity
+        this.model = config.model || null
+        this.context_size = parseInt(config.context_size) || null
+        this.supports = {
+            functionCalling: true,
+            jsonMode: true,
+            jsonSchema: false,
+            grammar: false,
+            streaming: true,
+            ...config.supports,
+        }
+    }
+
+    /**
+     * Features supported by a model of the provider, providers with per model features take the model as argument
+     * @returns {functionCalling, jsonMode, jsonSchema, grammar, streaming}
+     */
+    getCapabilities() {
+        return this.supports
+    }
+
+    /**
+     * Options of a chat completion without the features the model does not support
+     * A json_schema response format is reduced to a GBNF grammar or JSON mode if the model does not support it.
+     * @param {*} options | OpenAI chat completion options
+     * @returns {model, messages, temperature, max_tokens, tools, tool_choice, response_format, grammar}
+     */
+    _getChatOptions(options) {
+        const model = options.model || this.model
+        const supports = this.getCapabilities(model)
+        const chat_options = {
+            model,
+            messages: options.messages,
+            temperature: options.temperature,
+            max_tokens: options.max_tokens,
+        }
+
+        if (options.tools && supports.functionCalling) {
+            chat_options.tools = options.tools
+            chat_options.tool_choice = options.tool_choice
+        }
+
+        return { ...chat_options, ...to_constrained_format(options.response_format, supports) }
+    }
+
+    /**
+     * Creates a chat completion, implemented by each provider with the OpenAI chat completion options as argument
+     * @returns OpenAI chat completion
+     */
+    async createChatCompletion() {
+        throw new Error(`createChatCompletion() is not implemented for provider '${this.name}'`)
+    }
+
+    /**
+     * Streams a chat completion. Providers that can not stream send the full completion as a single chunk.
+     * @param {*} options | OpenAI chat completion options
+     * @returns async iterator of OpenAI chat completion chunks
+     */
+    async *streamChatCompletion(options) {
+        yield completion_to_chunk(await this.createChatCompletion(options))
+    }
+
+    /**
+     * Checks if the provider is reachable
+     * @returns {healthy, error}
+     */
+    async healthCheck() {
+        throw new Error(`healthCheck() is not implemented for provider '${this.name}'`)
+    }
+
+    /**
+     * Models available on the provider
+     * @returns list of model ids
+     */
+    async getModels() {
+        return this.model ? [this.model] : []
+    }
+
+    /**
+     * Tests the provider with a short chat completion
+     * @returns {success, response, server} or {success, error, server}
+     */
+    async testConnection() {
+        try {
+            const response = await this.createChatCompletion({
+                messages: [{ role: 'user', content: 'Hello, respond with just "OK"' }],
+                max_tokens: 10,
+            })
+
+            return {
+                success: true,
+                response: response.choices[0]?.message?.content || '',
+                server: this.name,
+            }
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                server: this.name,
+            }
+        }
+    }
+
+    /**
+     * Configuration and status of the provider
+     * @returns
+     */
+    async getInfo() {
+        const health = await this.healthCheck()
+        return {
+            server: this.name,
+            type: this.type,
+            priority: this.priority,
+            model: this.model,
+            healthy: health.healthy,
+            ...(health.error && { error: health.error }),
+            models: health.healthy ? await this.getModels().catch(() => []) : [],
+        }
+    }
+}
+
+export default BaseProvider
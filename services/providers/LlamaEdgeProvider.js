@@ -0,0 +1,52 @@
+import BaseProvider from './BaseProvider.js'
+import LlamaEdgeClient from '../LlamaEdgeClient.js'
+import { getModelConfig } from '../../config/llamaedge.config.js'
+
+/**
+ * LlamaEdge server. Features are taken from MODEL_CONFIGS of the model.
+ * Config : {base_url, model, temperature}, defaults to the LLAMAEDGE_* environment variables
+ */
+class LlamaEdgeProvider extends BaseProvider {
+    constructor(config = {}) {
+        super(config)
+        this.client = new LlamaEdgeClient(config)
+        this.model = this.client.modelName
+    }
+
+    getCapabilities(model = null) {
+        return getModelConfig(model || this.model).supports
+    }
+
+    async createChatCompletion(options) {
+        return this.client.createChatCompletion({ ...options, model: options.model || this.model })
+    }
+
+    streamChatCompletion(options) {
+        return this.client.streamChatCompletion({ ...options, model: options.model || this.model })
+    }
+
+    async healthCheck() {
+        return this.client.healthCheck()
+    }
+
+    async getModels() {
+        const models = await this.client.getModels()
+        return (models.data || []).map((model) => model.id)
+    }
+
+    async testConnection() {
+        return this.client.testConnection()
+    }
+
+    async getInfo() {
+        const info = await this.client.getServerInfo()
+        return {
+            ...info,
+            models: info.models.map((model) => model.id),
+            type: this.type,
+            priority: this.priority,
+        }
+    }
+}
+
+export default LlamaEdgeProvider
@@ -0,0 +1,56 @@
+import OpenAI from 'openai'
+import BaseProvider from './BaseProvider.js'
+
+/**
+ * OpenAI and any server with the OpenAI chat completions API, such as Ollama, vLLM or the llama.cpp server.
+ * Config : {api_key, base_url, model}. The api key is optional for local servers.
+ */
+class OpenAIProvider extends BaseProvider {
+    constructor(config = {}) {
+        super({ model: 'gpt-3.5-turbo', ...config })
+        this.client = new OpenAI(this._getClientOptions(config))
+    }
+
+    _getClientOptions(config) {
+        return {
+            apiKey: config.api_key || 'not-needed',
+            ...(config.base_url && { baseURL: config.base_url }),
+            ...(config.timeout && { timeout: parseInt(config.timeout) }),
+        }
+    }
+
+    async createChatCompletion(options) {
+        return this.client.chat.completions.create(
+            { ...this._getChatOptions(options), stream: false },
+            { signal: options.signal }
+        )
+    }
+
+    async *streamChatCompletion(options) {
+        if (!this.getCapabilities(options.model || this.model).streaming) {
+            yield* super.streamChatCompletion(options)
+            return
+        }
+
+        yield* await this.client.chat.completions.create(
+            { ...this._getChatOptions(options), stream: true },
+            { signal: options.signal }
+        )
+    }
+
+    async healthCheck() {
+        try {
+            await this.client.models.list()
+            return { healthy: true }
+        } catch (error) {
+            return { healthy: false, error: error.message }
+        }
+    }
+
+    async getModels() {
+        const models = await this.client.models.list()
+        return models.data.map((model) => model.id)
+    }
+}
+
+export default OpenAIProvider
@@ -0,0 +1,130 @@
+import { existsSync, readFileSync } from 'fs'
+import logger from '../../utils/logger.js'
+import AnthropicProvider from './AnthropicProvider.js'
+import AzureOpenAIProvider from './AzureOpenAIProvider.js'
+import BaseProvider from './BaseProvider.js'
+import LlamaEdgeProvider from './LlamaEdgeProvider.js'
+import OpenAIProvider from './OpenAIProvider.js'
+
+const PROVIDERS_PATH = process.env.AI_PROVIDERS_CONFIG_PATH || './config/providers.json'
+const ROUTING_PATH = process.env.AI_ROUTING_CONFIG_PATH || './config/routing.json'
+
+// Tasks that can be routed to different providers, models and parameters
+export const TASKS = ['chat', 'context', 'message', 'summary']
+
+// Provider types and the fields a provider of the type needs to be enabled
+const PROVIDER_TYPES = {
+    llamaedge: { Provider: LlamaEdgeProvider, required: ['base_url'] },
+    openai: { Provider: OpenAIProvider, required: ['api_key'] },
+    'openai-compatible': { Provider: OpenAIProvider, required: ['base_url', 'model'] },
+    anthropic: { Provider: AnthropicProvider, required: ['api_key', 'model'] },
+    azure: { Provider: AzureOpenAIProvider, required: ['base_url', 'api_key', 'deployment'] },
+}
+
+function resolve_value(value, env) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (match, name, fallback = '') => env[name] || fallback)
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => resolve_value(item, env))
+    }
+    if (value && typeof value === 'object') {
+        return resolve_config(value, env)
+    }
+    return value
+}
+
+/**
+ * Replaces ${VAR} and ${VAR:-default} in the values of a config with environment variables.
+ * Values that are empty after the replacement are removed.
+ * @param {*} config
+ * @param {*} env
+ * @returns
+ */
+export function resolve_config(config, env = process.env) {
+    return Object.entries(config).reduce((resolved, [key, value]) => {
+        value = resolve_value(value, env)
+        if (value !== '') resolved[key] = value
+        return resolved
+    }, {})
+}
+
+/**
+ * Validates a provider config
+ * @param {*} config | resolved config
+ * @returns list of missing or invalid fields
+ */
+export function validate_provider_config(config) {
+    const type = PROVIDER_TYPES[config.type]
+    if (!type) return [`type must be one of ${Object.keys(PROVIDER_TYPES).join(', ')}`]
+    return type.required.filter((field) => !config[field]).map((field) => `${field} is required`)
+}
+
+/**
+ * Reads the providers declared in AI_PROVIDERS_CONFIG_PATH
+ * @param {*} path
+ * @returns list of provider configs, sorted by priority
+ */
+export function load_provider_configs(path = PROVIDERS_PATH) {
+    if (!existsSync(path)) {
+        logger.warn(`AI provider config '${path}' not found`)
+        return []
+    }
+
+    return JSON.parse(readFileSync(path))
+        .filter((config) => config.enabled !== false)
+        .map((config) => resolve_config(config))
+        .sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity))
+}
+
+/**
+ * Reads the routing rules of the tasks in AI_ROUTING_CONFIG_PATH
+ * @param {*} path
+ * @returns {<task>: {chain: [{provider, model, params}], params}}
+ */
+export function load_routing_config(path = ROUTING_PATH) {
+    if (!existsSync(path)) return {}
+
+    const routing = resolve_config(JSON.parse(readFileSync(path)))
+    for (const task of Object.keys(routing)) {
+        if (!TASKS.includes(task)) {
+            logger.error(`Unknown task '${task}' in routing config, use one of ${TASKS.join(', ')}`)
+        }
+    }
+    return routing
+}
+
+/**
+ * Creates a provider from its config
+ * @param {*} config | resolved config
+ * @returns
+ */
+export function create_provider(config) {
+    const errors = validate_provider_config(config)
+    if (errors.length) {
+        throw new Error(`Invalid AI provider '${config.name}' : ${errors.join(', ')}`)
+    }
+    const { Provider } = PROVIDER_TYPES[config.type]
+    return new Provider(config)
+}
+
+/**
+ * Creates the providers that are configured. Providers without their required settings are skipped.
+ * @param {*} configs | provider configs, defaults to the ones in AI_PROVIDERS_CONFIG_PATH
+ * @returns list of providers, sorted by priority
+ */
+export function create_providers(configs = load_provider_configs()) {
+    const providers = []
+    for (const config of configs) {
+        const errors = validate_provider_config(config)
+        if (errors.length) {
+            logger.verbose(`AI provider '${config.name}' is not configured : ${errors.join(', ')}`)
+            continue
+        }
+        providers.push(create_provider(config))
+        logger.info(`${config.name} provider initialized`)
+    }
+    return providers
+}
+
+export { PROVIDER_TYPES, AnthropicProvider, AzureOpenAIProvider, BaseProvider, LlamaEdgeProvider, OpenAIProvider }
@@ -0,0 +1,34 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs'
+import { dirname } from 'path'
+import logger from '../../utils/logger.js'
+import MemoryStore from './MemoryStore.js'
+
+/**
+ * Memory store that is written to a JSON file after every change so that sessions survive restarts
+ * of a single instance without redis.
+ */
+class FileStore extends MemoryStore {
+    constructor(path = process.env.SESSION_STORE_PATH || './data/sessions.json') {
+        super()
+        this.path = path
+
+        if (existsSync(path)) {
+            try {
+                this.data = new Map(Object.entries(JSON.parse(readFileSync(path))))
+            } catch (err) {
+                logger.error(`Could not read session store file ${path} : ${err.message}`)
+            }
+        }
+    }
+
+    async persist() {
+        mkdirSync(dirname(this.path), { recursive: true })
+        // write to a temporary file first so that a crash does not leave a partial file
+        const data = {}
+        for (const [key, entry] of this.data) data[key] = entry
+        writeFileSync(`${this.path}.tmp`, JSON.stringify(data))
+        renameSync(`${this.path}.tmp`, this.path)
+    }
+}
+
+export default FileStore
@@ -0,0 +1,61 @@
+/**
+ * In-process key value store for local and test runs. Data is lost when the process exits.
+ */
+class MemoryStore {
+    constructor() {
+        this.data = new Map() // key => {value, expires_at}
+    }
+
+    _get_entry(key) {
+        const entry = this.data.get(key)
+        if (entry?.expires_at && entry.expires_at <= Date.now()) {
+            this.data.delete(key)
+            return null
+        }
+        return entry || null
+    }
+
+    async get(key) {
+        return this._get_entry(key)?.value ?? null
+    }
+
+    async set(key, value, ttl = 0) {
+        this.data.set(key, { value, expires_at: ttl > 0 ? Date.now() + ttl * 1000 : null })
+        await this.persist()
+    }
+
+    async del(keys) {
+        let count = 0
+        for (const key of [].concat(keys)) {
+            if (this._get_entry(key) && this.data.delete(key)) count++
+        }
+        await this.persist()
+        return count
+    }
+
+    async keys(prefix) {
+        return [...this.data.keys()].filter((key) => key.startsWith(prefix) && this._get_entry(key))
+    }
+
+    /**
+     * Sets the value only if the stored value is still the expected one.
+     * There is no await between the check and the update so it is atomic within the process.
+     * @param {*} key
+     * @param {*} expected | expected value, null if the key should not exist
+     * @param {*} value
+     * @param {*} ttl | seconds, 0 to never expire
+     * @returns true if the value was set
+     */
+    async compare_and_set(key, expected, value, ttl = 0) {
+        if ((this._get_entry(key)?.value ?? null) !== expected) return false
+        await this.set(key, value, ttl)
+        return true
+    }
+
+    /**
+     * Hook for stores that keep the data elsewhere as well
+     */
+    async persist() {}
+}
+
+export default MemoryStore
@@ -0,0 +1,78 @@
+import redis from 'redis'
+import logger from '../../utils/logger.js'
+
+/**
+ * Key value store backed by redis
+ */
+class RedisStore {
+    constructor(url = process.env.REDIS_URL || 'redis://localhost:6379') {
+        this.client = redis.createClient({ url })
+
+        this.client.on('error', (err) => {
+            logger.error('Redis Client Error', err)
+        })
+
+        this.client.connect()
+    }
+
+    async get(key) {
+        return this.client.get(key)
+    }
+
+    async set(key, value, ttl = 0) {
+        await this.client.set(key, value, ttl > 0 ? { EX: ttl } : {})
+    }
+
+    async del(keys) {
+        return this.client.del(keys)
+    }
+
+    async keys(prefix) {
+        const keys = []
+        let cursor = 0
+
+        do {
+            const reply = await this.client.scan(cursor, {
+                MATCH: `${prefix}*`,
+                COUNT: 100, // Adjust based on your expected load
+            })
+
+            cursor = reply.cursor
+            keys.push(...reply.keys)
+        } while (cursor !== 0)
+
+        return keys
+    }
+
+    /**
+     * Sets the value only if the stored value is still the expected one. Uses WATCH on an isolated connection.
+     * @param {*} key
+     * @param {*} expected | expected value, null if the key should not exist
+     * @param {*} value
+     * @param {*} ttl | seconds, 0 to never expire
+     * @returns true if the value was set
+     */
+    async compare_and_set(key, expected, value, ttl = 0) {
+        return this.client.executeIsolated(async (client) => {
+            await client.watch(key)
+            const current = await client.get(key)
+            if (current !== expected) {
+                await client.unwatch()
+                return false
+            }
+
+            try {
+                await client
+                    .multi()
+                    .set(key, value, ttl > 0 ? { EX: ttl } : {})
+                    .exec()
+                return true
+            } catch (err) {
+                if (err instanceof redis.WatchError) return false
+                throw err
+            }
+        })
+    }
+}
+
+export default RedisStore
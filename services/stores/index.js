@@ -0,0 +1,31 @@
+import logger from '../../utils/logger.js'
+import FileStore from './FileStore.js'
+import MemoryStore from './MemoryStore.js'
+import RedisStore from './RedisStore.js'
+
+const STORES = {
+    redis: RedisStore,
+    memory: MemoryStore,
+    file: FileStore,
+}
+
+let store = null
+
+/**
+ * Returns the store configured in SESSION_STORE. The store is created once and shared.
+ * @returns
+ */
+export function get_store() {
+    if (!store) {
+        const name = process.env.SESSION_STORE || 'redis'
+        const Store = STORES[name]
+        if (!Store) {
+            throw new Error(`Unsupported session store '${name}', use one of ${Object.keys(STORES).join(', ')}`)
+        }
+        logger.info(`Using ${name} session store`)
+        store = new Store()
+    }
+    return store
+}
+
+export { FileStore, MemoryStore, RedisStore }
@@ -0,0 +1,42 @@
+import OpenAI, { toFile } from 'openai'
+
+// File extensions of the audio formats sent by the channels, used to name the uploaded file
+const EXTENSIONS = {
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/amr': 'amr',
+    'audio/wav': 'wav',
+    'audio/webm': 'webm',
+}
+
+/**
+ * Speech to text using the OpenAI transcriptions API.
+ * Also works with local whisper servers that implement the same API e.g. LlamaEdge whisper or faster-whisper-server.
+ */
+class WhisperSpeechToText {
+    /**
+     * @param {*} options | {api_url, api_key, model}, api_url is not required for OpenAI
+     */
+    constructor({ api_url = null, api_key, model = 'whisper-1' } = {}) {
+        this.client = new OpenAI({ apiKey: api_key || 'not-required', ...(api_url ? { baseURL: api_url } : {}) })
+        this.model = model
+    }
+
+    /**
+     * Transcribes an audio file
+     * @param {*} buffer | audio file
+     * @param {*} content_type | e.g. audio/ogg
+     * @returns text
+     */
+    async transcribe(buffer, content_type) {
+        const extension = EXTENSIONS[content_type?.split(';')[0]] || 'ogg'
+        const response = await this.client.audio.transcriptions.create({
+            file: await toFile(buffer, `audio.${extension}`, { type: content_type }),
+            model: this.model,
+        })
+        return response.text
+    }
+}
+
+export default WhisperSpeechToText
@@ -0,0 +1,30 @@
+import WhisperSpeechToText from './WhisperSpeechToText.js'
+
+const PROVIDERS = {
+    openai: () =>
+        new WhisperSpeechToText({
+            api_key: process.env.OPENAI_AI_KEY,
+            model: process.env.STT_MODEL || 'whisper-1',
+        }),
+    whisper: () =>
+        new WhisperSpeechToText({
+            api_url: process.env.STT_API_URL,
+            api_key: process.env.STT_API_KEY,
+            model: process.env.STT_MODEL || 'whisper-1',
+        }),
+}
+
+/**
+ * Returns the speech to text provider configured in STT_PROVIDER
+ * @param {*} name | openai or whisper, a local server with the OpenAI transcriptions API at STT_API_URL
+ * @returns provider with a transcribe(buffer, content_type) function or null if speech to text is disabled
+ */
+export function get_stt_provider(name = process.env.STT_PROVIDER || 'openai') {
+    if (name === 'none') return null
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unsupported speech to text provider '${name}', use one of ${Object.keys(PROVIDERS).join(', ')}`)
+    }
+    return PROVIDERS[name]()
+}
+
+export { WhisperSpeechToText }
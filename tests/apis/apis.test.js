@@ -1,16 +1,24 @@
-import { describe, it } from 'mocha'
+import { after, before, describe, it } from 'mocha'
 import app from '../../server.js'
 import request from 'supertest'
 import * as chai from 'chai'
 import logger from '../../utils/logger.js'
 import DBService from '../../services/DBService.js'
+import { SCOPES } from '../../middlewares/auth.js'
 const expect = chai.expect
 
+const TEST_API_KEY = 'api-test-key'
+const env = { ...process.env }
 before(async () => {
+    process.env.API_KEYS = JSON.stringify({ ...JSON.parse(process.env.API_KEYS || '{}'), [TEST_API_KEY]: [SCOPES.WEBHOOK] })
+
     // Reset all sessions
     const db = new DBService()
     await db.clear_all_sessions()
 })
+after(() => {
+    process.env = env
+})
 
 describe('API tests for a simple order confirmation workflow', ()=>{
     const chats = [
@@ -22,7 +30,7 @@ describe('API tests for a simple order confirmation workflow', ()=>{
     
     for(const chat of chats){
         it(`Should return a response for ${chat.key}`, async () => {
-            const response = await request(app).post('/webhook').send({
+            const response = await request(app).post('/webhook').set('x-api-key', TEST_API_KEY).send({
                 From: process.env.TEST_RECEPIENT_NUMBER,
                 Body: chat.value,
             })
@@ -0,0 +1,28 @@
+import express from 'express'
+
+/**
+ * Local beckn registry with the /lookup API, for tests of the networks in which the bot is its own BAP
+ * @param {*} subscribers | list of {subscriber_id, subscriber_url, type, domain, signing_public_key, ukId, status}
+ * @returns {url, lookups, close} where lookups are the criteria of the lookups received
+ */
+export async function start_mock_registry(subscribers = []) {
+    const app = express()
+    const lookups = []
+    app.use(express.json())
+
+    app.post('/lookup', (req, res) => {
+        lookups.push(req.body)
+        const criteria = ['subscriber_id', 'type', 'domain'].filter((key) => req.body?.[key])
+        res.json(subscribers.filter((subscriber) => criteria.every((key) => subscriber[key] === req.body[key])))
+    })
+
+    const server = await new Promise((resolve) => {
+        const server = app.listen(0, () => resolve(server))
+    })
+
+    return {
+        url: `http://localhost:${server.address().port}`,
+        lookups,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    }
+}
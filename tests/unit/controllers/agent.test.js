@@ -1,13 +1,23 @@
-import { describe, it} from 'mocha'
+import { after, before, describe, it } from 'mocha'
 import * as chai from 'chai'
 const expect = chai.expect
 import request from 'supertest'
 import app from '../../../server.js'
+import { SCOPES } from '../../../middlewares/auth.js'
+
+const TEST_API_KEY = 'agent-test-key'
+const env = { ...process.env }
+before(() => {
+    process.env.API_KEYS = JSON.stringify({ ...JSON.parse(process.env.API_KEYS || '{}'), [TEST_API_KEY]: [SCOPES.WEBHOOK] })
+})
+after(() => {
+    process.env = env
+})
 
 describe('API tests for getResponse() function', () => {
     it('should return 400 if From or Body is missing', async () => {
         const message = "What is the capital of India?"
-        const response = await request(app).post('/webhook').send({
+        const response = await request(app).post('/webhook').set('x-api-key', TEST_API_KEY).send({
             Body: message,
         })
         expect(response.status).to.be.eq(400)
@@ -16,7 +26,7 @@ describe('API tests for getResponse() function', () => {
 
     it('should return sucecsful response if a general query is asked', async () => {
         const message = "What is the capital of India?"
-        const response = await request(app).post('/webhook').send({
+        const response = await request(app).post('/webhook').set('x-api-key', TEST_API_KEY).send({
             From: process.env.TEST_RECEPIENT_NUMBER,
             Body: message,
         })
@@ -26,7 +36,7 @@ describe('API tests for getResponse() function', () => {
 
     it('Should return list of routes between two points if asked', async () => {
         const message = "Can you share routes between New Delhi and Mumbai?"
-        const response = await request(app).post('/webhook').send({
+        const response = await request(app).post('/webhook').set('x-api-key', TEST_API_KEY).send({
             From: process.env.TEST_RECEPIENT_NUMBER,
             Body: message,
         })
@@ -36,7 +46,7 @@ describe('API tests for getResponse() function', () => {
 
     it('Should select a route', async () => {
         const message = "Lets select the first one"
-        const response = await request(app).post('/webhook').send({
+        const response = await request(app).post('/webhook').set('x-api-key', TEST_API_KEY).send({
             From: process.env.TEST_RECEPIENT_NUMBER,
             Body: message,
         })
@@ -45,11 +55,46 @@ describe('API tests for getResponse() function', () => {
 
     it('Should return a list of hotels', async () => {
         const message = "Can you please find hotels near Yellowstone national park?"
-        const response = await request(app).post('/webhook').send({
+        const response = await request(app).post('/webhook').set('x-api-key', TEST_API_KEY).send({
             From: process.env.TEST_RECEPIENT_NUMBER,
             Body: message,
         })
         expect(response.text).to.be.a('string');
         expect(response.text).to.contain('Lake');
     })
-})
\ No newline at end of file
+})
+describe('API tests for authentication of the webhook', () => {
+    it('Should reject JSON requests without an api key', async () => {
+        const response = await request(app).post('/webhook').send({
+            From: process.env.TEST_RECEPIENT_NUMBER,
+            Body: "Hi",
+        })
+        expect(response.status).to.be.eq(401)
+    })
+
+    it('Should reject twilio requests without a valid signature', async () => {
+        const response = await request(app).post('/webhook').type('form').send({
+            From: process.env.TEST_RECEPIENT_NUMBER,
+            Body: "Hi",
+        })
+        expect(response.status).to.be.eq(403)
+    })
+})
+
+describe('API tests for chat commands', () => {
+    it('Should reply to /help without calling the model', async () => {
+        const response = await request(app).post('/webhook').set('x-api-key', TEST_API_KEY).send({
+            From: process.env.TEST_RECEPIENT_NUMBER,
+            Body: '/help',
+        })
+        expect(response.text).to.contain('/reset')
+    })
+
+    it('Should clear the session on /reset', async () => {
+        const response = await request(app).post('/webhook').set('x-api-key', TEST_API_KEY).send({
+            From: process.env.TEST_RECEPIENT_NUMBER,
+            Body: '/reset',
+        })
+        expect(response.text).to.contain('Your session has been cleared')
+    })
+})
@@ -0,0 +1,64 @@
+import { after, before, describe, it } from 'mocha'
+import * as chai from 'chai'
+const expect = chai.expect
+import request from 'supertest'
+import app from '../../../server.js'
+import { modelController } from '../../../services/AI.js'
+
+const TEST_API_KEY = 'ai-admin-test-key'
+
+describe('API tests for the AI provider admin endpoints', () => {
+    const env = { ...process.env }
+    before(() => {
+        process.env.API_KEYS = JSON.stringify({ [TEST_API_KEY]: ['*'] })
+    })
+    after(() => {
+        process.env = env
+    })
+
+    it('Should reject requests without credentials', async () => {
+        const response = await request(app).get('/admin/ai/providers')
+        expect(response.status).to.be.eq(401)
+    })
+
+    it('Should list the providers with their circuits and metrics', async () => {
+        const response = await request(app).get('/admin/ai/providers').set('x-api-key', TEST_API_KEY)
+        expect(response.status).to.be.eq(200)
+        expect(response.body.activeProvider).to.be.a('string')
+        expect(response.body.providers[response.body.activeProvider].circuit.state).to.be.a('string')
+        expect(response.body.metrics).to.be.an('array')
+    })
+
+    it('Should not switch to an unknown provider', async () => {
+        const response = await request(app)
+            .post('/admin/ai/providers/switch')
+            .set('x-api-key', TEST_API_KEY)
+            .send({ provider: 'unknown' })
+        expect(response.status).to.be.eq(400)
+        expect(response.body.status).to.be.false
+    })
+
+    it('Should not return the details of a failed switch', async () => {
+        const switch_provider = modelController.switchProvider
+        modelController.switchProvider = async () => {
+            throw new Error('connect ECONNREFUSED http://10.0.0.1:8080')
+        }
+        try {
+            const response = await request(app)
+                .post('/admin/ai/providers/switch')
+                .set('x-api-key', TEST_API_KEY)
+                .send({ provider: modelController.getProviderType() })
+            expect(response.status).to.be.eq(503)
+            expect(response.body.message).to.not.contain('10.0.0.1')
+        } finally {
+            modelController.switchProvider = switch_provider
+        }
+    })
+
+    it('Should not list the models of an unknown provider', async () => {
+        const response = await request(app)
+            .get('/admin/ai/models?provider=unknown')
+            .set('x-api-key', TEST_API_KEY)
+        expect(response.status).to.be.eq(400)
+    })
+})
@@ -1,20 +1,32 @@
-import { describe, it} from 'mocha'
+import { after, before, describe, it } from 'mocha'
 import app from '../../../server.js'
 import request from 'supertest'
+import { SCOPES } from '../../../middlewares/auth.js'
 import * as chai from 'chai'
 const expect = chai.expect
 
+const TEST_API_KEY = 'control-center-test-key'
+const env = { ...process.env }
+before(() => {
+    process.env.API_KEYS = JSON.stringify({
+        ...JSON.parse(process.env.API_KEYS || '{}'),
+        [TEST_API_KEY]: [SCOPES.NOTIFY, SCOPES.ORDERS, SCOPES.CATALOG, SCOPES.EXCEPTIONS],
+    })
+})
+after(() => {
+    process.env = env
+})
 
 describe('API tests for /notify endpoint for an end to end Notify Request', () => {
     it('Should test unsuccess response for invalid whatsapp number.', async () => {
-        const response = await request(app).post('/notify').send({
+        const response = await request(app).post('/notify').set('x-api-key', TEST_API_KEY).send({
             "userNo":"INVALID_NUMBER"
         })
         expect(response.status).to.equal(400)
     })
 
     it('Should test success response for valid whatsapp number', async () => {
-        const response = await request(app).post('/notify').send({
+        const response = await request(app).post('/notify').set('x-api-key', TEST_API_KEY).send({
             "userNo":process.env.TEST_RECEPIENT_NUMBER
         })
         expect(response.status).to.equal(200)
@@ -29,7 +41,7 @@ describe('API tests for /notify endpoint for an end to end Notify Request', () =
 
 describe('API tests for /cancel-booking endpoint for an end to end Notify Message', () => {
     it('Should test unsuccess response for invalid order Id.', async () => {
-        const response = await request(app).post('/cancel-booking').send({
+        const response = await request(app).post('/cancel-booking').set('x-api-key', TEST_API_KEY).send({
             "orderId":"Abcd"
         })
         expect(response.status).equal(400)
@@ -38,7 +50,7 @@ describe('API tests for /cancel-booking endpoint for an end to end Notify Messag
     })
 
     it('Should test unsuccess response for no order Id.', async () => {
-        const response = await request(app).post('/cancel-booking').send({})
+        const response = await request(app).post('/cancel-booking').set('x-api-key', TEST_API_KEY).send({})
         expect(response.status).equal(400)
         expect(response._body.status).equal(false)
         expect(response._body.status).equal(false)
@@ -46,7 +58,7 @@ describe('API tests for /cancel-booking endpoint for an end to end Notify Messag
 
    
     it('Should test success response for valid order Id.', async () => {
-        const response = await request(app).post('/cancel-booking').send({
+        const response = await request(app).post('/cancel-booking').set('x-api-key', TEST_API_KEY).send({
             "orderId":"1"
         })
  
@@ -60,7 +72,7 @@ describe('API tests for /cancel-booking endpoint for an end to end Notify Messag
 
 describe('API tests for /update-catalog endpoint for an end to end Notify Message', () => {
     it('Should test success response for invalid whatsapp No.', async () => {
-        const response = await request(app).post('/update-catalog').send({
+        const response = await request(app).post('/update-catalog').set('x-api-key', TEST_API_KEY).send({
             "userNo":"INVALID_NUMBER"
         })
       
@@ -70,14 +82,14 @@ describe('API tests for /update-catalog endpoint for an end to end Notify Messag
     })
 
     it('Should test success response for no whatsapp number provided in the payload and will sent to TEST_RECEPIENT_NUMBER', async () => {
-        const response = await request(app).post('/update-catalog').send({})
+        const response = await request(app).post('/update-catalog').set('x-api-key', TEST_API_KEY).send({})
         expect(response.status).equal(200)
         expect(response._body.status).equal(true)
         expect(response._body.message).equal('Catalog Updated')
     })
 
     it('Should test success response for valid whatsapp number', async () => {
-        const response = await request(app).post('/update-catalog').send({
+        const response = await request(app).post('/update-catalog').set('x-api-key', TEST_API_KEY).send({
             "userNo":process.env.TEST_RECEPIENT_NUMBER
         })
         expect(response.status).equal(200)
@@ -88,11 +100,27 @@ describe('API tests for /update-catalog endpoint for an end to end Notify Messag
 
 describe('API tests for triggering a roadblock', ()=>{    
     it('Should trigger a roadblock on a selected route', async ()=>{
-        const response = await request(app).post('/trigger-exception').send({
+        const response = await request(app).post('/trigger-exception').set('x-api-key', TEST_API_KEY).send({
             "point":[39.7408351, -104.9874105],
             "message": "There is a roadblock on your selected route due to an accident!"
         })
 
         expect(response.status).equal(200)
     })
-})
\ No newline at end of file
+})
+describe('API tests for authentication of control center endpoints', () => {
+    it('Should reject requests without an api key', async () => {
+        const response = await request(app).post('/notify').send({
+            "userNo":process.env.TEST_RECEPIENT_NUMBER
+        })
+        expect(response.status).to.equal(401)
+        expect(response._body.status).to.equal(false)
+    })
+
+    it('Should reject requests with an invalid api key', async () => {
+        const response = await request(app).post('/cancel-booking').set('x-api-key', 'INVALID_KEY').send({
+            "orderId":"1"
+        })
+        expect(response.status).to.equal(401)
+    })
+})
@@ -0,0 +1,213 @@
+import * as chai from 'chai'
+const expect = chai.expect
+import { describe, it, before, after } from 'mocha'
+import {
+    SCOPES,
+    authenticate,
+    get_signature,
+    verifyBecknSignature,
+    verifyTelegramSecret,
+} from '../../../middlewares/auth.js'
+import { registryService } from '../../../services/RegistryService.js'
+import { callbackService } from '../../../services/CallbackService.js'
+import { create_authorization_header, generate_key_pair } from '../../../utils/beckn_signature.js'
+import { start_mock_registry } from '../../mocks/registry.js'
+
+const get_request = (headers = {}, rawBody = '') => ({
+    method: 'POST',
+    originalUrl: '/notify',
+    rawBody,
+    get: (name) => headers[name.toLowerCase()],
+})
+
+const run = (middleware, req) => {
+    const result = { next: false, status: null }
+    const res = {
+        status: (status) => {
+            result.status = status
+            return res
+        },
+        json: (body) => {
+            result.body = body
+            return res
+        },
+    }
+    middleware(req, res, () => (result.next = true))
+    return result
+}
+
+describe('Should test the authentication middleware', () => {
+    const env = { ...process.env }
+    before(() => {
+        process.env.API_KEYS = JSON.stringify({ 'notify-key': [SCOPES.NOTIFY], 'admin-key': ['*'] })
+        process.env.HMAC_KEYS = JSON.stringify({ partner: { secret: 'secret', scopes: [SCOPES.WEBHOOK] } })
+        process.env.TELEGRAM_WEBHOOK_SECRET = 'telegram-secret'
+    })
+    after(() => {
+        process.env = env
+    })
+
+    it('Should allow an api key with the required scope', () => {
+        const result = run(authenticate(SCOPES.NOTIFY), get_request({ 'x-api-key': 'notify-key' }))
+        expect(result.next).to.be.true
+    })
+
+    it('Should allow an api key with all scopes', () => {
+        const result = run(authenticate(SCOPES.ORDERS), get_request({ 'x-api-key': 'admin-key' }))
+        expect(result.next).to.be.true
+    })
+
+    it('Should reject missing and invalid api keys', () => {
+        expect(run(authenticate(SCOPES.NOTIFY), get_request()).status).to.be.eq(401)
+        expect(run(authenticate(SCOPES.NOTIFY), get_request({ 'x-api-key': 'invalid' })).status).to.be.eq(401)
+    })
+
+    it('Should reject an api key without the required scope', () => {
+        const result = run(authenticate(SCOPES.ORDERS), get_request({ 'x-api-key': 'notify-key' }))
+        expect(result.next).to.be.false
+        expect(result.status).to.be.eq(403)
+    })
+
+    it('Should allow a valid HMAC signature', () => {
+        const body = JSON.stringify({ From: '+919999999999', Body: 'Hi' })
+        const timestamp = Date.now()
+        const headers = {
+            'x-key-id': 'partner',
+            'x-timestamp': `${timestamp}`,
+            'x-signature': get_signature('secret', timestamp, body),
+        }
+        expect(run(authenticate(SCOPES.WEBHOOK), get_request(headers, body)).next).to.be.true
+    })
+
+    it('Should reject tampered and expired HMAC signatures', () => {
+        const body = JSON.stringify({ From: '+919999999999', Body: 'Hi' })
+        const timestamp = Date.now()
+        const headers = {
+            'x-key-id': 'partner',
+            'x-timestamp': `${timestamp}`,
+            'x-signature': get_signature('secret', timestamp, body),
+        }
+        expect(run(authenticate(SCOPES.WEBHOOK), get_request(headers, `${body} `)).status).to.be.eq(401)
+
+        const expired = timestamp - 10 * 60 * 1000
+        const expired_headers = {
+            ...headers,
+            'x-timestamp': `${expired}`,
+            'x-signature': get_signature('secret', expired, body),
+        }
+        expect(run(authenticate(SCOPES.WEBHOOK), get_request(expired_headers, body)).status).to.be.eq(401)
+    })
+
+    it('Should validate the telegram secret token', () => {
+        const valid = get_request({ 'x-telegram-bot-api-secret-token': 'telegram-secret' })
+        expect(run(verifyTelegramSecret, valid).next).to.be.true
+        expect(run(verifyTelegramSecret, get_request()).status).to.be.eq(403)
+    })
+})
+
+describe('Should test the beckn signature of callbacks', () => {
+    const keys = { bpp: generate_key_pair(), other: generate_key_pair() }
+    const get_signer = (subscriber_id, unique_key_id, { private_key }) => ({ subscriber_id, unique_key_id, private_key })
+    const bpp = get_signer('bpp-hotel.example.com', 'bpp-key', keys.bpp)
+    const other = get_signer('bpp-other.example.com', 'other-key', keys.other)
+    const network = {
+        url: 'https://gateway.example.com',
+        domains: ['hospitality'],
+        bap_subscriber_id: 'direct-bap.example.com',
+        bap_subscriber_url: 'https://direct-bap.example.com',
+        version: '1.1.0',
+        direct: true,
+    }
+    let registry = null
+
+    const subscriber = ({ subscriber_id, unique_key_id }, public_key) => ({
+        subscriber_id,
+        subscriber_url: `https://${subscriber_id}`,
+        type: 'BPP',
+        domain: 'hospitality',
+        signing_public_key: public_key,
+        ukId: unique_key_id,
+        status: 'SUBSCRIBED',
+    })
+
+    // request sent by the server and the callback for it
+    const send_request = (bpp_id = null) => {
+        const context = {
+            action: 'select',
+            bap_id: network.bap_subscriber_id,
+            transaction_id: `transaction-${Math.random()}`,
+            message_id: 'message-id',
+            ...(bpp_id && { bpp_id }),
+        }
+        callbackService.register(context)
+        return context
+    }
+    const get_callback = (context, signer, body = {}) => {
+        const payload = JSON.stringify({ context: { ...context, action: 'on_select', ...body }, message: {} })
+        const request = get_request({ authorization: create_authorization_header(payload, signer) }, payload)
+        return { ...request, body: JSON.parse(payload), originalUrl: '/on_select' }
+    }
+    const run_async = async (req) => {
+        const result = { next: false, status: null }
+        const res = {
+            set: () => res,
+            status: (status) => {
+                result.status = status
+                return res
+            },
+            json: (body) => {
+                result.body = body
+                return res
+            },
+        }
+        await verifyBecknSignature(req, res, () => (result.next = true))
+        return result
+    }
+
+    before(async () => {
+        registry = await start_mock_registry([
+            subscriber(bpp, keys.bpp.public_key),
+            subscriber(other, keys.other.public_key),
+        ])
+        registryService.networks.push({ ...network, registry_url: registry.url })
+    })
+    after(async () => {
+        registryService.networks = registryService.networks.filter((item) => !item.direct)
+        await registry.close()
+    })
+
+    it('Should accept a callback signed by the bpp of the request', async () => {
+        const context = send_request(bpp.subscriber_id)
+        const result = await run_async(get_callback(context, bpp))
+        callbackService.cancel(context)
+        expect(result.next).to.be.true
+    })
+
+    it('Should verify the callback as per the network of the request and not the spoofed bap_id', async () => {
+        const context = send_request(bpp.subscriber_id)
+        // an unsigned callback claiming to be for a network that is not direct
+        const callback = get_callback(context, bpp, { bap_id: 'unknown-bap.example.com' })
+        callback.get = () => undefined
+        const result = await run_async(callback)
+        callbackService.cancel(context)
+        expect(result.next).to.be.false
+        expect(result.status).to.be.eq(401)
+        expect(result.body.message.ack.status).to.be.eq('NACK')
+    })
+
+    it('Should reject a callback signed by another subscriber than its bpp', async () => {
+        const context = send_request()
+        const result = await run_async(get_callback({ ...context, bpp_id: bpp.subscriber_id }, other))
+        callbackService.cancel(context)
+        expect(result.status).to.be.eq(401)
+        expect(result.body.error.message).to.contain('signer is not the bpp')
+    })
+
+    it('Should reject a callback from another bpp than the one the request was sent to', async () => {
+        const context = send_request(bpp.subscriber_id)
+        const result = await run_async(get_callback({ ...context, bpp_id: other.subscriber_id }, other))
+        callbackService.cancel(context)
+        expect(result.status).to.be.eq(401)
+        expect(result.body.error.message).to.contain('another bpp')
+    })
+})
@@ -67,3 +67,56 @@ describe(`Test cases for get_message_by_action()`, ()=> {
         
     })
 })
+
+describe(`Test cases for post order actions`, ()=> {
+    const order_response = {
+        context: { domain: 'uei:charging', bpp_id: 'bpp-energy', bpp_uri: 'https://bpp-energy.example.com', transaction_id: 'order-transaction' },
+        message: { order: { id: '301', fulfillments: [{ id: '1' }] } }
+    }
+
+    it('Should save confirmed orders to the session', async () => {
+        const ai = new AI();
+        ai.session = { orders: [] };
+        ai._update_orders('confirm', [order_response]);
+        expect(ai.session.orders).to.have.lengthOf(1);
+        expect(ai.session.orders[0].message.order.id).to.be.eq('301');
+    })
+
+    it('Should reuse the order and bpp details of the stored order', async () => {
+        const ai = new AI();
+        ai.session = { orders: [order_response] };
+        const context = { domain: 'retail', bpp_id: 'wrong-bpp', transaction_id: 'new-transaction' };
+        const message = {};
+        ai._apply_order_details('status', context, message);
+        expect(context.domain).to.be.eq('uei:charging');
+        expect(context.bpp_id).to.be.eq('bpp-energy');
+        expect(context.bpp_uri).to.be.eq('https://bpp-energy.example.com');
+        expect(context.transaction_id).to.be.eq('order-transaction');
+        expect(message.order_id).to.be.eq('301');
+    })
+
+    it('Should update the stored order from a post order response', async () => {
+        const ai = new AI();
+        ai.session = { orders: [JSON.parse(JSON.stringify(order_response))] };
+        ai._update_orders('cancel', [{ message: { order: { id: '301', status: 'CANCELLED' } } }]);
+        expect(ai.session.orders[0].message.order.status).to.be.eq('CANCELLED');
+        expect(ai.session.orders[0].message.order.fulfillments).to.have.lengthOf(1);
+    })
+})
+
+describe(`Test cases for _update_user_profile()`, ()=> {
+    it('Should save the billing details to the user profile', async () => {
+        const ai = new AI();
+        ai._update_user_profile({ order: { billing: { name: 'John Doe', email: 'john@example.com', address: '1 Main St' } } });
+        expect(ai.user_profile.name).to.be.eq('John Doe');
+        expect(ai.user_profile.email).to.be.eq('john@example.com');
+        expect(ai.user_profile.addresses).to.deep.eq(['1 Main St']);
+    })
+
+    it('Should not duplicate a saved address', async () => {
+        const ai = new AI();
+        ai.user_profile.addresses = ['1 Main St'];
+        ai._update_user_profile({ order: { billing: { address: '1 Main St' } } });
+        expect(ai.user_profile.addresses).to.have.lengthOf(1);
+    })
+})
@@ -0,0 +1,51 @@
+import * as chai from 'chai'
+const expect = chai.expect
+import CallbackService, { duration_to_ms } from '../../../services/CallbackService.js'
+import { describe, it } from 'mocha'
+
+describe('Should test the callback service', () => {
+    it('Should convert ISO 8601 durations to milliseconds', () => {
+        expect(duration_to_ms('PT10S')).to.be.eq(10000)
+        expect(duration_to_ms('PT1M30S')).to.be.eq(90000)
+        expect(duration_to_ms('P1DT1H')).to.be.eq(90000000)
+        expect(duration_to_ms('PT')).to.be.null
+        expect(duration_to_ms('invalid')).to.be.null
+    })
+
+    it('Should gather all callbacks of a search until the ttl runs out', async () => {
+        const callbackService = new CallbackService()
+        const context = { action: 'search', transaction_id: 't1', message_id: 'm1', ttl: 'PT0.2S' }
+        const promise = callbackService.register(context)
+
+        const payload = { context: { ...context, action: 'on_search' }, message: { catalog: {} } }
+        expect(callbackService.receive(payload)).to.be.true
+        expect(callbackService.receive(payload)).to.be.true
+
+        const responses = await promise
+        expect(responses).to.have.lengthOf(2)
+        expect(callbackService.pending.size).to.be.eq(0)
+    })
+
+    it('Should resolve as soon as the bpp responds to a unicast request', async () => {
+        const callbackService = new CallbackService()
+        const context = { action: 'select', transaction_id: 't2', message_id: 'm2', bpp_id: 'bpp', ttl: 'PT30S' }
+        const promise = callbackService.register(context)
+
+        callbackService.receive({ context: { ...context, action: 'on_select' }, message: { order: {} } })
+        const responses = await promise
+        expect(responses).to.have.lengthOf(1)
+    })
+
+    it('Should ignore callbacks that no request is waiting for', async () => {
+        const callbackService = new CallbackService()
+        const context = { action: 'init', transaction_id: 't3', message_id: 'm3', ttl: 'PT30S' }
+        const promise = callbackService.register(context)
+
+        expect(callbackService.receive({ context: { ...context, message_id: 'other', action: 'on_init' }, message: {} })).to.be.false
+        expect(callbackService.receive({ context: { ...context, action: 'on_confirm' }, message: {} })).to.be.false
+
+        callbackService.cancel(context)
+        const responses = await promise
+        expect(responses).to.have.lengthOf(0)
+    })
+})
@@ -0,0 +1,86 @@
+import * as chai from 'chai'
+const expect = chai.expect
+import CatalogService from '../../../services/CatalogService.js'
+import { describe, it } from 'mocha'
+
+const catalogService = new CatalogService()
+
+const get_response = (bpp_id, providers) => ({
+    context: { bpp_id, bpp_uri: `https://${bpp_id}`, domain: 'uei:charging' },
+    message: { catalog: { providers } },
+})
+
+const responses = [
+    get_response('bpp-1', [
+        {
+            id: 'p1',
+            descriptor: { name: 'Far and cheap' },
+            rating: '3',
+            locations: [{ id: 'l1', gps: '12.0,77.0' }],
+            items: [{ id: 'i1', descriptor: { name: 'Charger 1' }, price: { value: '10', currency: 'INR' } }],
+        },
+    ]),
+    get_response('bpp-2', [
+        {
+            id: 'p2',
+            descriptor: { name: 'Near and rated' },
+            rating: '5',
+            locations: [{ id: 'l2', gps: '12.9,77.6' }],
+            items: [{ id: 'i2', descriptor: { name: 'Charger 2' }, price: { value: '12', currency: 'INR' } }],
+        },
+    ]),
+    // duplicate response from bpp-2 with an additional item
+    get_response('bpp-2', [
+        {
+            id: 'p2',
+            descriptor: { name: 'Near and rated' },
+            rating: '5',
+            locations: [{ id: 'l2', gps: '12.9,77.6' }],
+            items: [
+                { id: 'i2', descriptor: { name: 'Charger 2' }, price: { value: '12', currency: 'INR' } },
+                { id: 'i3', descriptor: { name: 'Charger 3' }, price: { value: '20', currency: 'INR' } },
+            ],
+        },
+    ]),
+    get_response('bpp-3', []),
+]
+
+describe('Should test the catalog service', () => {
+    it('Should merge catalogs of all bpps and de-duplicate providers and items', () => {
+        const catalog = catalogService.merge(responses)
+        expect(catalog.providers).to.have.lengthOf(2)
+        expect(catalog.providers[1].bpp_uri).to.be.eq('https://bpp-2')
+        expect(catalog.providers[1].items.map((item) => item.id)).to.deep.eq(['i2', 'i3'])
+    })
+
+    it('Should find any item from the merged catalog', () => {
+        const catalog = catalogService.merge(responses)
+        const match = catalogService.find_item(catalog, 'i3')
+        expect(match.provider.bpp_id).to.be.eq('bpp-2')
+        expect(catalogService.find_item(catalog, 'unknown')).to.be.null
+    })
+
+    it('Should rank items by price, distance and rating', () => {
+        const catalog = catalogService.merge(responses)
+        const reference = catalogService.get_reference({
+            intent: { fulfillment: { stops: [{ location: { gps: '12.97,77.59' } }] } },
+        })
+        const ranked = catalogService.rank(catalog, reference)
+        expect(ranked.map((entry) => entry.item.id)).to.deep.eq(['i2', 'i3', 'i1'])
+        expect(ranked[0].distance).to.be.lt(10)
+    })
+
+    it('Should keep the summary within the token budget', () => {
+        const catalog = catalogService.merge(responses)
+        const ranked = catalogService.rank(catalog)
+
+        const summary = catalogService.summarise(ranked)
+        expect(summary.total_items).to.be.eq(3)
+        expect(summary.shown_items).to.be.eq(3)
+
+        const small_summary = catalogService.summarise(ranked, 80)
+        expect(small_summary.total_items).to.be.eq(3)
+        expect(small_summary.shown_items).to.be.lt(3)
+        expect(JSON.stringify(small_summary).length / 4).to.be.lte(80)
+    })
+})
@@ -0,0 +1,179 @@
+import * as chai from 'chai'
+const expect = chai.expect
+import {
+    get_channel,
+    get_session_key,
+    parse_session_key,
+    send_message_to_session,
+} from '../../../services/channels/index.js'
+import RestAdapter from '../../../services/channels/RestAdapter.js'
+import WebChatAdapter from '../../../services/channels/WebChatAdapter.js'
+import { describe, it } from 'mocha'
+
+const get_request = (body, json = false) => ({
+    body,
+    is: (type) => (json && type === 'application/json' ? type : false),
+})
+
+describe('Should test the channel adapters', () => {
+    it('Should key sessions by channel and user id', () => {
+        expect(get_session_key('telegram', '12345')).to.be.eq('telegram:12345')
+        expect(parse_session_key('telegram:12345')).to.deep.eq({ channel: 'telegram', user_id: '12345' })
+        expect(parse_session_key('whatsapp:+919999999999')).to.deep.eq({
+            channel: 'whatsapp',
+            user_id: '+919999999999',
+        })
+    })
+
+    it('Should treat keys without a channel as whatsapp numbers', () => {
+        expect(parse_session_key('+919999999999')).to.deep.eq({ channel: 'whatsapp', user_id: '+919999999999' })
+    })
+
+    it('Should normalise twilio whatsapp requests with media', async () => {
+        const inbound = await get_channel('whatsapp').parse_request(
+            get_request({
+                From: 'whatsapp:+919999999999',
+                Body: '',
+                NumMedia: '1',
+                MediaUrl0: 'https://api.twilio.com/media/1',
+                MediaContentType0: 'audio/ogg',
+            })
+        )
+        expect(inbound.user_id).to.be.eq('+919999999999')
+        expect(inbound.sync).to.be.false
+        expect(inbound.media).to.deep.eq([{ url: 'https://api.twilio.com/media/1', content_type: 'audio/ogg' }])
+    })
+
+    it('Should reply synchronously to JSON requests on the whatsapp webhook', async () => {
+        const inbound = await get_channel('whatsapp').parse_request(
+            get_request({ From: '+919999999999', Body: 'Hi' }, true)
+        )
+        expect(inbound.sync).to.be.true
+    })
+
+    it('Should reject requests without a user or a message', async () => {
+        expect(await get_channel('whatsapp').parse_request(get_request({ Body: 'Hi' }))).to.be.null
+        expect(await get_channel('telegram').parse_request(get_request({}))).to.be.null
+        expect(await get_channel('web').parse_request(get_request({ session_id: '1' }))).to.be.null
+        expect(await get_channel('web').parse_request(get_request({ session_id: '1', message: 'Hi' }))).to.be.null
+        expect(await get_channel('rest').parse_request(get_request({ message: 'Hi' }))).to.be.null
+    })
+
+    it('Should only accept REST callback and media urls that are allowed', async () => {
+        const rest = new RestAdapter('rest', 'https://partner.example.com/replies', ['https://media.example.com'])
+        const parse = (body) => rest.parse_request(get_request({ user_id: 'user-1', message: 'Hi', ...body }))
+
+        expect((await parse({ callback_url: 'https://partner.example.com/replies' })).sync).to.be.false
+        expect(await parse({ callback_url: 'http://169.254.169.254/latest/meta-data' })).to.be.null
+        expect(await parse({ callback_url: 'https://partner.example.com.evil.com/replies' })).to.be.null
+
+        const media = (url) => ({ media: [{ url, content_type: 'image/jpeg' }] })
+        expect((await parse(media('https://media.example.com/photo.jpg'))).media).to.have.lengthOf(1)
+        expect(await parse(media('http://localhost:6379/'))).to.be.null
+    })
+
+    it('Should normalise telegram text messages', async () => {
+        const inbound = await get_channel('telegram').parse_request(
+            get_request({ message: { chat: { id: 12345 }, text: 'Hi' } })
+        )
+        expect(inbound).to.deep.eq({ user_id: '12345', text: 'Hi', media: [], sync: false })
+    })
+
+    it('Should queue messages for the web chat widget', async () => {
+        const web = get_channel('web')
+        await send_message_to_session('web:session-1', 'Your order is on its way!')
+        const messages = web.get_messages('session-1')
+        expect(messages).to.have.lengthOf(1)
+        expect(messages[0].message).to.be.eq('Your order is on its way!')
+        expect(web.get_messages('session-1')).to.have.lengthOf(0)
+    })
+
+    it('Should issue web chat session ids and only accept the issued ones', async () => {
+        const web = get_channel('web')
+        const first = await web.parse_request(get_request({ message: 'Hi' }))
+        expect(web.is_valid_session_id(first.user_id)).to.be.true
+
+        const next = await web.parse_request(get_request({ session_id: first.user_id, message: 'Hotels in Berlin' }))
+        expect(next.user_id).to.be.eq(first.user_id)
+
+        const [id] = first.user_id.split('.')
+        expect(web.is_valid_session_id(`${id}.forged`)).to.be.false
+        expect(web.is_valid_session_id('session-1')).to.be.false
+        expect(web.create_session_id()).to.not.be.eq(first.user_id)
+    })
+
+    it('Should cap and expire the web chat outbox', async () => {
+        const web = new WebChatAdapter('web', { outbox_size: 2, outbox_ttl: 60, max_sessions: 2 })
+        for (const message of ['1', '2', '3']) await web.send_message('session-1', message)
+        await web.send_message('session-2', 'Hello')
+        await web.send_message('session-3', 'Hello')
+
+        expect(web.outbox.has('session-1')).to.be.false
+        expect(web.outbox.size).to.be.eq(2)
+
+        web.outbox.get('session-2')[0].timestamp = new Date(Date.now() - 120 * 1000).toISOString()
+        expect(web.get_messages('session-2')).to.have.lengthOf(0)
+
+        await web.send_message('session-3', 'Bye')
+        expect(web.get_messages('session-3').map((item) => item.message)).to.deep.eq(['Hello', 'Bye'])
+
+        const capped = new WebChatAdapter('web', { outbox_size: 2 })
+        for (const message of ['1', '2', '3']) await capped.send_message('session-1', message)
+        expect(capped.get_messages('session-1').map((item) => item.message)).to.deep.eq(['2', '3'])
+    })
+
+    it('Should record messages sent on the stub channel', async () => {
+        const stub = get_channel('stub')
+        stub.reset()
+        await send_message_to_session('stub:user-1', 'Hello', ['https://example.com/image.png'])
+        expect(stub.sent).to.deep.eq([{ user_id: 'user-1', message: 'Hello', media: ['https://example.com/image.png'] }])
+    })
+
+    it('Should send status events as messages on channels that do not reply in the response', async () => {
+        const stub = get_channel('stub')
+        stub.reset()
+        const on_event = stub.get_event_handler(null, { user_id: 'user-1', sync: false })
+        await on_event({ type: 'token', content: 'Hel' })
+        await on_event({ type: 'status', message: 'Hang tight!' })
+        expect(stub.sent).to.deep.eq([{ user_id: 'user-1', message: 'Hang tight!', media: [] }])
+        expect(get_channel('web').get_event_handler(null, { user_id: 'user-1', sync: true })).to.be.null
+    })
+
+    it('Should stream events to the web chat', async () => {
+        const written = []
+        const res = {
+            headersSent: false,
+            status() {
+                return this
+            },
+            set(headers) {
+                this.headers = headers
+                return this
+            },
+            flushHeaders() {
+                this.headersSent = true
+            },
+            write: (data) => written.push(data),
+            end() {
+                this.ended = true
+            },
+        }
+        const stream = get_channel('web_stream')
+        const session_id = get_channel('web').create_session_id()
+        const inbound = await stream.parse_request(get_request({ session_id, message: 'Hi' }))
+        expect(get_session_key(stream.name, inbound.user_id)).to.be.eq(`web:${session_id}`)
+
+        await stream.get_event_handler(res, inbound)({ type: 'token', content: 'Hel' })
+        await stream.send_reply(res, inbound, 'Hello', { media: [], list: null, card: null })
+        expect(res.headers['Content-Type']).to.be.eq('text/event-stream')
+        expect(written).to.deep.eq([
+            'event: token\ndata: {"content":"Hel"}\n\n',
+            `event: done\ndata: {"session_id":"${session_id}","message":"Hello","media":[],"list":null,"card":null}\n\n`,
+        ])
+        expect(res.ended).to.be.true
+    })
+
+    it('Should throw for an unsupported channel', () => {
+        expect(() => get_channel('fax')).to.throw()
+    })
+})
@@ -0,0 +1,51 @@
+import * as chai from 'chai'
+const expect = chai.expect
+import { describe, it } from 'mocha'
+import CircuitBreaker, { CIRCUIT_STATES } from '../../../services/CircuitBreaker.js'
+
+describe('Should test the circuit breaker', () => {
+    const get_breaker = () => {
+        const clock = { time: 0 }
+        const breaker = new CircuitBreaker('llamaedge', { failure_threshold: 2, reset_timeout: 1000, now: () => clock.time })
+        return { breaker, clock }
+    }
+
+    it('Should open after consecutive failures', () => {
+        const { breaker } = get_breaker()
+        breaker.record_failure()
+        expect(breaker.can_request()).to.be.true
+        breaker.record_failure()
+        expect(breaker.state).to.be.eq(CIRCUIT_STATES.OPEN)
+        expect(breaker.can_request()).to.be.false
+    })
+
+    it('Should reset the failures after a success', () => {
+        const { breaker } = get_breaker()
+        breaker.record_failure()
+        breaker.record_success()
+        breaker.record_failure()
+        expect(breaker.state).to.be.eq(CIRCUIT_STATES.CLOSED)
+    })
+
+    it('Should allow a single trial request after the reset timeout', () => {
+        const { breaker, clock } = get_breaker()
+        breaker.open()
+        clock.time = 1000
+        expect(breaker.can_request()).to.be.true
+        expect(breaker.state).to.be.eq(CIRCUIT_STATES.HALF_OPEN)
+        expect(breaker.can_request()).to.be.false
+
+        breaker.record_success()
+        expect(breaker.state).to.be.eq(CIRCUIT_STATES.CLOSED)
+    })
+
+    it('Should open again if the trial request fails', () => {
+        const { breaker, clock } = get_breaker()
+        breaker.open()
+        clock.time = 1000
+        breaker.can_request()
+        breaker.record_failure()
+        expect(breaker.state).to.be.eq(CIRCUIT_STATES.OPEN)
+        expect(breaker.get_status().opened_at).to.be.eq(new Date(1000).toISOString())
+    })
+})
@@ -0,0 +1,72 @@
+import { describe, it } from 'mocha'
+import * as chai from 'chai'
+import CommandService from '../../../services/CommandService.js'
+import DBService from '../../../services/DBService.js'
+import { MemoryStore } from '../../../services/stores/index.js'
+const expect = chai.expect
+
+describe('Test cases for CommandService', () => {
+    const db = new DBService(new MemoryStore())
+    const commandService = new CommandService(db)
+    const session_key = 'whatsapp:+10000000000'
+    const get_state = () => ({ session_key, session: { text: [], orders: [] }, profile: { addresses: [] } })
+
+    it('Should not handle messages that are not commands', async () => {
+        expect(await commandService.execute('Find hotels near me', get_state())).to.be.null
+        expect(commandService.parse('/profile name John Doe')).to.deep.eq({ name: 'profile', args: 'name John Doe' })
+    })
+
+    it('Should reply to unknown commands', async () => {
+        expect(await commandService.execute('/unknown', get_state())).to.contain('/unknown')
+    })
+
+    it('Should clear the session on /reset and the profile as well on /reset all', async () => {
+        await db.update_session(session_key, { text: ['hi'] })
+        await db.update_profile(session_key, { name: 'John Doe' })
+
+        expect(await commandService.execute('/reset', get_state())).to.contain('session has been cleared')
+        expect((await db.get_session(session_key)).status).to.be.false
+        expect((await db.get_profile(session_key)).status).to.be.true
+
+        expect(await commandService.execute('/reset all', get_state())).to.contain('profile have been cleared')
+        expect((await db.get_profile(session_key)).status).to.be.false
+    })
+
+    it('Should show and update the profile', async () => {
+        const state = get_state()
+        expect(await commandService.execute('/profile', state)).to.contain("don't have any saved details")
+
+        await commandService.execute('/profile name John Doe', state)
+        await commandService.execute('/profile address 1 Main St', state)
+        expect((await db.get_profile(session_key)).data).to.deep.eq({ name: 'John Doe', addresses: ['1 Main St'] })
+
+        const reply = await commandService.execute('/profile', state)
+        expect(reply).to.contain('Name: John Doe')
+        expect(reply).to.contain('Address 1: 1 Main St')
+        expect(await commandService.execute('/profile age 30', state)).to.contain('To update your details')
+
+        state.session.language = 'de'
+        const translated = await commandService.execute('/profile', state)
+        expect(translated).to.contain('Name: John Doe')
+        expect(translated).to.contain('Adresse 1: 1 Main St')
+    })
+
+    it('Should list the orders of the session', async () => {
+        const state = get_state()
+        expect(await commandService.execute('/orders', state)).to.contain("don't have any orders")
+
+        state.session.orders = [{ context: { domain: 'hospitality' }, message: { order: { id: '301', status: 'ACTIVE' } } }]
+        expect(await commandService.execute('/orders', state)).to.contain('1. 301 ACTIVE (hospitality)')
+    })
+
+    it('Should change the language of the session', async () => {
+        const state = get_state()
+        expect(await commandService.execute('/lang', state)).to.contain('English')
+        expect(await commandService.execute('/lang xx', state)).to.contain("isn't supported")
+        expect(await commandService.execute('/lang de', state)).to.contain('Deutsch')
+        expect(state.session.language).to.be.eq('de')
+        expect(state.session.language_locked).to.be.true
+        expect(state.profile.preferences.language).to.be.eq('de')
+        expect(await commandService.execute('/help', state)).to.contain('ein neues Gespräch beginnen')
+    })
+})
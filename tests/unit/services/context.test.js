@@ -0,0 +1,82 @@
+import { describe, it } from 'mocha'
+import * as chai from 'chai'
+import ContextManager from '../../../services/ContextManager.js'
+const expect = chai.expect
+
+const get_turn = (index, output_length = 100) => [
+    { role: 'user', content: `Message ${index}` },
+    {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: `call_${index}`, type: 'function', function: { name: 'perform_beckn_action', arguments: '{}' } }],
+    },
+    { role: 'tool', tool_call_id: `call_${index}`, content: 'x'.repeat(output_length) },
+    { role: 'assistant', content: `Response ${index}` },
+]
+
+describe('Test cases for ContextManager', () => {
+    it('Should keep tool calls together with their outputs when splitting turns', () => {
+        const manager = new ContextManager(4096)
+        const turns = manager.split_turns([...get_turn(1), ...get_turn(2)])
+        expect(turns).to.have.lengthOf(2)
+        expect(turns[0].map((message) => message.role)).to.deep.eq(['user', 'assistant', 'tool', 'assistant'])
+    })
+
+    it('Should shorten tool outputs of older turns only', () => {
+        const manager = new ContextManager(4096)
+        const messages = manager.shorten_tool_outputs([get_turn(1, 5000), get_turn(2, 5000), get_turn(3, 5000)])
+        const outputs = messages.filter((message) => message.role === 'tool')
+        expect(outputs[0].content).to.contain('(truncated)')
+        expect(outputs[1].content).to.have.lengthOf(5000)
+        expect(outputs[2].content).to.have.lengthOf(5000)
+    })
+
+    it('Should send all messages with the transaction state if they fit', async () => {
+        const manager = new ContextManager(4096)
+        const session = { profile: { last_action: 'search' }, beckn_transaction: { responses: { on_search: { total_items: 2 } } } }
+        const messages = [...get_turn(1)]
+        const result = await manager.build(messages, session, [{ role: 'system', content: 'context' }])
+        expect(result).to.have.lengthOf(6)
+        expect(result[1].content).to.contain('Current beckn transaction state')
+        expect(result[1].content).to.contain('total_items')
+        expect(messages).to.have.lengthOf(4)
+    })
+
+    it('Should roll the oldest turns into the summary when the budget is exceeded', async () => {
+        let summarised = []
+        const manager = new ContextManager(1024 + 1500, async (summary, messages) => {
+            summarised = messages
+            return 'User searched for hotels'
+        })
+        const session = { profile: {} }
+        const messages = [...get_turn(1, 4000), ...get_turn(2, 4000), ...get_turn(3, 4000)]
+        const result = await manager.build(messages, session)
+
+        expect(summarised[0].content).to.be.eq('Message 1')
+        expect(session.summary).to.be.eq('User searched for hotels')
+        expect(messages[0].content).to.not.be.eq('Message 1')
+        expect(messages.slice(-4)).to.deep.eq(get_turn(3, 4000))
+        expect(result[0].content).to.contain('User searched for hotels')
+    })
+
+    it('Should keep the chat history if it can not be summarised', async () => {
+        const manager = new ContextManager(1024 + 1500, async () => {
+            throw new Error('model is down')
+        })
+        const session = { profile: {}, summary: 'Earlier summary' }
+        const messages = [...get_turn(1, 4000), ...get_turn(2, 4000), ...get_turn(3, 4000)]
+        const result = await manager.build(messages, session)
+
+        expect(messages).to.deep.eq([...get_turn(1, 4000), ...get_turn(2, 4000), ...get_turn(3, 4000)])
+        expect(session.summary).to.be.eq('Earlier summary')
+        expect(result.slice(-4)).to.deep.eq(get_turn(3, 4000))
+    })
+
+    it('Should always keep the latest turn', async () => {
+        const manager = new ContextManager(1024 + 100)
+        const messages = [...get_turn(1, 4000), ...get_turn(2, 4000)]
+        const result = await manager.build(messages, {})
+        expect(messages).to.have.lengthOf(4)
+        expect(result.slice(-4)).to.deep.eq(get_turn(2, 4000))
+    })
+})
@@ -0,0 +1,119 @@
+import { describe, it } from 'mocha'
+import * as chai from 'chai'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { rmSync } from 'fs'
+import DBService from '../../../services/DBService.js'
+import { FileStore, MemoryStore } from '../../../services/stores/index.js'
+const expect = chai.expect
+
+describe('Test cases for DBService with memory store', () => {
+    const db = new DBService(new MemoryStore())
+
+    beforeEach(async () => {
+        await db.clear_all_sessions()
+    })
+
+    it('Should return status false for a session that does not exist', async () => {
+        const response = await db.get_session('whatsapp:unknown')
+        expect(response.status).to.be.false
+    })
+
+    it('Should update, get and delete a session', async () => {
+        await db.update_session('whatsapp:123', { text: ['hi'] })
+        const response = await db.get_session('whatsapp:123')
+        expect(response.status).to.be.true
+        expect(response.data).to.deep.eq({ text: ['hi'] })
+
+        const deleteResponse = await db.delete_session('whatsapp:123')
+        expect(deleteResponse.status).to.be.true
+        expect((await db.get_session('whatsapp:123')).status).to.be.false
+    })
+
+    it('Should return all sessions without profiles', async () => {
+        await db.update_session('whatsapp:1', { text: [] })
+        await db.update_session('telegram:2', { text: [] })
+        await db.update_profile('whatsapp:1', { name: 'John Doe' })
+        const sessions = await db.get_all_sessions()
+        expect(sessions.map((session) => session.key)).to.have.members(['whatsapp:1', 'telegram:2'])
+    })
+
+    it('Should keep profiles when clearing all sessions', async () => {
+        await db.update_session('whatsapp:1', { text: [] })
+        await db.update_profile('whatsapp:1', { name: 'John Doe' })
+        await db.clear_all_sessions()
+        expect(await db.get_all_sessions()).to.have.lengthOf(0)
+        expect((await db.get_profile('whatsapp:1')).data.name).to.be.eq('John Doe')
+    })
+
+    it('Should update a session only if it was not changed', async () => {
+        const created = await db.compare_and_set_session('whatsapp:1', null, { text: ['a'] })
+        expect(created.status).to.be.true
+
+        const stale = await db.compare_and_set_session('whatsapp:1', null, { text: ['b'] })
+        expect(stale.status).to.be.false
+        expect(stale.conflict).to.be.true
+
+        const updated = await db.compare_and_set_session('whatsapp:1', { text: ['a'] }, { text: ['a', 'c'] })
+        expect(updated.status).to.be.true
+        expect((await db.get_session('whatsapp:1')).data).to.deep.eq({ text: ['a', 'c'] })
+    })
+
+    it('Should retry the update of a session that was changed since it was read', async () => {
+        await db.update_session('whatsapp:1', { text: ['a'] })
+
+        let calls = 0
+        const response = await db.modify_session('whatsapp:1', async (data) => {
+            // another request changes the session while the first update is prepared
+            if (calls++ === 0) await db.update_session('whatsapp:1', { text: ['a', 'b'] })
+            return { ...data, text: [...data.text, 'c'] }
+        })
+        expect(response.status).to.be.true
+        expect(calls).to.be.eq(2)
+        expect((await db.get_session('whatsapp:1')).data).to.deep.eq({ text: ['a', 'b', 'c'] })
+    })
+
+    it('Should give up the update of a session that keeps changing', async () => {
+        await db.update_session('whatsapp:1', { count: 0 })
+
+        const response = await db.modify_session(
+            'whatsapp:1',
+            async (data) => {
+                await db.update_session('whatsapp:1', { count: data.count + 1 })
+                return { count: -1 }
+            },
+            2
+        )
+        expect(response.status).to.be.false
+        expect(response.conflict).to.be.true
+        expect((await db.get_session('whatsapp:1')).data).to.deep.eq({ count: 2 })
+    })
+
+    it('Should not update a session if the modifier returns null', async () => {
+        const response = await db.modify_session('whatsapp:1', () => null)
+        expect(response.status).to.be.false
+        expect((await db.get_session('whatsapp:1')).status).to.be.false
+    })
+
+    it('Should expire keys after their ttl', async () => {
+        const store = new MemoryStore()
+        await store.set('session:1', '{}', 1)
+        store.data.get('session:1').expires_at = Date.now() - 1
+        expect(await store.get('session:1')).to.be.null
+        expect(await store.keys('session:')).to.have.lengthOf(0)
+    })
+})
+
+describe('Test cases for FileStore', () => {
+    const path = join(tmpdir(), `sessions-${process.pid}.json`)
+
+    after(() => {
+        rmSync(path, { force: true })
+    })
+
+    it('Should keep sessions after a restart', async () => {
+        await new DBService(new FileStore(path)).update_session('whatsapp:1', { text: ['hi'] })
+        const response = await new DBService(new FileStore(path)).get_session('whatsapp:1')
+        expect(response.data).to.deep.eq({ text: ['hi'] })
+    })
+})
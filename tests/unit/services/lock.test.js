@@ -0,0 +1,77 @@
+import { describe, it } from 'mocha'
+import * as chai from 'chai'
+import SessionLock from '../../../services/SessionLock.js'
+import { SessionLockTimeoutError } from '../../../utils/errors.js'
+const expect = chai.expect
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+describe('Test cases for SessionLock', () => {
+    it('Should process requests of a session one at a time and in order', async () => {
+        const lock = new SessionLock(1000)
+        const events = []
+        const process_message = async (id, ms) => {
+            const release = await lock.acquire('whatsapp:1')
+            events.push(`start ${id}`)
+            await sleep(ms)
+            events.push(`end ${id}`)
+            release()
+        }
+
+        await Promise.all([process_message(1, 30), process_message(2, 10), process_message(3, 0)])
+        expect(events).to.deep.eq(['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3'])
+        await sleep(0)
+        expect(lock.is_locked('whatsapp:1')).to.be.false
+    })
+
+    it('Should not block requests of other sessions', async () => {
+        const lock = new SessionLock(1000)
+        await lock.acquire('whatsapp:1')
+        const release = await lock.acquire('whatsapp:2')
+        expect(lock.is_locked('whatsapp:1')).to.be.true
+        release()
+    })
+
+    it('Should run a function while holding the lock and release it on errors', async () => {
+        const lock = new SessionLock(1000)
+        const events = []
+        const first = lock.run('whatsapp:1', async () => {
+            await sleep(10)
+            events.push('first')
+            throw new Error('failed')
+        })
+        const second = lock.run('whatsapp:1', async () => {
+            events.push('second')
+            return 'done'
+        })
+
+        let error = null
+        try {
+            await first
+        } catch (e) {
+            error = e
+        }
+        expect(error.message).to.be.eq('failed')
+        expect(await second).to.be.eq('done')
+        expect(events).to.deep.eq(['first', 'second'])
+    })
+
+    it('Should time out and not block the requests queued behind', async () => {
+        const lock = new SessionLock(20)
+        const release = await lock.acquire('whatsapp:1')
+
+        let error = null
+        try {
+            await lock.acquire('whatsapp:1')
+        } catch (e) {
+            error = e
+        }
+        expect(error).to.be.instanceOf(SessionLockTimeoutError)
+
+        const next = lock.acquire('whatsapp:1', 1000)
+        release()
+        const release_next = await next
+        expect(release_next).to.be.a('function')
+        release_next()
+    })
+})
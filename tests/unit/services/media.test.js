@@ -0,0 +1,96 @@
+import { describe, it } from 'mocha'
+import * as chai from 'chai'
+import MediaService, { is_twilio_url } from '../../../services/MediaService.js'
+const expect = chai.expect
+
+// Builds a single page pdf with the given text
+function get_pdf(text) {
+    const stream = `BT /F1 24 Tf 72 720 Td (${text}) Tj ET`
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    ]
+    let body = '%PDF-1.4\n'
+    const offsets = objects.map((object, index) => {
+        const offset = body.length
+        body += `${index + 1} 0 obj\n${object}\nendobj\n`
+        return offset
+    })
+    const xref = body.length
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+    body += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`
+    return Buffer.from(body)
+}
+
+function get_media_service(files) {
+    const mediaService = new MediaService({
+        stt: { transcribe: async () => 'Find hotels near Yellowstone' },
+        vision: {
+            chat: {
+                completions: {
+                    create: async () => ({ choices: [{ message: { content: 'A pair of red running shoes' } }] }),
+                },
+            },
+        },
+    })
+    mediaService.download = async (url) => files[url]
+    return mediaService
+}
+
+describe('Test cases for MediaService', () => {
+    const files = {
+        'https://example.com/voice.ogg': Buffer.from('voice'),
+        'https://example.com/photo.jpg': Buffer.from('photo'),
+        'https://example.com/ticket.pdf': get_pdf('Ticket 12345'),
+    }
+    const mediaService = get_media_service(files)
+
+    it('Should use the transcription of a voice note as the message', async () => {
+        const text = await mediaService.get_message_text('', [
+            { url: 'https://example.com/voice.ogg', content_type: 'audio/ogg' },
+        ])
+        expect(text).to.be.eq('Find hotels near Yellowstone')
+    })
+
+    it('Should add the description of an image to the message', async () => {
+        const text = await mediaService.get_message_text('Find me this product', [
+            { url: 'https://example.com/photo.jpg', content_type: 'image/jpeg' },
+        ])
+        expect(text).to.be.eq('Find me this product\n[Image] A pair of red running shoes')
+    })
+
+    it('Should add the text of a pdf to the message', async () => {
+        const text = await mediaService.get_message_text('', [
+            { url: 'https://example.com/ticket.pdf', content_type: 'application/pdf' },
+        ])
+        expect(text).to.contain('[PDF document]')
+        expect(text).to.contain('Ticket 12345')
+    })
+
+    it('Should not fail for media that could not be read', async () => {
+        const text = await mediaService.get_message_text('Hi', [
+            { url: 'https://example.com/missing.mp4', content_type: 'video/mp4' },
+        ])
+        expect(text).to.be.eq('Hi\n[File of type video/mp4 that could not be read]')
+    })
+
+    it('Should only send the Twilio credentials to Twilio hosts', () => {
+        expect(is_twilio_url(new URL('https://api.twilio.com/2010-04-01/Media/ME1'))).to.be.true
+        expect(is_twilio_url(new URL('https://media.twilio.com/ME1'))).to.be.true
+        expect(is_twilio_url(new URL('https://eviltwilio.com/ME1'))).to.be.false
+        expect(is_twilio_url(new URL('https://api.twilio.com.example.com/ME1'))).to.be.false
+    })
+
+    it('Should not download media over http', async () => {
+        try {
+            await new MediaService({ stt: null, vision: null }).download('http://localhost/voice.ogg')
+            expect.fail('the media should not be downloaded')
+        } catch (e) {
+            expect(e.message).to.contain('Only https')
+        }
+    })
+})
@@ -0,0 +1,390 @@
+import * as chai from 'chai'
+const expect = chai.expect
+import { describe, it } from 'mocha'
+import { readFileSync } from 'fs'
+import ModelController from '../../../controllers/ModelController.js'
+import ModelMetrics from '../../../services/ModelMetrics.js'
+import {
+    AnthropicProvider,
+    AzureOpenAIProvider,
+    BaseProvider,
+    LlamaEdgeProvider,
+    create_providers,
+    load_provider_configs,
+    resolve_config,
+    validate_provider_config,
+} from '../../../services/providers/index.js'
+import { LLAMAEDGE_DEFAULTS } from '../../../config/llamaedge.config.js'
+import { collect_stream } from '../../../utils/stream.js'
+import { ModelDeadlineExceededError } from '../../../utils/errors.js'
+
+/**
+ * Provider that answers with a fixed text or fails
+ */
+class FakeProvider extends BaseProvider {
+    constructor(config) {
+        super({ type: 'fake', model: 'fake-model', ...config })
+        this.calls = 0
+    }
+
+    async createChatCompletion(options) {
+        this.calls++
+        this.last_options = options
+        if (this.fail) throw new Error(`${this.name} is down`)
+        if (this.delay) await new Promise((resolve) => setTimeout(resolve, this.delay))
+        return { choices: [{ index: 0, message: { role: 'assistant', content: `Hello from ${this.name}` } }] }
+    }
+
+    async healthCheck() {
+        return { healthy: !this.fail }
+    }
+}
+
+const TOOLS = [
+    {
+        type: 'function',
+        function: {
+            name: 'get_routes',
+            description: 'Get routes',
+            parameters: { type: 'object', properties: { source: { type: 'string' } } },
+        },
+    },
+]
+
+describe('Should test the provider config', () => {
+    it('Should replace environment variables in the config', () => {
+        const config = resolve_config(
+            {
+                name: 'ollama',
+                priority: 3,
+                base_url: '${TEST_OLLAMA_URL}',
+                model: '${TEST_OLLAMA_MODEL:-llama3}',
+                api_key: '${TEST_UNSET_KEY}',
+                supports: { streaming: false },
+            },
+            { TEST_OLLAMA_URL: 'http://localhost:11434/v1' }
+        )
+        expect(config).to.deep.eq({
+            name: 'ollama',
+            priority: 3,
+            base_url: 'http://localhost:11434/v1',
+            model: 'llama3',
+            supports: { streaming: false },
+        })
+    })
+
+    it('Should report missing settings of a provider', () => {
+        expect(validate_provider_config({ type: 'anthropic', api_key: 'key' })).to.deep.eq(['model is required'])
+        expect(validate_provider_config({ type: 'openai', api_key: 'key' })).to.deep.eq([])
+        expect(validate_provider_config({ type: 'unknown' })).to.have.lengthOf(1)
+    })
+
+    it('Should load the default providers sorted by priority', () => {
+        const configs = load_provider_configs('./config/providers.json')
+        expect(configs.map((config) => config.name)).to.deep.eq(['llamaedge', 'openai', 'ollama', 'anthropic', 'azure'])
+    })
+
+    it('Should skip the llamaedge server if its url is not set', () => {
+        const [llamaedge] = JSON.parse(readFileSync('./config/providers.json'))
+        expect(create_providers([resolve_config(llamaedge, {})])).to.have.lengthOf(0)
+        expect(new LlamaEdgeProvider({}).client.baseURL).to.be.eq(LLAMAEDGE_DEFAULTS.API_URL)
+    })
+
+    it('Should keep a temperature of 0', () => {
+        expect(new LlamaEdgeProvider({ temperature: '0' }).client.temperature).to.be.eq(0)
+        expect(new LlamaEdgeProvider({ temperature: '' }).client.temperature).to.be.eq(LLAMAEDGE_DEFAULTS.TEMPERATURE)
+    })
+
+    it('Should skip providers without their required settings', () => {
+        const providers = create_providers([
+            { name: 'anthropic', type: 'anthropic', api_key: 'key' },
+            { name: 'ollama', type: 'openai-compatible', base_url: 'http://localhost:11434/v1', model: 'llama3' },
+        ])
+        expect(providers.map((provider) => provider.name)).to.deep.eq(['ollama'])
+    })
+})
+
+describe('Should test ModelController with providers', () => {
+    it('Should use the provider with the highest priority', async () => {
+        const controller = new ModelController([new FakeProvider({ name: 'first' }), new FakeProvider({ name: 'second' })])
+        const response = await controller.createChatCompletion({ messages: [{ role: 'user', content: 'Hi' }] })
+        expect(controller.getProviderType()).to.be.eq('first')
+        expect(response.choices[0].message.content).to.be.eq('Hello from first')
+    })
+
+    it('Should fall back to the next provider', async () => {
+        const first = new FakeProvider({ name: 'first' })
+        first.fail = true
+        const controller = new ModelController([first, new FakeProvider({ name: 'second' })])
+        const response = await controller.createChatCompletion({ messages: [{ role: 'user', content: 'Hi' }] })
+        expect(response._provider).to.be.eq('second')
+    })
+
+    it('Should stream a provider that can not stream as a single delta', async () => {
+        const controller = new ModelController([new FakeProvider({ name: 'first' })])
+        const deltas = []
+        const response = await controller.createChatCompletion({
+            messages: [{ role: 'user', content: 'Hi' }],
+            stream: true,
+            onDelta: (delta) => deltas.push(delta),
+        })
+        expect(deltas).to.have.lengthOf(1)
+        expect(response.choices[0].message.content).to.be.eq('Hello from first')
+    })
+
+    it('Should fail without providers', () => {
+        expect(() => new ModelController([])).to.throw('No AI providers are configured and available')
+    })
+})
+
+describe('Should test the routing of tasks', () => {
+    const routing = {
+        context: {
+            chain: [
+                { provider: 'local', model: 'small-model' },
+                { provider: 'missing' },
+                { provider: 'cloud', params: { temperature: 0.2 } },
+            ],
+            params: { temperature: 0 },
+        },
+        message: { params: { temperature: 0.1 } },
+    }
+    const messages = [{ role: 'user', content: 'Hi' }]
+
+    it('Should send a task to the first provider of its chain with the model and parameters of the rule', async () => {
+        const local = new FakeProvider({ name: 'local' })
+        const controller = new ModelController([new FakeProvider({ name: 'cloud' }), local], routing, new ModelMetrics())
+        const response = await controller.createChatCompletion({ task: 'context', messages, temperature: 0.7 })
+
+        expect(response._provider).to.be.eq('local')
+        expect(response._model).to.be.eq('small-model')
+        expect(local.last_options).to.include({ messages, temperature: 0, model: 'small-model' })
+        expect(local.last_options.signal).to.be.instanceOf(AbortSignal)
+    })
+
+    it('Should fall back along the chain and skip providers that are not available', async () => {
+        const local = new FakeProvider({ name: 'local' })
+        local.fail = true
+        const cloud = new FakeProvider({ name: 'cloud' })
+        const metrics = new ModelMetrics()
+        const controller = new ModelController([cloud, local], routing, metrics)
+        const response = await controller.createChatCompletion({ task: 'context', messages })
+
+        expect(response._provider).to.be.eq('cloud')
+        expect(cloud.last_options.temperature).to.be.eq(0.2)
+        expect(controller.getProviderType()).to.be.eq('cloud')
+        expect(metrics.get_metrics('context').map(({ provider, requests, failures, fallbacks }) => ({ provider, requests, failures, fallbacks }))).to.deep.eq([
+            { provider: 'local', requests: 1, failures: 1, fallbacks: 0 },
+            { provider: 'cloud', requests: 1, failures: 0, fallbacks: 1 },
+        ])
+    })
+
+    it('Should use the default order for tasks without a chain', async () => {
+        const cloud = new FakeProvider({ name: 'cloud' })
+        const controller = new ModelController([cloud, new FakeProvider({ name: 'local' })], routing, new ModelMetrics())
+        const response = await controller.createChatCompletion({ task: 'message', messages })
+
+        expect(response._provider).to.be.eq('cloud')
+        expect(response._task).to.be.eq('message')
+        expect(cloud.last_options.temperature).to.be.eq(0.1)
+        expect(cloud.last_options).to.not.have.property('task')
+    })
+})
+
+describe('Should test the failover of providers', () => {
+    const messages = [{ role: 'user', content: 'Hi' }]
+
+    it('Should skip providers with an open circuit', async () => {
+        const primary = new FakeProvider({ name: 'primary' })
+        primary.fail = true
+        const controller = new ModelController([primary, new FakeProvider({ name: 'backup' })], {}, new ModelMetrics(), {
+            breaker: { failure_threshold: 1 },
+        })
+
+        await controller.createChatCompletion({ messages })
+        expect(controller.getCircuits().primary.state).to.be.eq('open')
+
+        controller.activeProvider = 'primary'
+        const response = await controller.createChatCompletion({ messages })
+        expect(response._provider).to.be.eq('backup')
+        expect(primary.calls).to.be.eq(1)
+    })
+
+    it('Should fail back to the primary provider once it is healthy', async () => {
+        const primary = new FakeProvider({ name: 'primary' })
+        primary.fail = true
+        const controller = new ModelController([primary, new FakeProvider({ name: 'backup' })], {}, new ModelMetrics())
+
+        await controller.probeProviders()
+        await controller.createChatCompletion({ messages })
+        expect(controller.getProviderType()).to.be.eq('backup')
+
+        primary.fail = false
+        await controller.probeProviders()
+        expect(controller.getCircuits().primary.state).to.be.eq('closed')
+        expect(controller.getProviderType()).to.be.eq('primary')
+    })
+
+    it('Should stop at the deadline of the request', async () => {
+        const slow = new FakeProvider({ name: 'slow' })
+        slow.delay = 200
+        const backup = new FakeProvider({ name: 'backup' })
+        const controller = new ModelController([slow, backup], {}, new ModelMetrics(), { deadline: 20 })
+
+        let error = null
+        try {
+            await controller.createChatCompletion({ messages })
+        } catch (e) {
+            error = e
+        }
+        expect(error).to.be.instanceOf(ModelDeadlineExceededError)
+        expect(backup.calls).to.be.eq(0)
+    })
+    it('Should switch to a healthy provider and keep it as the primary', async () => {
+        const controller = new ModelController(
+            [new FakeProvider({ name: 'primary' }), new FakeProvider({ name: 'backup' })],
+            {},
+            new ModelMetrics()
+        )
+
+        await controller.switchProvider('backup', 'admin')
+        expect(controller.getProviderType()).to.be.eq('backup')
+
+        await controller.probeProviders()
+        expect(controller.getProviderType()).to.be.eq('backup')
+    })
+
+    it('Should not switch to an unhealthy provider', async () => {
+        const backup = new FakeProvider({ name: 'backup' })
+        backup.fail = true
+        const controller = new ModelController([new FakeProvider({ name: 'primary' }), backup], {}, new ModelMetrics())
+
+        let error = null
+        try {
+            await controller.switchProvider('backup', 'admin')
+        } catch (e) {
+            error = e
+        }
+        expect(error.message).to.include('not healthy')
+        expect(controller.getProviderType()).to.be.eq('primary')
+    })
+})
+
+describe('Should test the azure provider', () => {
+    it('Should check the health without a chat completion', async () => {
+        const provider = new AzureOpenAIProvider({
+            base_url: 'https://example.openai.azure.com/',
+            api_key: 'test-key',
+            deployment: 'gpt-4o',
+        })
+        const paths = []
+        provider.client.get = async (path) => paths.push(path)
+        provider.createChatCompletion = async () => {
+            throw new Error('completions should not be used to check the health')
+        }
+
+        expect(await provider.healthCheck()).to.deep.eq({ healthy: true })
+        expect(paths).to.deep.eq(['https://example.openai.azure.com/openai/models'])
+    })
+})
+
+describe('Should test the anthropic provider', () => {
+    const provider = new AnthropicProvider({ name: 'anthropic', api_key: 'key', model: 'claude-model' })
+
+    it('Should convert OpenAI requests to messages requests', () => {
+        const request = provider._toAnthropicRequest({
+            messages: [
+                { role: 'assistant', content: 'You are a travel planner.' },
+                { role: 'system', content: 'Be polite.' },
+                { role: 'user', content: 'Find routes to Berlin' },
+                {
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [
+                        { id: 'call_1', type: 'function', function: { name: 'get_routes', arguments: '{"source":"Hamburg"}' } },
+                    ],
+                },
+                { role: 'tool', tool_call_id: 'call_1', content: '{"routes":[]}' },
+            ],
+            tools: TOOLS,
+            tool_choice: 'auto',
+            temperature: 0,
+            response_format: { type: 'json_object' },
+        })
+
+        expect(request.system).to.contain('You are a travel planner.\nBe polite.')
+        expect(request.system).to.contain('JSON')
+        expect(request.temperature).to.be.eq(0)
+        expect(request.messages).to.deep.eq([
+            { role: 'user', content: [{ type: 'text', text: 'Find routes to Berlin' }] },
+            { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'get_routes', input: { source: 'Hamburg' } }] },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: '{"routes":[]}' }] },
+        ])
+        expect(request.tools[0]).to.deep.eq({
+            name: 'get_routes',
+            description: 'Get routes',
+            input_schema: TOOLS[0].function.parameters,
+        })
+        expect(request.tool_choice).to.deep.eq({ type: 'auto' })
+    })
+
+    it('Should send tool calls with invalid arguments without arguments', () => {
+        const request = provider._toAnthropicRequest({
+            messages: [
+                { role: 'user', content: 'Find routes to Berlin' },
+                {
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [
+                        { id: 'call_1', type: 'function', function: { name: 'get_routes', arguments: '{"source"' } },
+                    ],
+                },
+                { role: 'tool', tool_call_id: 'call_1', content: 'Invalid arguments' },
+            ],
+        })
+        expect(request.messages[1].content[0]).to.deep.include({ type: 'tool_use', input: {} })
+    })
+
+    it('Should convert messages responses to OpenAI chat completions', () => {
+        const completion = provider._toOpenAIResponse({
+            id: 'msg_1',
+            model: 'claude-model',
+            content: [{ type: 'tool_use', id: 'toolu_1', name: 'get_routes', input: { source: 'Hamburg' } }],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 10, output_tokens: 5 },
+        })
+        expect(completion.choices[0].finish_reason).to.be.eq('tool_calls')
+        expect(completion.choices[0].message.content).to.be.null
+        expect(completion.choices[0].message.tool_calls).to.deep.eq([
+            { id: 'toolu_1', type: 'function', function: { name: 'get_routes', arguments: '{"source":"Hamburg"}' } },
+        ])
+        expect(completion.usage.total_tokens).to.be.eq(15)
+    })
+
+    it('Should convert streamed events to OpenAI chunks', async () => {
+        async function* events() {
+            yield { type: 'message_start', message: { id: 'msg_1', model: 'claude-model' } }
+            yield { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }
+            yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Let me check.' } }
+            yield {
+                type: 'content_block_start',
+                index: 1,
+                content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_routes', input: {} },
+            }
+            yield { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"source":' } }
+            yield { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"Hamburg"}' } }
+            yield { type: 'message_delta', delta: { stop_reason: 'tool_use' } }
+            yield { type: 'message_stop' }
+        }
+
+        const completion = await collect_stream(provider._toOpenAIChunks(events()))
+        expect(completion.choices[0].finish_reason).to.be.eq('tool_calls')
+        expect(completion.choices[0].message).to.deep.eq({
+            role: 'assistant',
+            content: 'Let me check.',
+            tool_calls: [
+                { id: 'toolu_1', type: 'function', function: { name: 'get_routes', arguments: '{"source":"Hamburg"}' } },
+            ],
+        })
+    })
+})
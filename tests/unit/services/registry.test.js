@@ -0,0 +1,54 @@
+import * as chai from 'chai'
+const expect = chai.expect
+import RegistryService from '../../../services/RegistryService.js'
+import { describe, it } from 'mocha'
+
+const mobility = {
+    url: 'https://mobility-bap-client.example.com',
+    domains: ['mobility:1.1.0'],
+    bap_subscriber_id: 'mobility-bap.example.com',
+    bap_subscriber_url: 'https://mobility-bap.example.com',
+    version: '1.1.0',
+}
+const retail = {
+    url: 'https://retail-bap-client.example.com',
+    domains: ['retail:1.1.0'],
+    bap_subscriber_id: 'retail-bap.example.com',
+    bap_subscriber_url: 'https://retail-bap.example.com',
+    version: '1.1.0',
+    policies: { domains: { 'retail:1.1.0': { rules: [] } } },
+}
+
+describe('Should test the registry service', () => {
+    const registryService = new RegistryService([mobility, retail])
+
+    it('Should choose the network as per the domain', () => {
+        expect(registryService.get_network_by_domain('retail:1.1.0')).to.be.eq(retail)
+        expect(registryService.get_network_by_domain('mobility:1.1.0')).to.be.eq(mobility)
+    })
+
+    it('Should fall back to the first network for an unsupported domain', () => {
+        expect(registryService.get_network_by_domain('unknown')).to.be.eq(mobility)
+    })
+
+    it('Should get a network by its bap_subscriber_id', () => {
+        expect(registryService.get_network('retail-bap.example.com')).to.be.eq(retail)
+        expect(registryService.get_network('unknown')).to.be.null
+    })
+
+    it('Should validate the loaded networks', () => {
+        const results = registryService.validate()
+        expect(results.every((result) => result.valid)).to.be.true
+    })
+
+    it('Should report invalid and duplicate networks', () => {
+        const invalid = { ...retail, url: 'not-a-url', domains: [] }
+        const results = new RegistryService([retail, invalid]).validate()
+        expect(results[0].valid).to.be.true
+        expect(results[1].valid).to.be.false
+        expect(results[1].errors).to.include('url must be a valid url')
+        expect(results[1].errors).to.include('domains must be a non empty list')
+        expect(results[1].errors).to.include("policy defined for unsupported domain 'retail:1.1.0'")
+        expect(results[1].errors.some((error) => error.startsWith('bap_subscriber_id is already used'))).to.be.true
+    })
+})
@@ -0,0 +1,89 @@
+import { describe, it } from 'mocha'
+import * as chai from 'chai'
+import { richReplyService } from '../../../services/RichReplyService.js'
+import { get_channel } from '../../../services/channels/index.js'
+const expect = chai.expect
+
+const ranked = [
+    {
+        provider: { id: 'p1', descriptor: { name: 'Hotel One', images: [{ url: 'https://example.com/p1.png' }] } },
+        item: { id: 'i1', descriptor: { name: 'Deluxe room' }, price: { value: '100', currency: 'USD' } },
+    },
+    {
+        provider: { id: 'p2', descriptor: { name: 'Hotel Two' } },
+        item: { id: 'i2', descriptor: { name: 'Suite', images: [{ url: 'https://example.com/i2.png' }] } },
+    },
+]
+
+const on_confirm = {
+    message: {
+        order: {
+            id: '301',
+            provider: { descriptor: { name: 'Hotel One' } },
+            items: [{ id: 'i1', descriptor: { name: 'Deluxe room' }, quantity: { selected: { count: 2 } } }],
+            quote: { price: { value: '200', currency: 'USD' } },
+            status: 'ACTIVE',
+        },
+    },
+}
+
+describe('Test cases for RichReplyService', () => {
+    it('Should build a list of routes', () => {
+        const list = richReplyService.get_route_list([
+            { summary: 'NH 48', legs: [{ distance: { text: '1,400 km' }, duration: { text: '1 day' } }] },
+        ])
+        expect(list.items).to.deep.eq([{ id: '0', title: 'NH 48', description: '1,400 km, 1 day' }])
+    })
+
+    it('Should build a list and images of the best ranked items', () => {
+        const reply = richReplyService.get_catalog_reply(ranked)
+        expect(reply.list.items.map((item) => item.title)).to.deep.eq(['Deluxe room', 'Suite'])
+        expect(reply.list.items[0].description).to.be.eq('Hotel One - 100 USD')
+        expect(reply.media).to.deep.eq(['https://example.com/p1.png', 'https://example.com/i2.png'])
+    })
+
+    it('Should build an order card', () => {
+        const card = richReplyService.get_order_card(on_confirm)
+        expect(card.fields).to.deep.include({ label: 'Order id', value: '301' })
+        expect(card.fields).to.deep.include({ label: 'Items', value: 'Deluxe room x 2' })
+        expect(card.fields).to.deep.include({ label: 'Total', value: '200 USD' })
+    })
+
+    it('Should build an order card in the language of the session', () => {
+        const card = richReplyService.get_order_card(on_confirm, 'de')
+        expect(card.title).to.be.eq('Bestellübersicht')
+        expect(card.fields).to.deep.include({ label: 'Bestellnummer', value: '301' })
+        expect(card.fields).to.deep.include({ label: 'Gesamt', value: '200 USD' })
+    })
+
+    it('Should render lists and cards as text', () => {
+        const blocks = richReplyService.to_text({
+            list: richReplyService.get_catalog_reply(ranked).list,
+            card: richReplyService.get_order_card(on_confirm),
+        })
+        expect(blocks[0]).to.contain('1. Deluxe room (Hotel One - 100 USD)')
+        expect(blocks[0]).to.contain('2. Suite')
+        expect(blocks[1]).to.contain('Order id: 301')
+    })
+})
+
+describe('Test cases for rendering rich replies on channels', () => {
+    const rich = { ...richReplyService.get_catalog_reply(ranked), card: null }
+
+    it('Should send one image and the list as text on whatsapp', () => {
+        const rendered = get_channel('whatsapp').render('Here you go', rich)
+        expect(rendered.media).to.have.lengthOf(1)
+        expect(rendered.message).to.contain('Here you go\n\n')
+        expect(rendered.message).to.contain('1. Deluxe room')
+    })
+
+    it('Should not send images on sms', () => {
+        expect(get_channel('sms').render('Here you go', rich).media).to.have.lengthOf(0)
+    })
+
+    it('Should send lists as data on the web chat', () => {
+        const rendered = get_channel('web').render('Here you go', rich)
+        expect(rendered.message).to.be.eq('Here you go')
+        expect(rendered.media).to.have.lengthOf(2)
+    })
+})
@@ -0,0 +1,94 @@
+import * as chai from 'chai'
+const expect = chai.expect
+import { describe, it } from 'mocha'
+import SchemaValidator from '../../../services/SchemaValidator.js'
+import { apply_overlay, schemaRegistry, to_model_schema } from '../../../services/SchemaRegistry.js'
+import { schema_to_gbnf } from '../../../utils/grammar.js'
+
+const validator = new SchemaValidator()
+
+const stop = (type, timestamp) => ({ type, location: { gps: '12.9716, 77.5946' }, time: { timestamp } })
+
+describe('Should test the schema registry', () => {
+    it('Should load the schema and call to action of every action', async () => {
+        const actions = await schemaRegistry.get_actions()
+        expect(actions).to.have.members([
+            'cancel',
+            'confirm',
+            'init',
+            'rating',
+            'search',
+            'select',
+            'status',
+            'support',
+            'track',
+            'update',
+        ])
+        expect(await schemaRegistry.get_call_to_action('search')).to.be.eq('Which one would you like to select?')
+        expect(await schemaRegistry.get_schema('unknown')).to.be.null
+    })
+
+    it('Should use the generic schema for domains without an overlay', async () => {
+        const schema = await schemaRegistry.get_schema('search', 'dhp:consultation:0.1.0')
+        expect(schema).to.be.eq(await schemaRegistry.get_schema('search'))
+    })
+
+    it('Should require a check-in and a check-out stop for hospitality', async () => {
+        const schema = await schemaRegistry.get_schema('search', 'hospitality')
+        expect(schema).to.be.eq(await schemaRegistry.get_schema('search', 'hospitality'))
+
+        const valid = validator.validate(schema, {
+            intent: {
+                fulfillment: {
+                    stops: [stop('check-in', '2024-04-10T12:00:00Z'), stop('check-out', '2024-04-12T10:00:00Z')],
+                },
+            },
+        })
+        expect(valid.valid).to.be.true
+
+        const invalid = validator.validate(schema, {
+            intent: {
+                item: { descriptor: { name: 'hotel' } },
+                fulfillment: { stops: [stop('pickup', '2024-04-10T12:00:00Z')] },
+            },
+        })
+        expect(invalid.valid).to.be.false
+        expect(invalid.errors.map((error) => error.path)).to.include.members([
+            '/intent/item',
+            '/intent/fulfillment/stops',
+            '/intent/fulfillment/stops/0/type',
+        ])
+    })
+
+    it('Should require a single stop with a location or a polygon for ev chargers', async () => {
+        const schema = await schemaRegistry.get_schema('search', 'uei:charging')
+
+        const along_route = { intent: { fulfillment: { stops: [{ location: { polygon: '12.97,77.59 12.98,77.60' } }] } } }
+        expect(validator.validate(schema, along_route).valid).to.be.true
+
+        const two_stops = { intent: { fulfillment: { stops: [{ location: {} }, { location: {} }] } } }
+        expect(validator.validate(schema, two_stops).valid).to.be.false
+        expect(validator.validate(schema, { intent: { item: { descriptor: { name: 'charger' } } } }).valid).to.be.false
+    })
+
+    it('Should not show the properties that must not be used to the model', async () => {
+        const schema = to_model_schema(await schemaRegistry.get_schema('search', 'retail:1.1.0'))
+        expect(schema.properties.intent.properties).to.not.have.property('fulfillment')
+        expect(schema.properties.intent.properties.item.properties).to.not.have.property('tags')
+        expect(schema_to_gbnf(schema)).to.not.include('fulfillment')
+    })
+
+    it('Should merge overlays into schemas', () => {
+        const schema = {
+            type: 'object',
+            properties: { a: { type: 'string' }, b: { type: 'array', items: { type: 'string' } } },
+            required: ['a'],
+        }
+        expect(apply_overlay(schema, { properties: { a: { enum: ['x'] }, b: false }, required: ['c'] })).to.deep.eq({
+            type: 'object',
+            properties: { a: { type: 'string', enum: ['x'] }, b: false },
+            required: ['a', 'c'],
+        })
+        expect(schema.properties.b).to.not.be.false
+    })
+})
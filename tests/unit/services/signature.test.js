@@ -0,0 +1,112 @@
+import * as chai from 'chai'
+const expect = chai.expect
+import { describe, it, before, after } from 'mocha'
+import BecknAuthService from '../../../services/BecknAuthService.js'
+import SubscriberLookupService from '../../../services/SubscriberLookupService.js'
+import {
+    create_authorization_header,
+    generate_key_pair,
+    parse_authorization_header,
+    verify_authorization_header,
+} from '../../../utils/beckn_signature.js'
+import { start_mock_registry } from '../../mocks/registry.js'
+
+const bap_keys = generate_key_pair()
+const bpp_keys = generate_key_pair()
+const bap = { subscriber_id: 'bot-bap.example.com', unique_key_id: 'bap-key-1', private_key: bap_keys.private_key }
+const bpp = { subscriber_id: 'charging-bpp.example.com', unique_key_id: 'bpp-key-1', private_key: bpp_keys.private_key }
+const body = JSON.stringify({ context: { action: 'on_search', bpp_id: bpp.subscriber_id }, message: {} })
+
+describe('Should test the beckn signatures', () => {
+    it('Should sign a request and verify its signature', () => {
+        const header = create_authorization_header(body, bap)
+        expect(parse_authorization_header(header)).to.include({
+            subscriber_id: bap.subscriber_id,
+            unique_key_id: bap.unique_key_id,
+            algorithm: 'ed25519',
+            headers: '(created) (expires) digest',
+        })
+        expect(verify_authorization_header(header, body, bap_keys.public_key)).to.deep.eq({ valid: true })
+    })
+
+    it('Should reject a tampered body, another key and an expired signature', () => {
+        const header = create_authorization_header(body, bap)
+        const tampered = body.replace('on_search', 'on_select')
+        expect(verify_authorization_header(header, tampered, bap_keys.public_key).error).to.be.eq('invalid signature')
+        expect(verify_authorization_header(header, body, bpp_keys.public_key).error).to.be.eq('invalid signature')
+
+        const old_header = create_authorization_header(body, bap, Date.now() - 60 * 60 * 1000)
+        expect(verify_authorization_header(old_header, body, bap_keys.public_key).error).to.be.eq('expired signature')
+        expect(verify_authorization_header(undefined, body, bap_keys.public_key).error).to.be.eq('missing signature')
+    })
+})
+
+describe('Should test the registry lookup', () => {
+    let registry = null
+    before(async () => {
+        registry = await start_mock_registry([
+            {
+                subscriber_id: bpp.subscriber_id,
+                subscriber_url: 'https://charging-bpp.example.com/beckn',
+                type: 'BPP',
+                domain: 'uei:charging',
+                signing_public_key: bpp_keys.public_key,
+                ukId: bpp.unique_key_id,
+                status: 'SUBSCRIBED',
+            },
+            {
+                subscriber_id: 'unsubscribed-bpp.example.com',
+                subscriber_url: 'https://unsubscribed-bpp.example.com',
+                type: 'BPP',
+                domain: 'uei:charging',
+                status: 'UNSUBSCRIBED',
+            },
+        ])
+    })
+    after(async () => {
+        await registry.close()
+    })
+
+    it('Should resolve the uri of a subscribed BPP and cache it', async () => {
+        const lookupService = new SubscriberLookupService(60)
+        const bpp_uri = await lookupService.get_bpp_uri(registry.url, bpp.subscriber_id, 'uei:charging')
+        expect(bpp_uri).to.be.eq('https://charging-bpp.example.com/beckn')
+
+        const lookups = registry.lookups.length
+        await lookupService.get_bpp_uri(registry.url, bpp.subscriber_id, 'uei:charging')
+        expect(registry.lookups.length).to.be.eq(lookups)
+    })
+
+    it('Should not resolve a BPP that is not subscribed', async () => {
+        const lookupService = new SubscriberLookupService(0)
+        try {
+            await lookupService.get_bpp_uri(registry.url, 'unsubscribed-bpp.example.com')
+            expect.fail('the BPP should not be resolved')
+        } catch (e) {
+            expect(e.message).to.include('is not subscribed')
+        }
+    })
+
+    it('Should verify a callback with the public key of the BPP in the registry', async () => {
+        const authService = new BecknAuthService({}, new SubscriberLookupService(0))
+        const header = create_authorization_header(body, bpp)
+
+        expect(await authService.verify(header, body, registry.url)).to.deep.eq({
+            valid: true,
+            subscriber_id: bpp.subscriber_id,
+        })
+
+        const unknown = create_authorization_header(body, { ...bpp, subscriber_id: 'unknown-bpp.example.com' })
+        expect((await authService.verify(unknown, body, registry.url)).error).to.be.eq('unknown subscriber')
+    })
+
+    it('Should sign requests only with a configured key', () => {
+        const authService = new BecknAuthService({ [bap.subscriber_id]: bap })
+        expect(authService.has_signing_key(bap.subscriber_id)).to.be.true
+        expect(authService.has_signing_key(bpp.subscriber_id)).to.be.false
+
+        const header = authService.sign(bap.subscriber_id, body)
+        expect(verify_authorization_header(header, body, bap_keys.public_key).valid).to.be.true
+        expect(() => authService.sign(bpp.subscriber_id, body)).to.throw('No signing key')
+    })
+})
@@ -0,0 +1,103 @@
+import * as chai from 'chai'
+const expect = chai.expect
+import { describe, it } from 'mocha'
+import BecknContextService from '../../../services/BecknContextService.js'
+import SchemaValidator from '../../../services/SchemaValidator.js'
+import { EMPTY_BECKN_TRANSACTION } from '../../../config/constants.js'
+
+const network = {
+    url: 'https://bap-client.example.com',
+    bap_subscriber_id: 'bap.example.com',
+    bap_subscriber_url: 'https://bap.example.com',
+    version: '1.1.0',
+}
+const bpp = { bpp_id: 'bpp-hotel.example.com', bpp_uri: 'https://bpp-hotel.example.com' }
+
+// map service that finds Berlin for every gps point
+const get_map_service = () => {
+    const mapService = { lookups: [] }
+    mapService.lookupLocation = async (gps) => {
+        mapService.lookups.push(gps)
+        return { city: 'Berlin', country: 'DE' }
+    }
+    return mapService
+}
+const get_transaction = () => JSON.parse(JSON.stringify(EMPTY_BECKN_TRANSACTION))
+
+describe('Should test the beckn context builder', () => {
+    const validator = new SchemaValidator()
+
+    it('Should keep the transaction_id across an order and create a new message_id for each request', () => {
+        const contextService = new BecknContextService(get_map_service(), 'PT30S')
+        const transaction = get_transaction()
+
+        const search = contextService.create_context('search', { domain: 'hospitality', network, transaction })
+        expect(search.transaction_id).to.be.eq(transaction.id)
+        expect(search).to.include({ domain: 'hospitality', action: 'search', ttl: 'PT30S', bap_id: network.bap_subscriber_id })
+
+        transaction.responses.search = { context: search }
+        transaction.catalog = { providers: [{ id: 'hotel', domain: 'hospitality', ...bpp }] }
+        const select = contextService.create_context('select', { network, transaction })
+        const init = contextService.create_context('init', { network, transaction })
+        expect(select.transaction_id).to.be.eq(search.transaction_id)
+        expect(init.transaction_id).to.be.eq(search.transaction_id)
+        expect(new Set([search.message_id, select.message_id, init.message_id]).size).to.be.eq(3)
+
+        const next_search = contextService.create_context('search', { domain: 'hospitality', network, transaction })
+        expect(next_search.transaction_id).to.not.be.eq(search.transaction_id)
+    })
+
+    it('Should take the domain and bpp from the previous responses of the order', () => {
+        const contextService = new BecknContextService(get_map_service())
+        const transaction = get_transaction()
+        transaction.responses.search = { context: { domain: 'hospitality' } }
+        transaction.catalog = {
+            providers: [
+                { id: 'hotel', ...bpp },
+                { id: 'hostel', bpp_id: 'bpp-hostel.example.com', bpp_uri: 'https://bpp-hostel.example.com' },
+            ],
+        }
+
+        // the bpp of a select is set from the selected item if the catalog has items of several bpps
+        expect(contextService.get_previous_context('select', transaction)).to.deep.eq({ domain: 'hospitality' })
+
+        transaction.responses.on_select = [{ context: { domain: 'hospitality', ...bpp }, message: {} }]
+        expect(contextService.get_previous_context('init', transaction)).to.deep.eq({ domain: 'hospitality', ...bpp })
+        expect(contextService.get_previous_context('confirm', transaction)).to.deep.eq({ domain: 'hospitality', ...bpp })
+        expect(contextService.get_previous_context('search', transaction)).to.deep.eq({})
+        expect(contextService.get_previous_context('status', transaction)).to.deep.eq({})
+    })
+
+    it('Should set the location from the profile or the gps of the message and a valid timestamp', async () => {
+        const mapService = get_map_service()
+        const contextService = new BecknContextService(mapService)
+        const transaction = get_transaction()
+        const message = { intent: { fulfillment: { stops: [{ location: { gps: '52.52, 13.405' } }] } } }
+
+        const context = contextService.create_context('search', { domain: 'hospitality', network, transaction })
+        await contextService.complete_context(context, message, { profile: {}, transaction })
+        expect(context.location).to.deep.eq({ city: { name: 'Berlin' }, country: { code: 'DE' } })
+        expect(mapService.lookups).to.deep.eq(['52.52, 13.405'])
+        expect(validator.validate_context(context).valid).to.be.true
+
+        // the location is kept for the next actions of the order
+        transaction.responses.on_select = [{ context: { ...bpp } }]
+        const init = contextService.create_context('init', { network, transaction })
+        await contextService.complete_context(init, {}, { transaction })
+        expect(init.location.city.name).to.be.eq('Berlin')
+        expect(mapService.lookups).to.have.lengthOf(1)
+
+        const profile = { city: 'Munich', country: 'DE' }
+        await contextService.complete_context(init, message, { profile, transaction })
+        expect(init.location).to.deep.eq({ city: { name: 'Munich' }, country: { code: 'DE' } })
+    })
+
+    it('Should leave out the location if it is not known', async () => {
+        const contextService = new BecknContextService(get_map_service())
+        const context = contextService.create_context('search', { domain: 'retail:1.1.0', network, transaction: null })
+        await contextService.complete_context(context, { intent: { item: { descriptor: { name: 'umbrella' } } } })
+        expect(context).to.not.have.property('location')
+        expect(new Date(context.timestamp).toISOString()).to.be.eq(context.timestamp)
+        expect(validator.validate_context(context).valid).to.be.true
+    })
+})
@@ -0,0 +1,72 @@
+import * as chai from 'chai'
+const expect = chai.expect
+import { readFileSync } from 'fs'
+import SchemaValidator from '../../../services/SchemaValidator.js'
+import { BecknPayloadValidationError } from '../../../utils/errors.js'
+import { describe, it } from 'mocha'
+
+const validator = new SchemaValidator()
+const { schema: search } = JSON.parse(readFileSync('./config/schemas/search.json'))
+const { schema: init } = JSON.parse(readFileSync('./config/schemas/init.json'))
+
+const get_search = (gps) => ({
+    intent: { fulfillment: { stops: [{ location: { gps } }] } },
+})
+
+const context = {
+    domain: 'hospitality',
+    action: 'search',
+    version: '1.1.0',
+    base_url: 'https://bap-client.example.com',
+    bap_id: 'bap.example.com',
+    bap_uri: 'https://bap.example.com',
+    transaction_id: 'transaction-id',
+    message_id: 'message-id',
+    timestamp: '2024-04-10T12:00:00.000Z',
+    ttl: 'PT10S',
+}
+
+describe('Should test the schema validator', () => {
+    it('Should accept a valid gps coordinate in a search message', () => {
+        const result = validator.validate(search, get_search('12.9716, 77.5946'))
+        expect(result.valid).to.be.true
+        expect(result.errors).to.have.lengthOf(0)
+    })
+
+    it('Should reject a malformed gps coordinate', () => {
+        const result = validator.validate(search, get_search('Yellowstone national park'))
+        expect(result.valid).to.be.false
+        expect(result.errors[0].path).to.be.eq('/intent/fulfillment/stops/0/location/gps')
+    })
+
+    it('Should report missing required properties', () => {
+        const result = validator.validate(init, { order: { items: [] } })
+        expect(result.valid).to.be.false
+        expect(result.errors[0].missing).to.be.eq('billing')
+    })
+
+    it('Should validate the context and require bpp details after search', () => {
+        expect(validator.validate_context(context).valid).to.be.true
+
+        const result = validator.validate_context({ ...context, action: 'select' })
+        expect(result.valid).to.be.false
+        expect(result.errors.map((error) => error.missing)).to.include('bpp_id')
+    })
+
+    it('Should compile each schema once for all validators', () => {
+        const cached = validator.ajv._cache.size
+        new SchemaValidator().validate(search, get_search('12.9716, 77.5946'))
+        validator.validate_context(context)
+        expect(validator.ajv._cache.size).to.be.eq(cached)
+    })
+
+    it('Should create repair feedback and a typed error from the validation errors', () => {
+        const result = validator.validate(init, {})
+        const feedback = validator.get_repair_feedback({}, result.errors)
+        expect(feedback).to.contain('order')
+
+        const error = new BecknPayloadValidationError('init', 'message', result.errors)
+        expect(error).to.be.an.instanceOf(Error)
+        expect(error.errors).to.deep.eq(result.errors)
+    })
+})
@@ -0,0 +1,74 @@
+import { describe, it } from 'mocha'
+import * as chai from 'chai'
+import { schema_to_gbnf, to_constrained_format } from '../../utils/grammar.js'
+import { extract_json } from '../../utils/json.js'
+import { readFileSync } from 'fs'
+import ModelMetrics from '../../services/ModelMetrics.js'
+const expect = chai.expect
+
+const { schema: track } = JSON.parse(readFileSync('./config/schemas/track.json'))
+
+describe('Should test the grammar of JSON schemas', () => {
+    it('Should convert a schema with required and optional properties', () => {
+        const grammar = schema_to_gbnf(track)
+        expect(grammar.split('\n')[0]).to.be.eq(
+            'root ::= "{" ws "\\"order_id\\"" ws ":" ws string ( "," ws "\\"callback_url\\"" ws ":" ws string )? "}" ws'
+        )
+        expect(grammar).to.include('string ::= ')
+        expect(grammar).to.include('ws ::= ')
+    })
+
+    it('Should create rules for nested objects, arrays and enums', () => {
+        const grammar = schema_to_gbnf({
+            type: 'object',
+            properties: {
+                items: {
+                    type: 'array',
+                    items: { type: 'object', properties: { id: { type: 'string' }, count: { type: 'integer' } } },
+                },
+                status: { enum: ['ACTIVE', 'CANCELLED'] },
+            },
+            required: ['items'],
+        })
+        const rules = grammar.split('\n')
+        expect(rules).to.include('root-items ::= "[" ws ( root-items-item ( "," ws root-items-item )* )? "]" ws')
+        expect(rules).to.include(
+            'root-items-item ::= "{" ws ( "\\"id\\"" ws ":" ws string ( "," ws "\\"count\\"" ws ":" ws integer )? | "\\"count\\"" ws ":" ws integer )? "}" ws'
+        )
+        expect(rules).to.include('root-status ::= ( "\\"ACTIVE\\"" | "\\"CANCELLED\\"" ) ws')
+    })
+
+    it('Should reduce a schema to what the model supports', () => {
+        const response_format = { type: 'json_schema', json_schema: { name: 'track', schema: track } }
+        expect(to_constrained_format(response_format, { jsonSchema: true, jsonMode: true })).to.deep.eq({
+            response_format,
+        })
+        expect(to_constrained_format(response_format, { grammar: true, jsonMode: true }).grammar).to.include('root ::=')
+        expect(to_constrained_format(response_format, { jsonMode: true })).to.deep.eq({
+            response_format: { type: 'json_object' },
+        })
+        expect(to_constrained_format(response_format, {})).to.deep.eq({})
+    })
+})
+
+describe('Should test the extraction of JSON from replies', () => {
+    it('Should find the first valid object in a chatty reply', () => {
+        expect(
+            extract_json('Sure! Here is the json {not json} ```json\n{"domain": "mobility", "items": [1, 2,],}\n```')
+        ).to.deep.eq({ domain: 'mobility', items: [1, 2] })
+        expect(extract_json('{"note": "use {braces}"} and [1]')).to.deep.eq({ note: 'use {braces}' })
+        expect(extract_json('[1, 2] then {"a": 1}', { objects_only: true })).to.deep.eq({ a: 1 })
+        expect(extract_json('No JSON here')).to.be.null
+    })
+
+    it('Should measure the parse success rate of each model', () => {
+        const metrics = new ModelMetrics()
+        const model = { task: 'context', provider: 'llamaedge', model: 'llama-2-7b-chat' }
+        metrics.record_parse({ ...model, success: true })
+        metrics.record_parse({ ...model, success: true })
+        metrics.record_parse({ ...model, success: false })
+        metrics.record_parse({ ...model, success: true })
+
+        expect(metrics.get_metrics('context')[0]).to.include({ parsed: 3, parse_failures: 1, parse_success_rate: 0.75 })
+    })
+})
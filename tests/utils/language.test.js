@@ -1,6 +1,6 @@
 import { describe, it} from 'mocha'
 import * as chai from 'chai'
-import get_text_by_key from '../../utils/language.js'
+import get_text_by_key, { SUPPORTED_LANGUAGES, detect_language } from '../../utils/language.js'
 const expect = chai.expect
 
 describe('test cases for language utils', ()=>{
@@ -15,4 +15,33 @@ describe('test cases for language utils', ()=>{
         expect(message).to.be.a('string');
         expect(message).to.contain(key);
     })
-})
\ No newline at end of file
+})
+describe('test cases for localized texts', ()=>{
+    it('Should return the text in the given language', ()=>{
+        const message = get_text_by_key('session_cleared', {}, 'ALL_MESSAGES', 'de')
+        expect(message).to.contain('Sitzung')
+    })
+
+    it('Should fall back to english for unsupported languages', ()=>{
+        const message = get_text_by_key('session_cleared', {}, 'ALL_MESSAGES', 'xx')
+        expect(message).to.be.eq(get_text_by_key('session_cleared'))
+    })
+
+    it('Should list the supported languages', ()=>{
+        expect(Object.keys(SUPPORTED_LANGUAGES)).to.include.members(['en', 'hi', 'de', 'es'])
+    })
+})
+
+describe('test cases for detect_language()', ()=>{
+    it('Should detect the language of a message', ()=>{
+        expect(detect_language('Can you please find hotels near Yellowstone?')).to.be.eq('en')
+        expect(detect_language('मुझे दिल्ली में होटल चाहिए')).to.be.eq('hi')
+        expect(detect_language('Ich suche ein Hotel in der Nähe von Berlin')).to.be.eq('de')
+        expect(detect_language('Hola, necesito un hotel cerca de Madrid')).to.be.eq('es')
+    })
+
+    it('Should not detect a language for short messages', ()=>{
+        expect(detect_language('ok')).to.be.null
+        expect(detect_language('')).to.be.null
+    })
+})
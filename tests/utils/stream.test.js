@@ -0,0 +1,100 @@
+import { describe, it } from 'mocha'
+import * as chai from 'chai'
+import { collect_stream, completion_to_chunk, merge_delta, parse_sse_stream } from '../../utils/stream.js'
+const expect = chai.expect
+
+const chunk = (delta, finish_reason = null) => ({
+    id: 'chatcmpl-1',
+    object: 'chat.completion.chunk',
+    choices: [{ index: 0, delta, finish_reason }],
+})
+
+// yields the parts like a readable stream of an http response
+async function* readable_from(parts) {
+    for (const part of parts) yield part
+}
+
+const collect = async (iterator) => {
+    const items = []
+    for await (const item of iterator) items.push(item)
+    return items
+}
+
+describe('test cases for parse_sse_stream()', () => {
+    it('Should parse chunks split across reads', async () => {
+        const readable = readable_from([
+            'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choi',
+            'ces":[{"delta":{"content":"lo"}}]}\n\n',
+            ': keep-alive\n\ndata: [DONE]\n\n',
+        ])
+        const chunks = await collect(parse_sse_stream(readable))
+        expect(chunks.map((chunk) => chunk.choices[0].delta.content)).to.deep.eq(['Hel', 'lo'])
+    })
+
+    it('Should stop at the [DONE] event', async () => {
+        const readable = readable_from(['data: [DONE]\n\ndata: {"choices":[]}\n\n'])
+        expect(await collect(parse_sse_stream(readable))).to.have.lengthOf(0)
+    })
+
+    it('Should parse the last event without a trailing newline', async () => {
+        const readable = readable_from([Buffer.from('data: {"choices":[]}')])
+        expect(await collect(parse_sse_stream(readable))).to.deep.eq([{ choices: [] }])
+    })
+})
+
+describe('test cases for merge_delta()', () => {
+    it('Should merge tool call deltas by index', () => {
+        const message = { role: 'assistant', content: '' }
+        merge_delta(message, {
+            tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'perform_beckn_action', arguments: '' } }],
+        })
+        merge_delta(message, { tool_calls: [{ index: 0, function: { arguments: '{"action":' } }] })
+        merge_delta(message, { tool_calls: [{ index: 1, id: 'call_2', function: { name: 'get_routes', arguments: '{}' } }] })
+        merge_delta(message, { tool_calls: [{ index: 0, function: { arguments: '"search"}' } }] })
+
+        expect(message.tool_calls).to.deep.eq([
+            { id: 'call_1', type: 'function', function: { name: 'perform_beckn_action', arguments: '{"action":"search"}' } },
+            { id: 'call_2', type: 'function', function: { name: 'get_routes', arguments: '{}' } },
+        ])
+    })
+})
+
+describe('test cases for collect_stream()', () => {
+    it('Should assemble a completion and pass every delta on', async () => {
+        const deltas = []
+        const completion = await collect_stream(
+            [chunk({ role: 'assistant', content: 'Hel' }), chunk({ content: 'lo' }), chunk({}, 'stop')],
+            (delta) => deltas.push(delta)
+        )
+        expect(completion.choices[0].message).to.deep.eq({ role: 'assistant', content: 'Hello' })
+        expect(completion.choices[0].finish_reason).to.be.eq('stop')
+        expect(deltas).to.have.lengthOf(3)
+    })
+
+    it('Should set the content of tool call messages to null', async () => {
+        const completion = await collect_stream([
+            chunk({ tool_calls: [{ index: 0, id: 'call_1', function: { name: 'get_routes', arguments: '{}' } }] }, 'tool_calls'),
+        ])
+        expect(completion.choices[0].message.content).to.be.null
+        expect(completion.choices[0].message.tool_calls).to.have.lengthOf(1)
+    })
+
+    it('Should assemble the same completion from a single chunk of a model that can not stream', async () => {
+        const original = {
+            id: 'chatcmpl-1',
+            choices: [
+                {
+                    index: 0,
+                    message: {
+                        role: 'assistant',
+                        content: null,
+                        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_routes', arguments: '{}' } }],
+                    },
+                    finish_reason: 'tool_calls',
+                },
+            ],
+        }
+        const completion = await collect_stream([completion_to_chunk(original)])
+        expect(completion.choices[0].message).to.deep.eq(original.choices[0].message)
+    })
+})
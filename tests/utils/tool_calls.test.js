@@ -0,0 +1,121 @@
+import { describe, it } from 'mocha'
+import * as chai from 'chai'
+import { parse_tool_calls, render_tools_prompt, to_text_messages } from '../../utils/tool_calls.js'
+import { buildPrompt } from '../../config/llamaedge.config.js'
+import LlamaEdgeClient from '../../services/LlamaEdgeClient.js'
+const expect = chai.expect
+
+const TOOLS = [
+    {
+        type: 'function',
+        function: {
+            name: 'get_routes',
+            description: 'Get routes between two places',
+            parameters: { type: 'object', properties: { source: { type: 'string' }, destination: { type: 'string' } } },
+        },
+    },
+]
+
+describe('Should test the emulated tool calls', () => {
+    it('Should describe the tools and the expected reply', () => {
+        const prompt = render_tools_prompt(TOOLS, { type: 'function', function: { name: 'get_routes' } })
+        expect(prompt).to.include('"name":"get_routes"')
+        expect(prompt).to.include('You must call the function get_routes.')
+    })
+
+    it('Should convert a function call in the reply to OpenAI tool calls', () => {
+        const tool_calls = parse_tool_calls(
+            '{"name": "get_routes", "arguments": {"source": "Denver", "destination": "Boulder"}}',
+            TOOLS
+        )
+        expect(tool_calls).to.have.lengthOf(1)
+        expect(tool_calls[0].type).to.be.eq('function')
+        expect(tool_calls[0].function).to.deep.eq({
+            name: 'get_routes',
+            arguments: '{"source":"Denver","destination":"Boulder"}',
+        })
+    })
+
+    it('Should ignore unknown functions and plain replies', () => {
+        expect(parse_tool_calls('[{"name": "delete_all", "arguments": {}}]', TOOLS)).to.be.null
+        expect(parse_tool_calls('Hello, how can I help?', TOOLS)).to.be.null
+    })
+
+    it('Should ignore calls with arguments that are not valid JSON', () => {
+        const invalid = '{"name": "get_routes", "arguments": "{\\"source\\": \\"Denver"}'
+        expect(parse_tool_calls(invalid, TOOLS)).to.be.null
+
+        const valid = '{"name": "get_routes", "arguments": "{\\"source\\": \\"Denver\\"}"}'
+        const tool_calls = parse_tool_calls(valid, TOOLS)
+        expect(tool_calls[0].function.arguments).to.be.eq('{"source":"Denver"}')
+    })
+
+    it('Should render tool calls with invalid arguments as they are', () => {
+        const messages = to_text_messages([
+            {
+                role: 'assistant',
+                content: null,
+                tool_calls: [
+                    { id: 'call_1', type: 'function', function: { name: 'get_routes', arguments: '{"source"' } },
+                ],
+            },
+        ])
+        expect(messages[0].content).to.be.eq('{"name":"get_routes","arguments":"{\\"source\\""}')
+    })
+
+    it('Should convert tool calls and results in the conversation to text', () => {
+        const messages = to_text_messages([
+            {
+                role: 'assistant',
+                content: null,
+                tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_routes', arguments: '{}' } }],
+            },
+            { role: 'tool', tool_call_id: 'call_1', content: '{"routes":[]}' },
+        ])
+        expect(messages).to.deep.eq([
+            { role: 'assistant', content: '{"name":"get_routes","arguments":{}}' },
+            { role: 'user', content: 'Result of get_routes : {"routes":[]}' },
+        ])
+    })
+
+    it('Should render a conversation with the prompt template of the model', () => {
+        const prompt = buildPrompt(
+            [
+                { role: 'assistant', content: 'You are a travel planner.' },
+                { role: 'system', content: 'Use the tools.' },
+                { role: 'user', content: 'Routes to Boulder $1' },
+            ],
+            'llama-2-7b-chat'
+        )
+        expect(prompt).to.be.eq(
+            '<s>[INST] <<SYS>>\nYou are a travel planner.\nUse the tools.\n<</SYS>>\n\nRoutes to Boulder $1 [/INST]'
+        )
+    })
+
+    it('Should return emulated tool calls from a model without function calling', async () => {
+        const client = new LlamaEdgeClient({ model: 'llama-2-7b-chat' })
+        let request = null
+        client.httpClient.post = async (url, data) => {
+            request = { url, data }
+            return {
+                data: {
+                    id: 'cmpl-1',
+                    choices: [{ text: ' {"name": "get_routes", "arguments": {"source": "Denver"}}', finish_reason: 'stop' }],
+                },
+            }
+        }
+
+        const response = await client.createChatCompletion({
+            messages: [{ role: 'user', content: 'Routes from Denver' }],
+            tools: TOOLS,
+            tool_choice: 'auto',
+        })
+
+        expect(request.url).to.be.eq('/v1/completions')
+        expect(request.data.prompt).to.include('get_routes')
+        expect(request.data.stop).to.deep.eq(['</s>', '[INST]'])
+        expect(response.choices[0].finish_reason).to.be.eq('tool_calls')
+        expect(response.choices[0].message.content).to.be.null
+        expect(response.choices[0].message.tool_calls[0].function.arguments).to.be.eq('{"source":"Denver"}')
+    })
+})
@@ -0,0 +1,28 @@
+import { createLogger, format, transports } from 'winston'
+import logger from './logger.js'
+
+// Audit events are written as JSON lines to AUDIT_LOG_FILE if set, otherwise to the console
+const auditLogger = createLogger({
+    level: 'info',
+    format: format.combine(format.timestamp(), format.json()),
+    transports: [
+        process.env.AUDIT_LOG_FILE
+            ? new transports.File({ filename: process.env.AUDIT_LOG_FILE })
+            : new transports.Console(),
+    ],
+})
+
+/**
+ * Records an audit event
+ * @param {*} event | name of the event e.g. auth.rejected
+ * @param {*} details | details of the event
+ */
+function audit(event, details = {}) {
+    try {
+        auditLogger.info({ event, ...details })
+    } catch (e) {
+        logger.error(`Failed to write audit event ${event}: ${e.message}`)
+    }
+}
+
+export default audit
@@ -0,0 +1,129 @@
+import crypto from 'crypto'
+
+// DER prefixes that turn raw ed25519 keys into PKCS8 and SPKI keys
+const PRIVATE_KEY_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex')
+const PUBLIC_KEY_PREFIX = Buffer.from('302a300506032b6570032100', 'hex')
+// Seconds a signature is valid
+const SIGNATURE_TTL = parseInt(process.env.BECKN_SIGNATURE_TTL) || 300
+const SIGNED_HEADERS = '(created) (expires) digest'
+
+/**
+ * @param {*} private_key | base64 of the 32 byte seed or of the 64 byte seed and public key, as generated by libsodium
+ * @returns
+ */
+function to_private_key(private_key) {
+    const seed = Buffer.from(private_key, 'base64').subarray(0, 32)
+    return crypto.createPrivateKey({ key: Buffer.concat([PRIVATE_KEY_PREFIX, seed]), format: 'der', type: 'pkcs8' })
+}
+
+/**
+ * @param {*} public_key | base64 of the 32 byte public key, as published in the registry
+ * @returns
+ */
+function to_public_key(public_key) {
+    const key = Buffer.from(public_key, 'base64')
+    return crypto.createPublicKey({ key: Buffer.concat([PUBLIC_KEY_PREFIX, key]), format: 'der', type: 'spki' })
+}
+
+/**
+ * Generates a signing key pair to register with a beckn registry
+ * @returns {private_key, public_key} as base64 of the raw keys
+ */
+function generate_key_pair() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519')
+    const private_key = privateKey.export({ format: 'der', type: 'pkcs8' }).subarray(PRIVATE_KEY_PREFIX.length)
+    const public_key = publicKey.export({ format: 'der', type: 'spki' }).subarray(PUBLIC_KEY_PREFIX.length)
+    return { private_key: private_key.toString('base64'), public_key: public_key.toString('base64') }
+}
+
+function create_digest(body) {
+    return `BLAKE-512=${crypto.createHash('blake2b512').update(body).digest('base64')}`
+}
+
+function create_signing_string(digest, created, expires) {
+    return `(created): ${created}\n(expires): ${expires}\ndigest: ${digest}`
+}
+
+/**
+ * Authorization header of a beckn request
+ * @param {*} body | raw request body, exactly as it is sent
+ * @param {*} param1 | subscriber_id, unique_key_id and private_key of the sender
+ * @param {*} now | milliseconds
+ * @returns
+ */
+function create_authorization_header(body, { subscriber_id, unique_key_id, private_key }, now = Date.now()) {
+    const created = Math.floor(now / 1000)
+    const expires = created + SIGNATURE_TTL
+    const signing_string = create_signing_string(create_digest(body), created, expires)
+    const signature = crypto.sign(null, Buffer.from(signing_string), to_private_key(private_key)).toString('base64')
+
+    return (
+        `Signature keyId="${subscriber_id}|${unique_key_id}|ed25519",algorithm="ed25519",` +
+        `created="${created}",expires="${expires}",headers="${SIGNED_HEADERS}",signature="${signature}"`
+    )
+}
+
+/**
+ * @param {*} header | Authorization header of a beckn request
+ * @returns {subscriber_id, unique_key_id, algorithm, created, expires, headers, signature} or null if it is not a signature
+ */
+function parse_authorization_header(header) {
+    if (typeof header !== 'string' || !header.startsWith('Signature ')) return null
+
+    const params = [...header.slice('Signature '.length).matchAll(/(\w+)="([^"]*)"/g)].reduce(
+        (params, [, key, value]) => ({ ...params, [key]: value }),
+        {}
+    )
+    const [subscriber_id, unique_key_id, algorithm] = (params.keyId || '').split('|')
+    if (!subscriber_id || !unique_key_id || !params.signature) return null
+
+    return {
+        subscriber_id,
+        unique_key_id,
+        algorithm: algorithm || params.algorithm,
+        created: parseInt(params.created),
+        expires: parseInt(params.expires),
+        headers: params.headers,
+        signature: params.signature,
+    }
+}
+
+/**
+ * Verifies the Authorization header of a beckn request
+ * @param {*} header | Authorization header
+ * @param {*} body | raw request body
+ * @param {*} public_key | signing public key of the sender from the registry
+ * @param {*} now | milliseconds
+ * @returns {valid, error}
+ */
+function verify_authorization_header(header, body, public_key, now = Date.now()) {
+    const params = parse_authorization_header(header)
+    if (!params) return { valid: false, error: 'missing signature' }
+    if (params.algorithm !== 'ed25519') return { valid: false, error: 'unsupported algorithm' }
+
+    const time = Math.floor(now / 1000)
+    if (!params.created || !params.expires || params.created > time + 1 || params.expires < time) {
+        return { valid: false, error: 'expired signature' }
+    }
+
+    try {
+        const signing_string = create_signing_string(create_digest(body), params.created, params.expires)
+        const valid = crypto.verify(
+            null,
+            Buffer.from(signing_string),
+            to_public_key(public_key),
+            Buffer.from(params.signature, 'base64')
+        )
+        return valid ? { valid: true } : { valid: false, error: 'invalid signature' }
+    } catch (e) {
+        return { valid: false, error: `invalid key : ${e.message}` }
+    }
+}
+
+export {
+    generate_key_pair,
+    create_digest,
+    create_authorization_header,
+    parse_authorization_header,
+    verify_authorization_header,
+}
@@ -0,0 +1,53 @@
+/**
+ * Raised when a beckn payload generated by the model does not match its schema even after all repair attempts
+ */
+export class BecknPayloadValidationError extends Error {
+    /**
+     * @param {*} action | beckn action e.g. search
+     * @param {*} part | 'context' or 'message'
+     * @param {*} errors | list of validation errors in the format [{path, message}]
+     */
+    constructor(action, part, errors = []) {
+        super(
+            `Invalid ${part} for action '${action}' : ${errors
+                .map((error) => `${error.path} ${error.message}`)
+                .join(', ')}`
+        )
+        this.name = 'BecknPayloadValidationError'
+        this.action = action
+        this.part = part
+        this.errors = errors
+    }
+}
+
+/**
+ * Raised when a request could not get the lock of a session in time because earlier requests are still being processed
+ */
+export class SessionLockTimeoutError extends Error {
+    /**
+     * @param {*} key | session key
+     * @param {*} timeout | milliseconds waited for the lock
+     */
+    constructor(key, timeout) {
+        super(`Timed out after ${timeout}ms waiting for session '${key}'`)
+        this.name = 'SessionLockTimeoutError'
+        this.key = key
+        this.timeout = timeout
+    }
+}
+
+/**
+ * Raised when the model did not respond before the deadline of the request, including all fallbacks
+ */
+export class ModelDeadlineExceededError extends Error {
+    /**
+     * @param {*} task | task of the request e.g. chat
+     * @param {*} deadline | milliseconds allowed for the request
+     */
+    constructor(task, deadline) {
+        super(`No response for task '${task}' within ${deadline}ms`)
+        this.name = 'ModelDeadlineExceededError'
+        this.task = task
+        this.deadline = deadline
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * Rules for any JSON value, used by the rules generated from a schema
+ * Based on the JSON grammar of llama.cpp
+ */
+const JSON_RULES = {
+    value: 'object | array | string | number | boolean | null',
+    object: '"{" ws ( string ":" ws value ( "," ws string ":" ws value )* )? "}" ws',
+    array: '"[" ws ( value ( "," ws value )* )? "]" ws',
+    string: '"\\"" ( [^"\\\\\\x7F\\x00-\\x1F] | "\\\\" ( ["\\\\/bfnrt] | "u" [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F] ) )* "\\"" ws',
+    number: '"-"? ( [0-9] | [1-9] [0-9]* ) ( "." [0-9]+ )? ( [eE] [-+]? [0-9]+ )? ws',
+    integer: '"-"? ( [0-9] | [1-9] [0-9]* ) ws',
+    boolean: '( "true" | "false" ) ws',
+    null: '"null" ws',
+    ws: '[ \\t\\n]*',
+}
+
+// a JSON value as a GBNF literal
+const literal = (value) => JSON.stringify(JSON.stringify(value))
+
+/**
+ * Adds the rule of a schema to the grammar and returns its name
+ * Schemas of a single JSON type use the shared rules
+ */
+function reference(schema, name, rules) {
+    const rule = to_rule(schema, name, rules)
+    if (JSON_RULES[rule]) return rule
+    rules.set(name, rule)
+    return name
+}
+
+function object_rule(schema, name, rules) {
+    // properties set to false must not be used
+    const properties = Object.entries(schema.properties || {}).filter(([, property]) => property !== false)
+    if (!properties.length) return 'object'
+
+    const required = schema.required || []
+    const pair = ([key, property]) =>
+        `${literal(key)} ws ":" ws ${reference(property, `${name}-${key.replace(/[^a-zA-Z0-9]+/g, '-')}`, rules)}`
+    const mandatory = properties.filter(([key]) => required.includes(key)).map(pair)
+    const optional = properties.filter(([key]) => !required.includes(key)).map(pair)
+    const optional_after = (pairs) => pairs.map((item) => `( "," ws ${item} )?`)
+
+    // required properties are generated first, optional ones can follow in their order
+    const body = mandatory.length
+        ? [mandatory.join(' "," ws '), ...optional_after(optional)].join(' ')
+        : `( ${optional.map((item, index) => [item, ...optional_after(optional.slice(index + 1))].join(' ')).join(' | ')} )?`
+
+    return `"{" ws ${body} "}" ws`
+}
+
+function to_rule(schema, name, rules) {
+    if (!schema || typeof schema !== 'object') return 'value'
+    if (schema.const !== undefined) return `${literal(schema.const)} ws`
+    if (schema.enum) return `( ${schema.enum.map(literal).join(' | ')} ) ws`
+
+    // alternatives extend the other keywords of the schema, such as a list of properties that is required in each
+    const { anyOf, oneOf, ...base } = schema
+    const alternatives = anyOf || oneOf
+    if (alternatives) {
+        return alternatives
+            .map((alternative, index) => {
+                const required = [...(base.required || []), ...(alternative.required || [])]
+                const merged = { ...base, ...alternative, ...(required.length && { required }) }
+                return reference(merged, `${name}-${index}`, rules)
+            })
+            .join(' | ')
+    }
+    if (Array.isArray(schema.type)) {
+        return schema.type.map((type) => reference({ ...schema, type }, `${name}-${type}`, rules)).join(' | ')
+    }
+
+    switch (schema.type) {
+        case 'object':
+            return object_rule(schema, name, rules)
+        case 'array': {
+            const item = reference(schema.items, `${name}-item`, rules)
+            return `"[" ws ( ${item} ( "," ws ${item} )* )? "]" ws`
+        }
+        case 'string':
+        case 'number':
+        case 'integer':
+        case 'boolean':
+        case 'null':
+            return schema.type
+        default:
+            return 'value'
+    }
+}
+
+/**
+ * Converts a JSON schema to a GBNF grammar for constrained decoding on llama.cpp based servers
+ * Types, properties, required, items, enum, const, anyOf and oneOf are enforced, properties set to false are left out.
+ * Other keywords such as formats, patterns and lengths are left to the schema validation.
+ * @param {*} schema | JSON schema
+ * @returns GBNF grammar with the root rule
+ */
+function schema_to_gbnf(schema = {}) {
+    const rules = new Map()
+    rules.set('root', to_rule(schema, 'root', rules))
+
+    return [...rules, ...Object.entries(JSON_RULES)].map(([name, rule]) => `${name} ::= ${rule}`).join('\n')
+}
+
+/**
+ * Request options that constrain the reply of a model to a JSON schema, with what the model supports
+ * A json_schema response format is sent as it is, converted to a GBNF grammar or reduced to JSON mode.
+ * @param {*} response_format | {type: 'json_object'} or {type: 'json_schema', json_schema: {name, schema}}
+ * @param {*} supports | {jsonSchema, grammar, jsonMode} of the model
+ * @returns {response_format, grammar}, empty if the model can not be constrained
+ */
+function to_constrained_format(response_format, supports = {}) {
+    if (!response_format) return {}
+
+    const schema = response_format.type === 'json_schema' ? response_format.json_schema?.schema : null
+    if (schema && supports.jsonSchema) return { response_format }
+    if (supports.grammar) return { grammar: schema_to_gbnf(schema || { type: 'object' }) }
+    if (supports.jsonMode) return { response_format: { type: 'json_object' } }
+    return {}
+}
+
+export { schema_to_gbnf, to_constrained_format }
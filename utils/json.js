@@ -0,0 +1,64 @@
+/**
+ * Index of the bracket that closes the one at start, brackets in strings are skipped
+ * @returns the index or -1 if the brackets do not match
+ */
+function find_json_end(text, start) {
+    const closing = []
+    let in_string = false
+
+    for (let index = start; index < text.length; index++) {
+        const char = text[index]
+        if (in_string) {
+            if (char === '\\') index++
+            else if (char === '"') in_string = false
+        } else if (char === '"') {
+            in_string = true
+        } else if (char === '{' || char === '[') {
+            closing.push(char === '{' ? '}' : ']')
+        } else if (char === '}' || char === ']') {
+            if (closing.pop() !== char) return -1
+            if (!closing.length) return index
+        }
+    }
+    return -1
+}
+
+/**
+ * Parses JSON, with a second try without the trailing commas that models often leave
+ */
+function parse_lenient(json) {
+    try {
+        return JSON.parse(json)
+    } catch (e) {
+        return JSON.parse(json.replace(/,(\s*[}\]])/g, '$1'))
+    }
+}
+
+/**
+ * Finds the first valid JSON object or array in a text, such as the reply of a model that adds text or code fences
+ * around it
+ * @param {*} text
+ * @param {*} options | {objects_only} to skip arrays
+ * @returns parsed JSON or null
+ */
+function extract_json(text, { objects_only = false } = {}) {
+    if (typeof text !== 'string') return null
+
+    const opening = objects_only ? /{/ : /[[{]/
+    let start = text.search(opening)
+    while (start >= 0) {
+        const end = find_json_end(text, start)
+        if (end > 0) {
+            try {
+                return parse_lenient(text.slice(start, end + 1))
+            } catch (e) {
+                // not valid JSON, try the next bracket
+            }
+        }
+        const next = text.slice(start + 1).search(opening)
+        start = next < 0 ? -1 : start + 1 + next
+    }
+    return null
+}
+
+export { extract_json }
@@ -1,9 +1,44 @@
-import { readFileSync } from 'fs';
-const language = JSON.parse(readFileSync('./config/language.json'))
+import { readdirSync, readFileSync } from 'fs';
 
+export const DEFAULT_LANGUAGE = 'en';
+const LANGUAGES_PATH = './config/languages';
+// Names of the languages in the language itself
+const LANGUAGE_NAMES = {
+    en: 'English',
+    hi: 'हिन्दी',
+    de: 'Deutsch',
+    es: 'Español'
+};
 
-function get_text_by_key(key, variables = {}, category='ALL_MESSAGES'){
-    let text = language[category][key] || null;
+// Texts of every locale in config/languages, keyed by language code e.g. 'hi'
+const languages = {};
+for (const file of readdirSync(LANGUAGES_PATH).filter(file => file.endsWith('.json'))) {
+    languages[file.replace('.json', '')] = JSON.parse(readFileSync(`${LANGUAGES_PATH}/${file}`));
+}
+
+// Languages with a locale file, in the format {code: name}
+export const SUPPORTED_LANGUAGES = Object.keys(languages).reduce(
+    (supported, code) => ({...supported, [code]: LANGUAGE_NAMES[code] || code}), {}
+);
+
+// Common words used to detect the language of a message written in latin script
+const LANGUAGE_WORDS = {
+    en: ['the', 'and', 'is', 'are', 'to', 'of', 'in', 'for', 'with', 'me', 'i', 'you', 'please', 'can', 'find', 'near', 'my', 'what', 'want', 'need', 'show', 'book', 'hello', 'thanks'],
+    de: ['ich', 'und', 'der', 'die', 'das', 'nicht', 'ist', 'ein', 'eine', 'mit', 'für', 'bitte', 'nach', 'von', 'zu', 'wie', 'was', 'mir', 'mich', 'suche', 'brauche', 'möchte', 'hallo', 'danke', 'nähe'],
+    es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'por', 'para', 'con', 'quiero', 'necesito', 'busco', 'hola', 'gracias', 'dónde', 'cerca', 'mi', 'favor', 'me', 'es'],
+    hi: ['mujhe', 'hai', 'kya', 'aap', 'chahiye', 'ke', 'ka', 'ki', 'mein', 'nahi', 'karo', 'kripya', 'dhanyavaad', 'namaste', 'paas', 'dikhao']
+};
+
+/**
+ * Get a text in the given language, falls back to english if the text is not translated
+ * @param {*} key | key of the text
+ * @param {*} variables | values of the variables in the text e.g. {url: 'https://...'}
+ * @param {*} category | ALL_MESSAGES or FULFILLMENT_STATUS_CODES
+ * @param {*} locale | language code e.g. 'hi'
+ * @returns
+ */
+function get_text_by_key(key, variables = {}, category='ALL_MESSAGES', locale=DEFAULT_LANGUAGE){
+    let text = languages[locale]?.[category]?.[key] || languages[DEFAULT_LANGUAGE][category][key] || null;
     if (text) {
         Object.keys(variables).forEach(variable => {
             /* eslint no-useless-escape: "off" */
@@ -13,4 +48,26 @@ function get_text_by_key(key, variables = {}, category='ALL_MESSAGES'){
     return text;
 }
 
+/**
+ * Detects the language of a message
+ * @param {*} text
+ * @returns language code or null if the language could not be detected
+ */
+export function detect_language(text){
+    if(typeof text !== 'string' || !text.trim()) return null;
+    if(/[ऀ-ॿ]/.test(text)) return 'hi'; // devanagari
+
+    const words = text.toLowerCase().match(/[\p{L}]+/gu) || [];
+    const scores = {};
+    for (const [code, common_words] of Object.entries(LANGUAGE_WORDS)) {
+        scores[code] = words.filter(word => common_words.includes(word)).length;
+    }
+    if(/[ñ¿¡]/.test(text)) scores.es += 2;
+    if(/[äöüß]/i.test(text)) scores.de += 2;
+
+    const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if(best[1] < 2 || best[1] == second[1]) return null; // not sure
+    return best[0];
+}
+
 export default get_text_by_key;
@@ -0,0 +1,116 @@
+/**
+ * Parses a server-sent events stream of OpenAI compatible chat completion chunks
+ * @param {*} readable | node readable stream or any async iterable of buffers or strings
+ * @returns async iterator of parsed chunks, ends on the [DONE] event
+ */
+async function* parse_sse_stream(readable) {
+    let buffer = ''
+    for await (const data of readable) {
+        buffer += data.toString()
+
+        let index
+        while ((index = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, index).trim()
+            buffer = buffer.slice(index + 1)
+
+            // comments, event names and empty lines between events are ignored
+            if (!line.startsWith('data:')) continue
+            const payload = line.slice(5).trim()
+            if (payload === '[DONE]') return
+            if (payload) yield JSON.parse(payload)
+        }
+    }
+
+    const line = buffer.trim()
+    if (line.startsWith('data:') && line.slice(5).trim() !== '[DONE]') {
+        yield JSON.parse(line.slice(5).trim())
+    }
+}
+
+/**
+ * Adds a streamed delta to a message. Tool calls are streamed in parts and merged by their index.
+ * @param {*} message | message being assembled
+ * @param {*} delta | delta of a chat completion chunk
+ * @returns the message
+ */
+function merge_delta(message, delta = {}) {
+    if (delta.role) message.role = delta.role
+    if (delta.content) message.content = (message.content || '') + delta.content
+
+    for (const part of delta.tool_calls || []) {
+        message.tool_calls = message.tool_calls || []
+        const index = part.index ?? message.tool_calls.length
+        if (!message.tool_calls[index]) {
+            message.tool_calls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } }
+        }
+
+        const tool_call = message.tool_calls[index]
+        if (part.id) tool_call.id = part.id
+        if (part.type) tool_call.type = part.type
+        if (part.function?.name) tool_call.function.name += part.function.name
+        if (part.function?.arguments) tool_call.function.arguments += part.function.arguments
+    }
+
+    return message
+}
+
+/**
+ * Assembles a chat completion from streamed chunks
+ * @param {*} chunks | async iterable of chat completion chunks
+ * @param {*} on_delta | called with every delta as it arrives
+ * @returns chat completion in the same format as a non streamed request
+ */
+async function collect_stream(chunks, on_delta = null) {
+    const message = { role: 'assistant', content: '' }
+    let completion = null
+    let finish_reason = null
+
+    for await (const chunk of chunks) {
+        completion = completion || chunk
+        const choice = chunk.choices?.[0]
+        if (!choice) continue
+
+        merge_delta(message, choice.delta)
+        if (choice.finish_reason) finish_reason = choice.finish_reason
+        if (on_delta && choice.delta) await on_delta(choice.delta)
+    }
+
+    if (message.tool_calls?.length && !message.content) message.content = null
+
+    return {
+        id: completion?.id || `chatcmpl-${Date.now()}`,
+        object: 'chat.completion',
+        created: completion?.created || Math.floor(Date.now() / 1000),
+        model: completion?.model,
+        choices: [{ index: 0, message, finish_reason: finish_reason || 'stop' }],
+    }
+}
+
+/**
+ * Chunk with the full message of a completion, used when a model can not stream
+ * @param {*} completion | chat completion
+ * @returns
+ */
+function completion_to_chunk(completion) {
+    const choice = completion.choices?.[0] || {}
+    const tool_calls = choice.message?.tool_calls?.map((tool_call, index) => ({ index, ...tool_call }))
+    return {
+        id: completion.id,
+        object: 'chat.completion.chunk',
+        created: completion.created,
+        model: completion.model,
+        choices: [
+            {
+                index: 0,
+                delta: {
+                    role: 'assistant',
+                    content: choice.message?.content || '',
+                    ...(tool_calls && { tool_calls }),
+                },
+                finish_reason: choice.finish_reason || 'stop',
+            },
+        ],
+    }
+}
+
+export { parse_sse_stream, merge_delta, collect_stream, completion_to_chunk }
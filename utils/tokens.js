@@ -0,0 +1,27 @@
+// Average number of characters per token for english text and JSON
+const CHARS_PER_TOKEN = 4
+
+/**
+ * Estimates the number of tokens for a text or an object
+ * @param {*} content | string or any object that will be sent as JSON
+ * @returns
+ */
+function estimate_tokens(content) {
+    if (content === null || content === undefined) return 0
+    const text = typeof content === 'string' ? content : JSON.stringify(content)
+    return Math.ceil(text.length / CHARS_PER_TOKEN)
+}
+
+/**
+ * Shortens a text to about the given number of tokens
+ * @param {*} text
+ * @param {*} tokens | maximum number of tokens
+ * @returns
+ */
+function truncate_text(text, tokens) {
+    const max_length = tokens * CHARS_PER_TOKEN
+    if (typeof text !== 'string' || text.length <= max_length) return text
+    return `${text.slice(0, max_length)}... (truncated)`
+}
+
+export { estimate_tokens, truncate_text }
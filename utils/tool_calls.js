@@ -0,0 +1,99 @@
+import { v4 as uuidv4 } from 'uuid'
+import { extract_json } from './json.js'
+
+/**
+ * Describes the tools to a model without native function calling and how to call them
+ * @param {*} tools | OpenAI tools
+ * @param {*} tool_choice | auto, required or {type: 'function', function: {name}}
+ * @returns instruction for the system prompt
+ */
+function render_tools_prompt(tools, tool_choice = 'auto') {
+    const functions = tools.map((tool) => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        parameters: tool.function.parameters || { type: 'object', properties: {} },
+    }))
+
+    const lines = [
+        'You can call the following functions, their parameters are described as JSON schemas :',
+        JSON.stringify(functions),
+        'To call a function, reply only with a JSON object in this format, without any other text : {"name": "<function name>", "arguments": {<parameters of the function>}}',
+        'To call several functions, reply only with a JSON array of such objects.',
+    ]
+    if (tool_choice?.function?.name) {
+        lines.push(`You must call the function ${tool_choice.function.name}.`)
+    } else if (tool_choice === 'required') {
+        lines.push('You must call one of the functions.')
+    } else {
+        lines.push('If no function is needed, reply to the user in plain text.')
+    }
+
+    return lines.join('\n')
+}
+
+/**
+ * Parses the arguments of a tool call, which models may generate as invalid JSON
+ * @param {*} args | JSON string or object
+ * @returns object, or null if the arguments are not a JSON object
+ */
+function parse_tool_arguments(args) {
+    if (typeof args !== 'string') return args || {}
+    return args.trim() ? extract_json(args, { objects_only: true }) : {}
+}
+
+/**
+ * Converts tool calls and tool results in a conversation to plain messages, in the format the model is asked to use
+ * @param {*} messages | OpenAI messages
+ * @returns messages with only text content
+ */
+function to_text_messages(messages) {
+    const tool_names = {} // id of the tool call : name of the function
+
+    return messages.map((message) => {
+        if (message.role === 'assistant' && message.tool_calls?.length) {
+            const calls = message.tool_calls.map((tool_call) => {
+                tool_names[tool_call.id] = tool_call.function.name
+                return {
+                    name: tool_call.function.name,
+                    // invalid arguments are shown as they are so that the conversation can still be rendered
+                    arguments: parse_tool_arguments(tool_call.function.arguments) ?? tool_call.function.arguments,
+                }
+            })
+            return { role: 'assistant', content: JSON.stringify(calls.length === 1 ? calls[0] : calls) }
+        }
+        if (message.role === 'tool') {
+            const name = tool_names[message.tool_call_id] || 'the function'
+            return { role: 'user', content: `Result of ${name} : ${message.content}` }
+        }
+        return message
+    })
+}
+
+/**
+ * Reads function calls from the reply of a model that was asked to call functions with JSON
+ * @param {*} text | reply of the model
+ * @param {*} tools | OpenAI tools offered to the model, calls to other functions are ignored
+ * @returns OpenAI tool_calls, or null if the reply does not call any tool
+ */
+function parse_tool_calls(text, tools) {
+    const json = extract_json(text)
+    if (!json) return null
+
+    const names = tools.map((tool) => tool.function.name)
+    const calls = Array.isArray(json) ? json : json.tool_calls || [json]
+    // calls with arguments that are not valid JSON are ignored, they would be kept in the chat history otherwise
+    const tool_calls = calls
+        .map((call) => call?.function || call)
+        .filter((call) => names.includes(call?.name))
+        .map((call) => ({ name: call.name, arguments: parse_tool_arguments(call.arguments) }))
+        .filter((call) => call.arguments !== null)
+        .map((call) => ({
+            id: `call_${uuidv4()}`,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+        }))
+
+    return tool_calls.length ? tool_calls : null
+}
+
+export { render_tools_prompt, parse_tool_arguments, to_text_messages, parse_tool_calls }